@@ -0,0 +1,63 @@
+/* Playback of an execution in the terminal.
+ *
+ * The snapshots recorded by a SnapshotTaker are shown one after the
+ * other, redrawing the board with the routines in the call stack
+ * and the current region. */
+
+import { apiboardToJboard, textFromJboard } from './board_formats.js';
+
+/* ANSI escape codes to move the cursor home and clear the screen */
+const ANSI_CLEAR_SCREEN = '\x1b[H\x1b[2J';
+
+export const DEFAULT_ANIMATION_DELAY = 500; /* millisecs */
+
+/* Lines describing the given snapshot: the step number, the routines
+ * in the call stack and the region (if any) */
+export function snapshotCaption(snapshot, stepNumber, numSteps) {
+  let lines = [];
+  lines.push('Step ' + stepNumber.toString() + '/' + numSteps.toString());
+  lines.push('Context: ' + snapshot.contextNames.join(' > '));
+  if (snapshot.region !== '') {
+    lines.push('Region: ' + snapshot.region);
+  }
+  return lines;
+}
+
+/* Return the text of the frame that shows the given snapshot.
+ * The boardOptions are passed to textFromJboard. */
+export function frameFromSnapshot(snapshot, stepNumber, numSteps,
+                                  boardOptions) {
+  let lines = snapshotCaption(snapshot, stepNumber, numSteps);
+  lines.push(textFromJboard(apiboardToJboard(snapshot.board), boardOptions));
+  return lines.join('\n');
+}
+
+/* Write the frames of the given snapshots to the output stream,
+ * waiting the given number of millisecs between frames, and call
+ * onEnd when all of them have been shown.
+ *
+ * If the output is a terminal, each frame is drawn over the previous
+ * one. Otherwise, frames are separated by blank lines. */
+export function playAnimation(snapshots, output, millisecs, boardOptions,
+                              onEnd) {
+  let redraw = output.isTTY === true;
+  let showFrame = function (index) {
+    if (index >= snapshots.length) {
+      onEnd();
+      return;
+    }
+    let frame = frameFromSnapshot(
+      snapshots[index], index + 1, snapshots.length, boardOptions
+    );
+    output.write((redraw ? ANSI_CLEAR_SCREEN : '') + frame + '\n');
+    if (index + 1 === snapshots.length) {
+      onEnd();
+      return;
+    }
+    if (!redraw) {
+      output.write('\n');
+    }
+    setTimeout(() => showFrame(index + 1), millisecs);
+  };
+  showFrame(0);
+}
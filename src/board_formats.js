@@ -22,8 +22,84 @@
  *                     jboard.board[x][y].n = number of black stones at (x, y)
  *                     jboard.board[x][y].r = number of red   stones at (x, y)
  *                     jboard.board[x][y].v = number of green stones at (x, y)
+ *                   Moreover, a cell may have a field "blocked": true if
+ *                   it is an obstacle, which the head cannot enter.
+ *   jboard.heads  = optional dictionary mapping the names of the heads
+ *                   to their positions [x, y], if the board has several
+ *                   named heads. In that case, jboard.currentHead is
+ *                   the name of the selected head, and jboard.head is
+ *                   its position.
+ *   jboard.colors = optional list of the names of the colors of the
+ *                   stones, e.g. ["Rojo", "Amarillo"], if they are not
+ *                   the four standard ones. In that case, each cell
+ *                   has a field for each color, named after the color,
+ *                   instead of the fields "a", "n", "r", "v".
+ *
+ * The other formats declare their heads and colors in the same way.
  */
 
+/* Keys of the standard colors in the cells of a jboard */
+const STANDARD_COLOR_KEYS = ['a', 'n', 'r', 'v'];
+
+/* Names of the standard colors in the GBB format and in messages */
+const STANDARD_COLOR_NAMES = {
+  'a': 'Azul', 'n': 'Negro', 'r': 'Rojo', 'v': 'Verde',
+};
+
+/* Names of the standard colors in the API and gs-weblang-cli formats */
+const STANDARD_COLOR_FIELDS = {
+  'a': 'blue', 'n': 'black', 'r': 'red', 'v': 'green',
+};
+
+/* Return the keys of the colors in the cells of the given jboard */
+export function jboardColorKeys(jboard) {
+  return 'colors' in jboard ? jboard.colors : STANDARD_COLOR_KEYS;
+}
+
+function colorName(colorKey) {
+  return STANDARD_COLOR_NAMES[colorKey] || colorKey;
+}
+
+function colorField(colorKey) {
+  return STANDARD_COLOR_FIELDS[colorKey] || colorKey;
+}
+
+function emptyJboardCell(colorKeys) {
+  let cell = {};
+  for (let colorKey of colorKeys) {
+    cell[colorKey] = 0;
+  }
+  return cell;
+}
+
+/* Copy the named heads of a board in some format to a board in another
+ * format, converting their positions with the given function */
+function copyHeads(from, to, convertPosition) {
+  if ('heads' in from) {
+    to.heads = {};
+    for (let headName in from.heads) {
+      to.heads[headName] = convertPosition(from.heads[headName]);
+    }
+    to.currentHead = from.currentHead;
+  }
+}
+
+function positionToXY(position) {
+  return {x: position[0], y: position[1]};
+}
+
+function positionFromXY(xy) {
+  return [xy.x, xy.y];
+}
+
+/* Copy the list of colors of a board in some format to a board in
+ * another format, if they are not the standard ones */
+function copyColors(from, to) {
+  if ('colors' in from) {
+    to.colors = from.colors.slice();
+  }
+}
+
 class BoardFormat {
   constructor(formatName, description, extension, fromJboard, toJboard) {
     this._formatName = formatName;
@@ -55,27 +131,26 @@ class BoardFormat {
 }
 
 export function apiboardFromJboard(jboard) {
+  let colorKeys = jboardColorKeys(jboard);
   let apiboard = {};
   apiboard.head = {x: jboard.head[0], y: jboard.head[1]};
   apiboard.width = jboard.width;
   apiboard.height = jboard.height;
+  copyHeads(jboard, apiboard, positionToXY);
+  copyColors(jboard, apiboard);
   apiboard.table = [];
   for (let y = 0; y < jboard.height; y++) {
     let row = [];
     for (let x = 0; x < jboard.width; x++) {
       let cellO = jboard.board[x][y];
       let cell = {};
-      if (cellO.a > 0) {
-        cell.blue = cellO.a;
-      }
-      if (cellO.n > 0) {
-        cell.black = cellO.n;
-      }
-      if (cellO.r > 0) {
-        cell.red = cellO.r;
+      for (let colorKey of colorKeys) {
+        if (cellO[colorKey] > 0) {
+          cell[colorField(colorKey)] = cellO[colorKey];
+        }
       }
-      if (cellO.v > 0) {
-        cell.green = cellO.v;
+      if (cellO.blocked) {
+        cell.blocked = true;
       }
       row.push(cell);
     }
@@ -89,21 +164,23 @@ export function apiboardToJboard(apiboard) {
   jboard.head = [apiboard.head.x, apiboard.head.y];
   jboard.width = apiboard.width;
   jboard.height = apiboard.height;
+  copyHeads(apiboard, jboard, positionFromXY);
+  copyColors(apiboard, jboard);
+  let colorKeys = jboardColorKeys(jboard);
   jboard.board = [];
   for (let x = 0; x < jboard.width; x++) {
     let column = [];
     for (let y = 0; y < jboard.height; y++) {
       let cell = apiboard.table[jboard.height - y - 1][x];
-      let ca = ('blue' in cell) ? cell.blue : 0;
-      let cn = ('black' in cell) ? cell.black : 0;
-      let cr = ('red' in cell) ? cell.red : 0;
-      let cv = ('green' in cell) ? cell.green : 0;
-      column.push({
-        'a': ca,
-        'n': cn,
-        'r': cr,
-        'v': cv,
-      });
+      let jcell = {};
+      for (let colorKey of colorKeys) {
+        let field = colorField(colorKey);
+        jcell[colorKey] = (field in cell) ? cell[field] : 0;
+      }
+      if (cell.blocked) {
+        jcell.blocked = true;
+      }
+      column.push(jcell);
     }
     jboard.board.push(column);
   }
@@ -111,22 +188,27 @@ export function apiboardToJboard(apiboard) {
 }
 
 function gsboardFromJboard(jboard) {
+  let colorKeys = jboardColorKeys(jboard);
   let gsboard = {};
   gsboard.x = jboard.head[0];
   gsboard.y = jboard.head[1];
   gsboard.sizeX = jboard.width;
   gsboard.sizeY = jboard.height;
+  copyHeads(jboard, gsboard, positionToXY);
+  copyColors(jboard, gsboard);
   gsboard.table = [];
   for (let y = 0; y < jboard.height; y++) {
     let row = [];
     for (let x = 0; x < jboard.width; x++) {
       let cell = jboard.board[x][y];
-      row.push({
-        'blue': cell.a,
-        'black': cell.n,
-        'red': cell.r,
-        'green': cell.v,
-      });
+      let gscell = {};
+      for (let colorKey of colorKeys) {
+        gscell[colorField(colorKey)] = cell[colorKey];
+      }
+      if (cell.blocked) {
+        gscell.blocked = true;
+      }
+      row.push(gscell);
     }
     gsboard.table.unshift(row);
   }
@@ -139,17 +221,22 @@ function gsboardToJboard(gsBoardString) {
   jboard.head = [gsboard.x, gsboard.y];
   jboard.width = gsboard.sizeX;
   jboard.height = gsboard.sizeY;
+  copyHeads(gsboard, jboard, positionFromXY);
+  copyColors(gsboard, jboard);
+  let colorKeys = jboardColorKeys(jboard);
   jboard.board = [];
   for (let x = 0; x < jboard.width; x++) {
     let column = [];
     for (let y = 0; y < jboard.height; y++) {
       let cell = gsboard.table[jboard.height - y - 1][x];
-      column.push({
-        'a': cell.blue,
-        'n': cell.black,
-        'r': cell.red,
-        'v': cell.green,
-      });
+      let jcell = {};
+      for (let colorKey of colorKeys) {
+        jcell[colorKey] = cell[colorField(colorKey)];
+      }
+      if (cell.blocked) {
+        jcell.blocked = true;
+      }
+      column.push(jcell);
     }
     jboard.board.push(column);
   }
@@ -157,6 +244,7 @@ function gsboardToJboard(gsBoardString) {
 }
 
 export function gbbFromJboard(jboard) {
+  let colorKeys = jboardColorKeys(jboard);
   let gbb = [];
   gbb.push('GBB/1.0');
   gbb.push(
@@ -164,33 +252,56 @@ export function gbbFromJboard(jboard) {
     + ' ' + jboard.width.toString()
     + ' ' + jboard.height.toString()
   );
+  /* Colors other than the standard ones are declared as:
+   *   colors <name1> ... <nameK> */
+  if ('colors' in jboard) {
+    gbb.push(['colors'].concat(jboard.colors).join(' '));
+  }
   for (let y = 0; y < jboard.height; y++) {
     for (let x = 0; x < jboard.width; x++) {
       let cell = jboard.board[x][y];
-      if (cell.a + cell.n + cell.r + cell.v === 0) {
-        continue;
-      }
       let c = 'cell ' + x.toString() + ' ' + y.toString();
-      if (cell.a > 0) {
-        c += ' Azul ' + cell.a.toString();
-      }
-      if (cell.n > 0) {
-        c += ' Negro ' + cell.n.toString();
+      let hasStones = false;
+      for (let colorKey of colorKeys) {
+        if (cell[colorKey] > 0) {
+          c += ' ' + colorName(colorKey) + ' ' + cell[colorKey].toString();
+          hasStones = true;
+        }
       }
-      if (cell.r > 0) {
-        c += ' Rojo ' + cell.r.toString();
+      if (hasStones) {
+        gbb.push(c);
       }
-      if (cell.v > 0) {
-        c += ' Verde ' + cell.v.toString();
+    }
+  }
+  /* Blocked cells are declared as: blocked <x> <y> */
+  for (let y = 0; y < jboard.height; y++) {
+    for (let x = 0; x < jboard.width; x++) {
+      if (jboard.board[x][y].blocked) {
+        gbb.push('blocked ' + x.toString() + ' ' + y.toString());
       }
-      gbb.push(c);
     }
   }
-  gbb.push(
-    'head'
-    + ' ' + jboard.head[0].toString()
-    + ' ' + jboard.head[1].toString()
-  );
+  if ('heads' in jboard) {
+    /* Named heads are declared as: head <name> <x> <y>
+     * The first one is the current head. */
+    let headNames = Object.keys(jboard.heads).filter(
+      (headName) => headName !== jboard.currentHead
+    );
+    for (let headName of [jboard.currentHead].concat(headNames)) {
+      let position = jboard.heads[headName];
+      gbb.push(
+        'head ' + headName
+        + ' ' + position[0].toString()
+        + ' ' + position[1].toString()
+      );
+    }
+  } else {
+    gbb.push(
+      'head'
+      + ' ' + jboard.head[0].toString()
+      + ' ' + jboard.head[1].toString()
+    );
+  }
   return gbb.join('\n') + '\n';
 }
 
@@ -260,17 +371,22 @@ export function gbbToJboard(gbb) {
     throw Error('GBB/1.0: Board size should be positive.');
   }
   jboard.head = [0, 0];
-  jboard.board = [];
-  for (let i = 0; i < jboard.width; i++) {
-    let row = [];
-    for (let j = 0; j < jboard.height; j++) {
-      row.push({'a': 0, 'n': 0, 'r': 0, 'v': 0});
+
+  function emptyBoard(colorKeys) {
+    jboard.board = [];
+    for (let i = 0; i < jboard.width; i++) {
+      let row = [];
+      for (let j = 0; j < jboard.height; j++) {
+        row.push(emptyJboardCell(colorKeys));
+      }
+      jboard.board.push(row);
     }
-    jboard.board.push(row);
   }
+  emptyBoard(STANDARD_COLOR_KEYS);
 
   let headDeclared = false;
   let cellDeclared = {};
+  let anyDeclared = false;
   let colores = {
     'Azul': 'a',
     'A': 'a',
@@ -282,18 +398,73 @@ export function gbbToJboard(gbb) {
     'V': 'v',
   };
 
+  /* Color names are capitalized, unlike the commands */
+  function isColorName(token) {
+    return token.length > 0 && token[0] !== token[0].toLowerCase();
+  }
+
   while (i < gbb.length) {
     let op = readToken();
     if (op === '') {
       break;
-    } else if (op === 'head') {
-      if (headDeclared) {
+    } else if (op === 'colors') {
+      if ('colors' in jboard) {
+        throw Error('GBB/1.0: Colors cannot be declared twice.');
+      }
+      if (anyDeclared) {
+        throw Error(
+          'GBB/1.0: Colors should be declared right after the size.'
+        );
+      }
+      jboard.colors = [];
+      colores = {};
+      while (i < gbb.length) {
+        let color = readToken();
+        if (!isColorName(color)) {
+          i -= color.length;
+          break;
+        }
+        if (color in colores) {
+          throw Error('GBB/1.0: Color cannot be declared twice.');
+        }
+        jboard.colors.push(color);
+        colores[color] = color;
+      }
+      if (jboard.colors.length === 0) {
+        throw Error('GBB/1.0: There should be at least one color.');
+      }
+      emptyBoard(jboard.colors);
+      continue;
+    }
+    anyDeclared = true;
+    if (op === 'head') {
+      let headName = readToken();
+      if (isNumeric(headName)) {
+        i -= headName.length;
+        headName = null;
+      }
+      if (headDeclared || (headName === null && 'heads' in jboard)) {
         throw Error('GBB/1.0: Head position cannot be declared twice.');
       }
-      headDeclared = true;
+      if (headName !== null && 'heads' in jboard
+          && headName in jboard.heads) {
+        throw Error(
+          'GBB/1.0: Head "' + headName + '" cannot be declared twice.'
+        );
+      }
       let hx = readRange(0, jboard.width, 'GBB/1.0: Invalid head position.');
       let hy = readRange(0, jboard.height, 'GBB/1.0: Invalid head position.');
-      jboard.head = [hx, hy];
+      if (headName === null) {
+        headDeclared = true;
+        jboard.head = [hx, hy];
+      } else {
+        if (!('heads' in jboard)) {
+          jboard.heads = {};
+          jboard.currentHead = headName;
+          jboard.head = [hx, hy];
+        }
+        jboard.heads[headName] = [hx, hy];
+      }
     } else if (op === 'cell') {
       let cx = readRange(0, jboard.width, 'GBB/1.0: Invalid cell position.');
       let cy = readRange(0, jboard.height, 'GBB/1.0: Invalid cell position.');
@@ -316,6 +487,13 @@ export function gbbToJboard(gbb) {
         let n = readN('GBB/1.0: Invalid amount of stones.');
         jboard.board[cx][cy][colorId] = n;
       }
+    } else if (op === 'blocked') {
+      let bx = readRange(0, jboard.width, 'GBB/1.0: Invalid cell position.');
+      let by = readRange(0, jboard.height, 'GBB/1.0: Invalid cell position.');
+      if (jboard.board[bx][by].blocked) {
+        throw Error('GBB/1.0: Blocked cell cannot be declared twice.');
+      }
+      jboard.board[bx][by].blocked = true;
     } else {
       throw Error('GBB/1.0: Malformed board: unknown command "' + op + '".');
     }
@@ -323,6 +501,361 @@ export function gbbToJboard(gbb) {
   return jboard;
 }
 
+function samePosition(p, q) {
+  return p !== null && q !== null && p[0] === q[0] && p[1] === q[1];
+}
+
+function diffNamedHeads(a, b) {
+  let headsA = a.heads || {};
+  let headsB = b.heads || {};
+  let headNames = Object.keys(headsA);
+  for (let headName in headsB) {
+    if (!(headName in headsA)) {
+      headNames.push(headName);
+    }
+  }
+  let differences = [];
+  for (let headName of headNames) {
+    let positionA = headName in headsA ? headsA[headName].slice() : null;
+    let positionB = headName in headsB ? headsB[headName].slice() : null;
+    if (!samePosition(positionA, positionB)) {
+      differences.push({
+        'kind': 'head', 'name': headName, 'a': positionA, 'b': positionB,
+      });
+    }
+  }
+  let currentA = a.currentHead || null;
+  let currentB = b.currentHead || null;
+  if (currentA !== currentB) {
+    differences.push({'kind': 'currentHead', 'a': currentA, 'b': currentB});
+  }
+  return differences;
+}
+
+/* Differences between two jboards.
+ *
+ * Return a list of differences, each of which is an object of the form:
+ *   {kind: 'size', a: [width, height], b: [width, height]}
+ *   {kind: 'colors', a: [color, ...], b: [color, ...]}
+ *   {kind: 'head', a: [x, y], b: [x, y]}
+ *   {kind: 'head', name: headName, a: [x, y] or null, b: [x, y] or null}
+ *   {kind: 'currentHead', a: headName or null, b: headName or null}
+ *   {kind: 'stones', x: x, y: y, color: colorId, a: count, b: count}
+ *   {kind: 'blocked', x: x, y: y, a: blocked, b: blocked}
+ * where the 'a' and 'b' fields hold the values in each board, and
+ * colorId is one of 'a', 'n', 'r', 'v', or the name of a color
+ * declared by the boards. Boards with named heads are compared head by
+ * head, and a head that a board lacks is null.
+ *
+ * If the sizes or the colors differ, the cells are not compared.
+ * The list is empty if and only if the boards are equal. */
+export function diffJboards(a, b) {
+  if (a.width !== b.width || a.height !== b.height) {
+    return [{
+      'kind': 'size', 'a': [a.width, a.height], 'b': [b.width, b.height]
+    }];
+  }
+  let colorKeys = jboardColorKeys(a);
+  if (colorKeys.join(' ') !== jboardColorKeys(b).join(' ')) {
+    return [{
+      'kind': 'colors',
+      'a': colorKeys.map(colorName),
+      'b': jboardColorKeys(b).map(colorName),
+    }];
+  }
+  let differences = [];
+  if ('heads' in a || 'heads' in b) {
+    differences = diffNamedHeads(a, b);
+  } else if (!samePosition(a.head, b.head)) {
+    differences.push({
+      'kind': 'head', 'a': a.head.slice(), 'b': b.head.slice()
+    });
+  }
+  for (let y = 0; y < a.height; y++) {
+    for (let x = 0; x < a.width; x++) {
+      let blockedA = a.board[x][y].blocked === true;
+      let blockedB = b.board[x][y].blocked === true;
+      if (blockedA !== blockedB) {
+        differences.push({
+          'kind': 'blocked', 'x': x, 'y': y, 'a': blockedA, 'b': blockedB,
+        });
+      }
+      for (let colorId of colorKeys) {
+        let countA = a.board[x][y][colorId];
+        let countB = b.board[x][y][colorId];
+        if (countA !== countB) {
+          differences.push({
+            'kind': 'stones', 'x': x, 'y': y, 'color': colorId,
+            'a': countA, 'b': countB,
+          });
+        }
+      }
+    }
+  }
+  return differences;
+}
+
+/* Return a human-readable line for each of the differences returned by
+ * diffJboards. The boards are called by the given names (by default,
+ * "expected" and "actual"). */
+export function textFromJboardDiff(differences, nameA, nameB) {
+  nameA = nameA || 'expected';
+  nameB = nameB || 'actual';
+  function versus(valueA, valueB) {
+    return nameA + ' ' + valueA + ', ' + nameB + ' ' + valueB;
+  }
+  function position(x, y) {
+    return '(' + x.toString() + ', ' + y.toString() + ')';
+  }
+  function headPosition(head) {
+    return head === null ? 'none' : position(head[0], head[1]);
+  }
+  return differences.map((difference) => {
+    switch (difference.kind) {
+      case 'size':
+        return 'Board size: ' + versus(
+          difference.a.join('x'), difference.b.join('x')
+        );
+      case 'colors':
+        return 'Colors: ' + versus(
+          difference.a.join(', '), difference.b.join(', ')
+        );
+      case 'head':
+        return (
+          'name' in difference ? 'Head "' + difference.name + '" position: '
+                               : 'Head position: '
+        ) + versus(headPosition(difference.a), headPosition(difference.b));
+      case 'currentHead':
+        return 'Current head: ' + versus(
+          difference.a === null ? 'none' : difference.a,
+          difference.b === null ? 'none' : difference.b
+        );
+      case 'blocked':
+        return 'Cell ' + position(difference.x, difference.y)
+             + ', blocked: ' + versus(
+               difference.a ? 'yes' : 'no', difference.b ? 'yes' : 'no'
+             );
+      default:
+        return 'Cell ' + position(difference.x, difference.y)
+             + ', ' + colorName(difference.color) + ' stones: '
+             + versus(difference.a, difference.b);
+    }
+  });
+}
+
+/*
+ * Text rendering of boards, meant to be read in a terminal.
+ * Each cell is drawn as two lines, with the number of stones of each
+ * color, e.g.:
+ *
+ *     ┌─────────┬─────────┐
+ *   1 │ A1  N12 │         │
+ *     │     V3  │         │
+ *     ├─────────┼─────────┤
+ *   0 │[       ]│         │
+ *     │[R1     ]│         │
+ *     └─────────┴─────────┘
+ *          0         1
+ *
+ * The head is marked with square brackets, the other heads of boards
+ * with named heads are marked with parentheses, and blocked cells are
+ * filled with '#'. Colors other than the standard ones are identified
+ * by the shortest prefix of their names that tells them apart, and
+ * there are as many lines per cell as needed to show two colors in
+ * each line.
+ *
+ * The options are:
+ *   options.ascii  = draw the grid using only ASCII characters
+ *   options.colors = use ANSI escape codes to color the stones
+ */
+
+const TEXT_BOARD_BOX_UNICODE = {
+  'horizontal': '─',
+  'vertical': '│',
+  'top': ['┌', '┬', '┐'],
+  'middle': ['├', '┼', '┤'],
+  'bottom': ['└', '┴', '┘'],
+};
+
+const TEXT_BOARD_BOX_ASCII = {
+  'horizontal': '-',
+  'vertical': '|',
+  'top': ['+', '+', '+'],
+  'middle': ['+', '+', '+'],
+  'bottom': ['+', '+', '+'],
+};
+
+/* ANSI colors of the stones, in the order of the colors of the board */
+const TEXT_BOARD_ANSI_COLORS = [
+  '\x1b[34m', '\x1b[90m', '\x1b[31m', '\x1b[32m',
+  '\x1b[33m', '\x1b[35m', '\x1b[36m', '\x1b[37m',
+];
+
+const ANSI_BOLD = '\x1b[1m';
+const ANSI_RESET = '\x1b[0m';
+
+/* Text helpers, also used by other textual reports (e.g. profiles) */
+
+export function repeatString(string, n) {
+  let result = '';
+  for (let i = 0; i < n; i++) {
+    result += string;
+  }
+  return result;
+}
+
+export function padLeft(string, width) {
+  return repeatString(' ', width - string.length) + string;
+}
+
+export function padRight(string, width) {
+  return string + repeatString(' ', width - string.length);
+}
+
+function centered(string, width) {
+  let left = Math.floor((width - string.length) / 2);
+  return padRight(repeatString(' ', left) + string, width);
+}
+
+/* Return the shortest prefixes that tell the given names apart */
+function distinctPrefixes(names) {
+  return names.map((name) => {
+    let length = 1;
+    while (length < name.length && names.some((other) =>
+      other !== name && other.substring(0, length) === name.substring(0, length)
+    )) {
+      length++;
+    }
+    return name.substring(0, length);
+  });
+}
+
+/* Return the stones shown in each line of a cell, two per line, each of
+ * the form [colorKey, label, ansiCode], where the label identifies the
+ * color (e.g. 'A' for Azul). A missing stone is null. */
+function textBoardStones(jboard) {
+  let colorKeys = jboardColorKeys(jboard);
+  let labels = distinctPrefixes(colorKeys.map(colorName));
+  let lines = [];
+  for (let i = 0; i < colorKeys.length; i += 2) {
+    let line = [];
+    for (let j = i; j < i + 2; j++) {
+      if (j < colorKeys.length) {
+        line.push([
+          colorKeys[j], labels[j],
+          TEXT_BOARD_ANSI_COLORS[j % TEXT_BOARD_ANSI_COLORS.length],
+        ]);
+      } else {
+        line.push(null);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+export function textFromJboard(jboard, options) {
+  options = options || {};
+  let box = options.ascii ? TEXT_BOARD_BOX_ASCII : TEXT_BOARD_BOX_UNICODE;
+
+  function paint(string, ansiCode) {
+    return options.colors ? ansiCode + string + ANSI_RESET : string;
+  }
+
+  let colorKeys = jboardColorKeys(jboard);
+  let stoneLines = textBoardStones(jboard);
+  let otherHeads = [];
+  for (let headName in jboard.heads || {}) {
+    if (headName !== jboard.currentHead) {
+      otherHeads.push(jboard.heads[headName]);
+    }
+  }
+
+  /* All the cells are as wide as needed for the largest number */
+  let digits = 1;
+  for (let column of jboard.board) {
+    for (let cell of column) {
+      for (let colorId of colorKeys) {
+        digits = Math.max(digits, cell[colorId].toString().length);
+      }
+    }
+  }
+  let labelLength = 1;
+  for (let line of stoneLines) {
+    for (let description of line) {
+      if (description !== null) {
+        labelLength = Math.max(labelLength, description[1].length);
+      }
+    }
+  }
+  let stoneWidth = labelLength + digits;
+  let cellWidth = 2 * stoneWidth + 3;
+  let labelWidth = (jboard.height - 1).toString().length;
+
+  function stone(cell, description) {
+    if (description === null || cell[description[0]] === 0) {
+      return repeatString(' ', stoneWidth);
+    }
+    let count = cell[description[0]].toString();
+    return paint(padRight(description[1] + count, stoneWidth), description[2]);
+  }
+
+  function cellLine(x, y, line) {
+    let cell = jboard.board[x][y];
+    let contents;
+    if (cell.blocked) {
+      contents = repeatString('#', cellWidth - 2);
+    } else {
+      contents = stoneLines[line].map((description) =>
+        stone(cell, description)
+      ).join(' ');
+    }
+    let left = ' ';
+    let right = ' ';
+    if (samePosition(jboard.head, [x, y])) {
+      left = paint('[', ANSI_BOLD);
+      right = paint(']', ANSI_BOLD);
+    } else if (otherHeads.some((head) => samePosition(head, [x, y]))) {
+      left = paint('(', ANSI_BOLD);
+      right = paint(')', ANSI_BOLD);
+    }
+    return left + contents + right;
+  }
+
+  function border(corners) {
+    let segments = [];
+    for (let x = 0; x < jboard.width; x++) {
+      segments.push(repeatString(box.horizontal, cellWidth));
+    }
+    return repeatString(' ', labelWidth + 1)
+         + corners[0] + segments.join(corners[1]) + corners[2];
+  }
+
+  let lines = [border(box.top)];
+  for (let y = jboard.height - 1; y >= 0; y--) {
+    for (let line = 0; line < stoneLines.length; line++) {
+      let label = line === 0 ? y.toString() : '';
+      let cells = [];
+      for (let x = 0; x < jboard.width; x++) {
+        cells.push(cellLine(x, y, line));
+      }
+      lines.push(
+        padLeft(label, labelWidth) + ' '
+      + box.vertical + cells.join(box.vertical) + box.vertical
+      );
+    }
+    lines.push(border(y > 0 ? box.middle : box.bottom));
+  }
+  let xLabels = [];
+  for (let x = 0; x < jboard.width; x++) {
+    xLabels.push(centered(x.toString(), cellWidth));
+  }
+  lines.push(
+    (repeatString(' ', labelWidth + 2) + xLabels.join(' ')).replace(/ +$/, '')
+  );
+  return lines.join('\n');
+}
+
 let BOARD_FORMAT_LIST = [
 
   new BoardFormat(
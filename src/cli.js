@@ -2,7 +2,23 @@
 
 import { RuntimeState } from './runtime.js';
 import { Runner } from './runner.js';
-import { readJboardFromFile, writeJboardToFile } from './board_formats.js';
+import {
+  readJboardFromFile, writeJboardToFile, textFromJboard,
+  diffJboards, textFromJboardDiff,
+} from './board_formats.js';
+import { runLanguageServer } from './lsp.js';
+import { Repl, runRepl } from './repl.js';
+import { SnapshotTaker } from './snapshot_taker.js';
+import { DEFAULT_ANIMATION_DELAY, playAnimation } from './animation.js';
+import { isTraceFilename, writeTraceToFile } from './trace_export.js';
+import { Profiler, textFromProfile } from './profiler.js';
+import { Coverage } from './coverage.js';
+import {
+  DEFAULT_MAX_STEPS, readTestSpecFromFile, runTestSpec, textFromTestResults
+} from './exercise_tests.js';
+import {
+  DEFAULT_CHECK_OPTIONS, checkAgainstReference, textFromCheckResult
+} from './property_check.js';
 
 const fs = require('fs');
 
@@ -15,8 +31,24 @@ function readOptions(argv) {
     'arguments': [],
     'initial-board': null,
     'output-board': null,
+    'expect-board': null,
+    'board-format': null,
+    'color': false,
+    'animate': null,
+    'max-steps': null,
+    'num-tests': DEFAULT_CHECK_OPTIONS.numTests,
+    'seed': DEFAULT_CHECK_OPTIONS.seed,
+    'profile': false,
+    'profile-folded': null,
+    'coverage': null,
+    'coverage-listing': false,
+    'export-trace': null,
     'print-ast': false,
     'print-code': false,
+    'type-check': false,
+    'style-checks': false,
+    'lsp': false,
+    'repl': false,
     'help': false,
   };
   let i = 2;
@@ -27,6 +59,14 @@ function readOptions(argv) {
       options['print-ast'] = true;
     } else if (argv[i] === '-c' || argv[i] === '--code') {
       options['print-code'] = true;
+    } else if (argv[i] === '-t' || argv[i] === '--type-check') {
+      options['type-check'] = true;
+    } else if (argv[i] === '-w' || argv[i] === '--style-checks') {
+      options['style-checks'] = true;
+    } else if (argv[i] === '--lsp') {
+      options['lsp'] = true;
+    } else if (argv[i] === '--repl') {
+      options['repl'] = true;
     } else if (argv[i] === '-i' && i + 1 < argv.length) {
       options['initial-board'] = argv[i + 1];
       i++;
@@ -37,6 +77,35 @@ function readOptions(argv) {
       i++;
     } else if (startsWith(argv[i], '--output-board=')) {
       options['output-board'] = argv[i].substring('--output-board='.length);
+    } else if (startsWith(argv[i], '--expect-board=')) {
+      options['expect-board'] = argv[i].substring('--expect-board='.length);
+    } else if (startsWith(argv[i], '--board-format=')) {
+      options['board-format'] = argv[i].substring('--board-format='.length);
+    } else if (argv[i] === '--color') {
+      options['color'] = true;
+    } else if (argv[i] === '--animate') {
+      options['animate'] = DEFAULT_ANIMATION_DELAY;
+    } else if (argv[i] === '--profile') {
+      options['profile'] = true;
+    } else if (startsWith(argv[i], '--profile-folded=')) {
+      options['profile-folded'] =
+        argv[i].substring('--profile-folded='.length);
+    } else if (startsWith(argv[i], '--coverage=')) {
+      options['coverage'] = argv[i].substring('--coverage='.length);
+    } else if (argv[i] === '--coverage-listing') {
+      options['coverage-listing'] = true;
+    } else if (startsWith(argv[i], '--max-steps=')) {
+      options['max-steps'] =
+        parseInt(argv[i].substring('--max-steps='.length), 10);
+    } else if (startsWith(argv[i], '--num-tests=')) {
+      options['num-tests'] =
+        parseInt(argv[i].substring('--num-tests='.length), 10);
+    } else if (startsWith(argv[i], '--seed=')) {
+      options['seed'] = parseInt(argv[i].substring('--seed='.length), 10);
+    } else if (startsWith(argv[i], '--export-trace=')) {
+      options['export-trace'] = argv[i].substring('--export-trace='.length);
+    } else if (startsWith(argv[i], '--animate=')) {
+      options['animate'] = parseInt(argv[i].substring('--animate='.length), 10);
     } else {
       options['arguments'].push(argv[i]);
     }
@@ -49,18 +118,75 @@ function help() {
   let helpMessage = [
     'Usage:',
     'gobstones-interpreter input.gbs',
+    'gobstones-interpreter --lsp',
+    'gobstones-interpreter --repl [-i <file>]',
+    'gobstones-interpreter test spec.json [program.gbs]',
+    'gobstones-interpreter check program.gbs reference.gbs',
     '',
     ' -a, --ast                   Print AST (do not run).',
     ' -c, --code                  Print virtual machine code (do not run).',
     ' -i, --initial-board=<file>  Load initial board. Default: empty 9x9.',
     ' -o, --output-board=<file>   Save final board.',
+    ' --expect-board=<file>       Exit with an error status if the final',
+    '                             board differs from the given one.',
+    ' --board-format=<format>     Print boards as "json" (default),',
+    '                             "text" or "ascii".',
+    '                             Default for the REPL: "text".',
+    ' --color                     Use colors when printing boards as text.',
+    ' --animate[=<ms>]            Replay the execution step by step,',
+    '                             waiting <ms> millisecs between steps.',
+    '                             Default: ' + DEFAULT_ANIMATION_DELAY + '.',
+    ' --export-trace=<file>       Save the execution step by step as an',
+    '                             animated ".svg" or an ".html" player.',
+    ' -t, --type-check            Reject statically ill-typed programs.',
+    ' -w, --style-checks          Warn about unused names, constant',
+    '                             conditions and loops without effect.',
+    ' --max-steps=<n>             Fail if the program executes more than',
+    '                             <n> instructions. Default: no limit',
+    '                             (with "test", '
+    + DEFAULT_MAX_STEPS + ' per case;',
+    '                             with "check", '
+    + DEFAULT_CHECK_OPTIONS.maxSteps + ' per run).',
+    ' --num-tests=<n>             With "check", compare the programs on',
+    '                             <n> random boards. Default: '
+    + DEFAULT_CHECK_OPTIONS.numTests + '.',
+    ' --seed=<n>                  With "check", seed of the random boards.',
+    '                             Default: ' + DEFAULT_CHECK_OPTIONS.seed
+    + '.',
+    ' --profile                   Print the number of calls, instructions',
+    '                             and time of each routine, and the number',
+    '                             of calls to each primitive.',
+    ' --profile-folded=<file>     Save the profile as folded stacks, to be',
+    '                             drawn as a flamegraph.',
+    ' --coverage=<file>           Save the line and branch coverage in LCOV',
+    '                             format. With "test", the coverage of all',
+    '                             the cases is accumulated.',
+    ' --coverage-listing          Print the source annotated with the',
+    '                             number of times each line was executed.',
+    ' --lsp                       Run a language server over stdin/stdout.',
+    ' --repl                      Define and run code interactively.',
     ' -h, --help                  Display this help message.',
   ];
   console.log(helpMessage.join('\n'));
 }
 
-function printGbsException(exception) {
-  console.log(exception.message);
+/* Formats in which boards may be printed to the standard output */
+const BOARD_OUTPUT_FORMATS = ['json', 'text', 'ascii'];
+
+function textBoardOptions(options, format) {
+  return {'ascii': format === 'ascii', 'colors': options['color']};
+}
+
+function showJboard(options, defaultFormat, jboard) {
+  let format = options['board-format'] || defaultFormat;
+  if (format === 'json') {
+    return JSON.stringify(jboard);
+  } else {
+    return textFromJboard(jboard, textBoardOptions(options, format));
+  }
+}
+
+function gbsExceptionLocation(exception) {
   let startPos = [
     exception.startPos.filename,
     exception.startPos.line,
@@ -70,51 +196,299 @@ function printGbsException(exception) {
     exception.endPos.line,
     exception.endPos.column,
   ].join(':');
-  console.log('At: ' + startPos + '--' + endPos);
+  return 'At: ' + startPos + '--' + endPos;
+}
+
+function printGbsException(exception) {
+  console.log(exception.message);
+  console.log(gbsExceptionLocation(exception));
+}
+
+/* Reports about the program, such as warnings, profiles and coverage
+ * listings, are printed to the standard error, so as not to mix them
+ * with the output of the program */
+function printToStderr(lines) {
+  for (let line of lines) {
+    console.error(line);
+  }
+}
+
+function printGbsWarnings(runner) {
+  for (let warning of runner.warnings) {
+    printToStderr([warning.message, gbsExceptionLocation(warning)]);
+  }
+}
+
+/* With --expect-board, the run fails unless the program ends
+ * successfully with the expected board */
+function checkExpectedBoard(options, finalState) {
+  if (options['expect-board'] === null) {
+    return;
+  }
+  let expectedState = readJboardFromFile(options['expect-board']);
+  let differences = diffJboards(expectedState, finalState);
+  if (differences.length > 0) {
+    console.error('The final board differs from the expected board:');
+    for (let line of textFromJboardDiff(differences)) {
+      console.error('  ' + line);
+    }
+    process.exitCode = 1;
+  }
+}
+
+function failExpectedBoard(options) {
+  if (options['expect-board'] !== null) {
+    process.exitCode = 1;
+  }
+}
+
+/* If no default format is given, the final board is only printed
+ * when a format is explicitly requested */
+function printExecutionResult(options, runner, defaultFormat) {
+  let finalState = runner.globalState.dump();
+  if (defaultFormat !== null || options['board-format'] !== null) {
+    console.log(showJboard(options, defaultFormat, finalState));
+  }
+  if (options['output-board'] !== null) {
+    writeJboardToFile(options['output-board'], finalState);
+  }
+  if (runner.result !== null) {
+    /* The program has a return value */
+    console.log(runner.result.toString());
+  }
+  checkExpectedBoard(options, finalState);
+}
+
+function printRunnerErrors(runner, exception) {
+  if (exception.isGobstonesException === undefined) {
+    throw exception;
+  }
+  if (runner.parseErrors.length > 0) {
+    /* Report all the syntax errors found by the parser */
+    for (let parseError of runner.parseErrors) {
+      printGbsException(parseError);
+    }
+  } else if (runner.lintErrors.length > 0) {
+    /* Report all the errors found by the linter */
+    for (let lintError of runner.lintErrors) {
+      printGbsException(lintError);
+    }
+  } else {
+    printGbsException(exception);
+  }
+}
+
+/* The last frame already shows the final board, so after it only the
+ * result (or the runtime error) is printed. */
+function animateSnapshots(options, runner, snapshots, runtimeError) {
+  let format = options['board-format'] || 'text';
+  playAnimation(
+    snapshots,
+    process.stdout,
+    options['animate'],
+    textBoardOptions(options, format === 'json' ? 'text' : format),
+    () => {
+      if (runtimeError === null) {
+        printExecutionResult(options, runner, null);
+      } else {
+        printGbsException(runtimeError);
+        failExpectedBoard(options);
+      }
+    }
+  );
+}
+
+/* Attach a profiler to the runner if --profile or --profile-folded
+ * is given. Return the profiler, or null if not requested. */
+function newProfilerIfRequested(options, runner) {
+  if (!options['profile'] && options['profile-folded'] === null) {
+    return null;
+  }
+  let profiler = new Profiler();
+  runner.setProfiler(profiler);
+  return profiler;
+}
+
+function reportProfile(options, profiler) {
+  if (profiler === null) {
+    return;
+  }
+  if (options['profile']) {
+    printToStderr(textFromProfile(profiler));
+  }
+  if (options['profile-folded'] !== null) {
+    fs.writeFileSync(
+      options['profile-folded'], profiler.foldedStacks().join('\n') + '\n',
+      'utf8'
+    );
+  }
+}
+
+function newCoverageIfRequested(options) {
+  if (options['coverage'] === null && !options['coverage-listing']) {
+    return null;
+  }
+  return new Coverage();
+}
+
+function reportCoverage(options, coverage, filename, contents) {
+  if (coverage === null) {
+    return;
+  }
+  if (options['coverage'] !== null) {
+    fs.writeFileSync(options['coverage'], coverage.lcov(), 'utf8');
+  }
+  if (options['coverage-listing']) {
+    printToStderr(coverage.annotatedListing(filename, contents));
+  }
+}
+
+/* Run the program recording a snapshot after each step.
+ * The snapshots are saved to the trace file, if requested, and replayed
+ * in the terminal when animating. */
+function runTakingSnapshots(options, runner, initialState, profiler) {
+  let snapshotTaker = new SnapshotTaker(runner);
+  let runtimeError = null;
+  try {
+    runner.executeWithTimeoutTakingSnapshots(
+      initialState, 0, snapshotTaker.takeSnapshot.bind(snapshotTaker)
+    );
+  } catch (exception) {
+    if (exception.isGobstonesException === undefined) {
+      throw exception;
+    }
+    runtimeError = exception;
+  }
+  reportProfile(options, profiler);
+  if (options['export-trace'] !== null) {
+    writeTraceToFile(
+      options['export-trace'], snapshotTaker.snapshots(), options['animate']
+    );
+  }
+  if (options['animate'] !== null) {
+    animateSnapshots(options, runner, snapshotTaker.snapshots(), runtimeError);
+  } else if (runtimeError === null) {
+    printExecutionResult(options, runner, 'json');
+  } else {
+    printGbsException(runtimeError);
+    failExpectedBoard(options);
+  }
 }
 
 function runProgram(options, filename) {
   let contents = fs.readFileSync(filename, 'utf8');
+  let runner = new Runner();
   try {
     let inputs = {};
     inputs[filename] = contents;
-    let runner = new Runner();
+
+    /* The program uses the colors declared by the initial board */
+    let initialState = new RuntimeState();
+    if (options['initial-board'] !== null) {
+      let initialBoard = readJboardFromFile(options['initial-board']);
+      initialState.load(initialBoard);
+      runner.setColorNames(initialBoard.colors || null);
+    }
+
+    runner.recoverFromParseErrors(true);
+    runner.collectAllLintErrors(true);
+    runner.enableStaticTypeChecking(options['type-check']);
+    runner.enableStyleChecks(options['style-checks']);
+    runner.setMaxSteps(options['max-steps'] || 0);
+    runner.parse(inputs);
+    runner.lint();
+    printGbsWarnings(runner);
 
     if (options['print-ast']) {
-      runner.parse(inputs);
-      runner.lint();
       console.log(runner.abstractSyntaxTree.toString());
       return;
     }
 
+    runner.compile();
+
     if (options['print-code']) {
-      runner.parse(inputs);
-      runner.lint();
-      runner.compile();
       console.log(runner.virtualMachineCode.toString());
       return;
     }
 
-    let initialState = new RuntimeState();
-    if (options['initial-board'] !== null) {
-      initialState.load(readJboardFromFile(options['initial-board']));
+    let profiler = newProfilerIfRequested(options, runner);
+    let coverage = newCoverageIfRequested(options);
+    if (coverage !== null) {
+      runner.setCoverage(coverage);
     }
-
-    let output = runner.runState(inputs, initialState);
-    let finalState = output.state.dump();
-    console.log(JSON.stringify(finalState));
-    if (options['output-board'] !== null) {
-      writeJboardToFile(options['output-board'], finalState);
+    if (options['animate'] !== null || options['export-trace'] !== null) {
+      runTakingSnapshots(options, runner, initialState, profiler);
+      reportCoverage(options, coverage, filename, contents);
+      return;
     }
-    if (output.result !== null) {
-      /* The program has a return value */
-      console.log(output.result.toString());
+
+    try {
+      runner.execute(initialState);
+    } finally {
+      reportProfile(options, profiler);
+      reportCoverage(options, coverage, filename, contents);
     }
+    printExecutionResult(options, runner, 'json');
+  } catch (exception) {
+    printRunnerErrors(runner, exception);
+    failExpectedBoard(options);
+  }
+}
+
+/* Run the cases of a test spec (see src/exercise_tests.js).
+ * Exit with an error status if some case fails. */
+function runTests(options, specFilename, programFilename) {
+  let spec = readTestSpecFromFile(specFilename, programFilename);
+  let coverage = newCoverageIfRequested(options);
+  let testOptions = {'typeCheck': options['type-check']};
+  if (coverage !== null) {
+    testOptions.coverage = coverage;
+  }
+  if (options['max-steps'] !== null) {
+    testOptions.maxSteps = options['max-steps'];
+  }
+  let results = runTestSpec(spec, testOptions);
+  for (let line of textFromTestResults(results)) {
+    console.log(line);
+  }
+  reportCoverage(options, coverage, spec.programFilename, spec.program);
+  if (results.some((result) => result.failures.length > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+/* Compare a program with a reference program on random boards (see
+ * src/property_check.js). Exit with an error status if they disagree. */
+function runCheck(options, filename, referenceFilename) {
+  let inputs = {};
+  inputs[filename] = fs.readFileSync(filename, 'utf8');
+  let referenceInputs = {};
+  referenceInputs[referenceFilename] =
+    fs.readFileSync(referenceFilename, 'utf8');
+  let checkOptions = {
+    'numTests': options['num-tests'],
+    'seed': options['seed'],
+  };
+  if (options['max-steps'] !== null) {
+    checkOptions.maxSteps = options['max-steps'];
+  }
+  let check;
+  try {
+    check = checkAgainstReference(inputs, referenceInputs, checkOptions);
   } catch (exception) {
     if (exception.isGobstonesException === undefined) {
       throw exception;
     }
     printGbsException(exception);
+    process.exitCode = 1;
+    return;
+  }
+  let boardOptions = textBoardOptions(options, options['board-format']);
+  for (let line of textFromCheckResult(check, boardOptions)) {
+    console.log(line);
+  }
+  if (check.counterexample !== null) {
+    process.exitCode = 1;
   }
 }
 
@@ -126,7 +500,68 @@ function main() {
     return;
   }
 
-  if (options['arguments'].length === 1) {
+  if (options['lsp']) {
+    runLanguageServer(process.stdin, process.stdout, (code) => {
+      process.exit(code);
+    });
+    return;
+  }
+
+  if (options['board-format'] !== null
+      && BOARD_OUTPUT_FORMATS.indexOf(options['board-format']) === -1) {
+    console.log('Unknown board format: ' + options['board-format']);
+    help();
+    return;
+  }
+
+  if (options['animate'] !== null
+      && !(options['animate'] >= 0)) {
+    console.log('Invalid animation delay.');
+    help();
+    return;
+  }
+
+  if (options['max-steps'] !== null && !(options['max-steps'] >= 0)) {
+    console.log('Invalid step limit.');
+    help();
+    return;
+  }
+
+  if (!(options['num-tests'] >= 1) || isNaN(options['seed'])) {
+    console.log('Invalid number of tests or seed.');
+    help();
+    return;
+  }
+
+  if (options['export-trace'] !== null
+      && !isTraceFilename(options['export-trace'])) {
+    console.log('Unknown trace format: ' + options['export-trace']);
+    help();
+    return;
+  }
+
+  if (options['repl']) {
+    let initialState = new RuntimeState();
+    if (options['initial-board'] !== null) {
+      initialState.load(readJboardFromFile(options['initial-board']));
+    }
+    let repl = new Repl(
+      initialState, (jboard) => showJboard(options, 'text', jboard)
+    );
+    runRepl(repl, process.stdin, process.stdout, () => {
+      process.exit(0);
+    });
+    return;
+  }
+
+  if (options['arguments'][0] === 'test'
+      && (options['arguments'].length === 2
+       || options['arguments'].length === 3)) {
+    runTests(options, options['arguments'][1], options['arguments'][2]);
+  } else if (options['arguments'][0] === 'check'
+             && options['arguments'].length === 3) {
+    runCheck(options, options['arguments'][1], options['arguments'][2]);
+  } else if (options['arguments'].length === 1) {
     runProgram(options, options['arguments'][0]);
   } else {
     help();
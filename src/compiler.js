@@ -103,12 +103,13 @@ import { i18n } from './i18n';
  */
 export class Compiler {
 
-  constructor(symtable) {
+  /* The primitives default to the built-in ones (see RuntimePrimitives) */
+  constructor(symtable, primitives) {
     this._symtable = symtable;
     this._code = new Code([]);
     this._nextLabel = 0;
     this._nextVariable = 0;
-    this._primitives = new RuntimePrimitives();
+    this._primitives = primitives || new RuntimePrimitives();
   }
 
   compile(ast) {
@@ -116,6 +117,28 @@ export class Compiler {
     return this._code;
   }
 
+  /* Compile an isolated boolean expression (e.g. the condition of
+   * a breakpoint) as a routine that evaluates it and returns its value:
+   *
+   *   L:
+   *     <condition>
+   *     TypeCheck Bool
+   *     Return
+   *
+   * The instructions are appended to the code produced by the last
+   * call to compile. Return the label L of the new routine.
+   */
+  compileCondition(expression) {
+    let label = this._freshLabel();
+    this._produce(expression.startPos, expression.endPos, new ILabel(label));
+    this._compileExpression(expression);
+    this._produceList(expression.startPos, expression.endPos, [
+      new ITypeCheck(new TypeStructure(i18n('TYPE:Bool'), {})),
+      new IReturn(),
+    ]);
+    return label;
+  }
+
   _compileMain(ast) {
     /* Accept the empty source */
     if (ast.definitions.length === 0) {
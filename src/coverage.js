@@ -0,0 +1,259 @@
+/* Code coverage.
+ *
+ * When a Coverage collector is given to the virtual machine (see
+ * VirtualMachine.setCoverage), the VM notifies it of every instruction
+ * it executes, and of the outcome of every conditional jump.
+ * The collector may be shared by many runs of the same program (for
+ * example, one run for each test board), in which case the coverage
+ * of all the runs is accumulated.
+ *
+ * Line coverage counts how many times each source line was executed,
+ * that is, the maximum number of times that any of the instructions
+ * compiled from the line was executed.
+ *
+ * Branch coverage counts, for each conditional jump, how many times
+ * the jump was taken and how many times it was not taken. Conditional
+ * jumps are produced by if/elseif, switch and matching branches,
+ * choose alternatives and loops, so each branch of those constructs is
+ * covered if the corresponding outcome of the jump occurred.
+ *
+ * The results can be reported in LCOV format (see lcov) or as an
+ * annotated source listing (see annotatedListing).
+ */
+
+import {
+  I_JumpIfFalse, I_JumpIfStructure, I_JumpIfTuple
+} from './instruction.js';
+import { UnknownPosition } from './reader.js';
+import { padLeft } from './board_formats.js';
+
+const CONDITIONAL_JUMPS = [I_JumpIfFalse, I_JumpIfStructure, I_JumpIfTuple];
+
+function compareNumbers(n1, n2) {
+  return n1 - n2;
+}
+
+function stableSortByLine(items) {
+  let indexed = items.map((item, index) => ({'item': item, 'index': index}));
+  indexed.sort((a, b) => a.item.line - b.item.line || a.index - b.index);
+  return indexed.map((entry) => entry.item);
+}
+
+export class Coverage {
+
+  constructor() {
+    /* Dictionary mapping each filename to a dictionary mapping the
+     * lines that have code to the instruction pointers of their
+     * instructions */
+    this._lines = {};
+    /* Array mapping each instruction pointer to the number of times
+     * the instruction was executed */
+    this._instructionHits = [];
+    /* Dictionary mapping the instruction pointer of each conditional
+     * jump to an object of the form
+     *   {filename: F, line: L, taken: T, notTaken: N}
+     * where T and N are the number of times it jumped or not */
+    this._branches = {};
+  }
+
+  /* Hooks called by the virtual machine */
+
+  /* Register the lines and branches of the compiled program, so they
+   * are reported even if they are never executed. Registering the same
+   * program many times has no effect. */
+  registerCode(code) {
+    for (let ip = 0; ip < code.size(); ip++) {
+      let instruction = code.at(ip);
+      let position = instruction.startPos;
+      if (position.filename === UnknownPosition.filename
+          || this._instructionHits[ip] !== undefined) {
+        continue;
+      }
+      this._instructionHits[ip] = 0;
+      let lines = this._fileLines(position.filename);
+      if (!(position.line in lines)) {
+        lines[position.line] = [];
+      }
+      lines[position.line].push(ip);
+      if (CONDITIONAL_JUMPS.indexOf(instruction.opcode) !== -1) {
+        this._branches[ip] = {
+          'filename': position.filename,
+          'line': position.line,
+          'taken': 0,
+          'notTaken': 0,
+        };
+      }
+    }
+  }
+
+  countInstruction(ip) {
+    if (this._instructionHits[ip] !== undefined) {
+      this._instructionHits[ip]++;
+    }
+  }
+
+  countBranch(ip, jump) {
+    if (ip in this._branches) {
+      if (jump) {
+        this._branches[ip].taken++;
+      } else {
+        this._branches[ip].notTaken++;
+      }
+    }
+  }
+
+  /* Results */
+
+  filenames() {
+    return Object.keys(this._lines).sort();
+  }
+
+  /* Return a dictionary mapping the lines of the given file that have
+   * code to the number of times they were executed */
+  lineHits(filename) {
+    let lines = this._lines[filename] || {};
+    let lineHits = {};
+    for (let line in lines) {
+      lineHits[line] = Math.max.apply(
+        null, lines[line].map((ip) => this._instructionHits[ip])
+      );
+    }
+    return lineHits;
+  }
+
+  /* Return the list of conditional jumps in the given file, sorted by
+   * line, each of the form {line: L, taken: T, notTaken: N} */
+  branches(filename) {
+    let branches = [];
+    let ips = Object.keys(this._branches).map(Number).sort(compareNumbers);
+    for (let ip of ips) {
+      let branch = this._branches[ip];
+      if (branch.filename === filename) {
+        branches.push({
+          'line': branch.line,
+          'taken': branch.taken,
+          'notTaken': branch.notTaken,
+        });
+      }
+    }
+    /* The sort is stable, so jumps in the same line keep their order */
+    return stableSortByLine(branches);
+  }
+
+  /* Return an object of the form
+   *   {linesFound, linesHit, branchesFound, branchesHit}
+   * for the given file. Each conditional jump counts as two branches. */
+  summary(filename) {
+    let lineHits = this.lineHits(filename);
+    let summary = {
+      'linesFound': 0, 'linesHit': 0, 'branchesFound': 0, 'branchesHit': 0,
+    };
+    for (let line in lineHits) {
+      summary.linesFound++;
+      if (lineHits[line] > 0) {
+        summary.linesHit++;
+      }
+    }
+    for (let branch of this.branches(filename)) {
+      summary.branchesFound += 2;
+      summary.branchesHit += (branch.taken > 0 ? 1 : 0)
+                           + (branch.notTaken > 0 ? 1 : 0);
+    }
+    return summary;
+  }
+
+  /* Return the coverage of all the files in LCOV tracefile format */
+  lcov() {
+    let lines = [];
+    for (let filename of this.filenames()) {
+      lines.push('TN:');
+      lines.push('SF:' + filename);
+      let lineHits = this.lineHits(filename);
+      let lineNumbers = Object.keys(lineHits).map(Number).sort(compareNumbers);
+      let blocksInLine = {};
+      for (let branch of this.branches(filename)) {
+        let block = blocksInLine[branch.line] || 0;
+        blocksInLine[branch.line] = block + 1;
+        let executed = branch.taken + branch.notTaken > 0;
+        let outcomes = [branch.taken, branch.notTaken];
+        for (let i = 0; i < outcomes.length; i++) {
+          lines.push(
+            'BRDA:' + [
+              branch.line, block, i, executed ? outcomes[i] : '-'
+            ].join(',')
+          );
+        }
+      }
+      let summary = this.summary(filename);
+      lines.push('BRF:' + summary.branchesFound.toString());
+      lines.push('BRH:' + summary.branchesHit.toString());
+      for (let line of lineNumbers) {
+        lines.push('DA:' + line.toString() + ',' + lineHits[line].toString());
+      }
+      lines.push('LF:' + summary.linesFound.toString());
+      lines.push('LH:' + summary.linesHit.toString());
+      lines.push('end_of_record');
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /* Return the lines of the given source file annotated with their
+   * coverage. Each line is prefixed by:
+   * - the number of times it was executed, '#####' if it has code but
+   *   was never executed, or '-' if it has no code,
+   * - the branches of the line that were covered, if it has branches
+   *   (e.g. '1/2' if only one of the two outcomes of a jump occurred).
+   * A summary is added at the end. */
+  annotatedListing(filename, source) {
+    let lineHits = this.lineHits(filename);
+    let branchesByLine = {};
+    for (let branch of this.branches(filename)) {
+      if (!(branch.line in branchesByLine)) {
+        branchesByLine[branch.line] = {'found': 0, 'hit': 0};
+      }
+      branchesByLine[branch.line].found += 2;
+      branchesByLine[branch.line].hit += (branch.taken > 0 ? 1 : 0)
+                                       + (branch.notTaken > 0 ? 1 : 0);
+    }
+    let sourceLines = source.split('\n');
+    let numberWidth = sourceLines.length.toString().length;
+    let listing = [];
+    for (let i = 0; i < sourceLines.length; i++) {
+      let line = i + 1;
+      let hits;
+      if (!(line in lineHits)) {
+        hits = '-';
+      } else if (lineHits[line] === 0) {
+        hits = '#####';
+      } else {
+        hits = lineHits[line].toString();
+      }
+      let branches = '';
+      if (line in branchesByLine) {
+        branches = branchesByLine[line].hit.toString()
+                 + '/' + branchesByLine[line].found.toString();
+      }
+      listing.push(
+        padLeft(hits, 9) + ' ' + padLeft(branches, 5) + ' '
+      + padLeft(line.toString(), numberWidth) + ': ' + sourceLines[i]
+      );
+    }
+    let summary = this.summary(filename);
+    listing.push('');
+    listing.push(
+      'Lines: ' + summary.linesHit.toString()
+    + '/' + summary.linesFound.toString()
+    + ', branches: ' + summary.branchesHit.toString()
+    + '/' + summary.branchesFound.toString()
+    );
+    return listing;
+  }
+
+  _fileLines(filename) {
+    if (!(filename in this._lines)) {
+      this._lines[filename] = {};
+    }
+    return this._lines[filename];
+  }
+
+}
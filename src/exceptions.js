@@ -1,5 +1,19 @@
 import { i18n } from './i18n';
 
+/* Return the localized message for the given reason.
+ *
+ * Linter checks may be reported either as errors or as warnings,
+ * depending on their severity, so if there is no message of the
+ * given kind, the message of the other kind is used. */
+function localizedMessage(errorType, reason) {
+  let message = i18n(errorType + ':' + reason);
+  if (message === undefined) {
+    let otherType = errorType === 'warning' ? 'errmsg' : 'warning';
+    message = i18n(otherType + ':' + reason);
+  }
+  return message;
+}
+
 /* Base class for signalling conditions */
 export class GbsInterpreterException extends Error {
   /* Note: position should typically be an instance of SourceReader */
@@ -13,7 +27,7 @@ export class GbsInterpreterException extends Error {
 
     this.message = reason === 'boom-called'
       ? args[0]
-      : i18n(errorType + ':' + reason);
+      : localizedMessage(errorType, reason);
 
     if (args.length > 0 && typeof this.message === 'function') {
       this.message = this.message.apply(null, args);
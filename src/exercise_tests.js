@@ -0,0 +1,217 @@
+/* Test runner for Gobstones exercises.
+ *
+ * A test spec is a JSON or YAML file of the form:
+ *
+ *   program: solution.gbs
+ *   cases:
+ *     - name: Moves to the north
+ *       initialBoard: boards/empty.gbb
+ *       finalBoard: boards/moved.gbb
+ *     - name: Fails on the border
+ *       initialBoard: boards/border.jboard
+ *       error: cannot-move-to
+ *     - name: Counts the stones
+ *       initialBoard: boards/stones.gs.json
+ *       result: "3"
+ *
+ * Paths are relative to the directory of the spec. Boards may be given
+ * in any format supported by readJboardFromFile; if the initial board
+ * is omitted, the default empty board is used. The program uses the
+ * colors declared by the initial board, if any.
+ *
+ * Each case may expect:
+ * - finalBoard: the board at the end of the program,
+ * - error: the reason of the runtime error raised by the program
+ *   (e.g. 'cannot-move-to'), or the message given to BOOM,
+ * - result: the value returned by the program, as it is printed
+ *   (e.g. "3", "True", "[1, 2]"). Quote it in YAML files, since True
+ *   and numbers would otherwise not be read as strings.
+ * A case passes if all of its expectations hold. If it does not expect
+ * an error, the program must end successfully. Each case runs with a
+ * step limit (by default, DEFAULT_MAX_STEPS), so a program that does
+ * not end fails the case with a 'step-limit-exceeded' error.
+ */
+
+import { Runner } from './runner.js';
+import { RuntimeState } from './runtime.js';
+import {
+  readJboardFromFile, diffJboards, textFromJboardDiff
+} from './board_formats.js';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/* Maximum number of instructions executed by each case by default */
+export const DEFAULT_MAX_STEPS = 1000000;
+
+function fail(filename, message) {
+  throw Error(filename + ': ' + message);
+}
+
+function isYamlFilename(filename) {
+  let extension = path.extname(filename).toLowerCase();
+  return extension === '.yaml' || extension === '.yml';
+}
+
+/* Read the test spec from the given file.
+ * The program and the boards are loaded, so the returned spec is
+ * of the form:
+ *   {programFilename: F, program: S, cases: [C1, ..., Cn]}
+ * where F is the path of the program, S is its source code, and each
+ * Ci has the same fields as in the file, with the boards as jboards. */
+export function readTestSpecFromFile(filename, programFilename) {
+  let contents = fs.readFileSync(filename, 'utf8');
+  let data = isYamlFilename(filename)
+           ? yaml.safeLoad(contents)
+           : JSON.parse(contents);
+  if (data === null || typeof data !== 'object') {
+    fail(filename, 'the spec should be an object.');
+  }
+  if (!(data.cases instanceof Array)) {
+    fail(filename, 'the spec should have a list of cases.');
+  }
+
+  let directory = path.dirname(filename);
+  function resolve(relativePath) {
+    return path.resolve(directory, relativePath);
+  }
+
+  if (programFilename === undefined) {
+    if (typeof data.program !== 'string') {
+      fail(filename, 'the spec should give the program filename.');
+    }
+    programFilename = resolve(data.program);
+  }
+
+  let cases = [];
+  for (let i = 0; i < data.cases.length; i++) {
+    let testCase = data.cases[i];
+    let name = 'name' in testCase ? String(testCase.name)
+                                   : 'Case ' + (i + 1).toString();
+    let loaded = {'name': name};
+    if ('initialBoard' in testCase) {
+      loaded.initialBoard = readJboardFromFile(resolve(testCase.initialBoard));
+    }
+    if ('finalBoard' in testCase) {
+      loaded.finalBoard = readJboardFromFile(resolve(testCase.finalBoard));
+    }
+    if ('error' in testCase) {
+      loaded.error = String(testCase.error);
+    }
+    if ('result' in testCase) {
+      loaded.result = String(testCase.result);
+    }
+    cases.push(loaded);
+  }
+
+  return {
+    'programFilename': programFilename,
+    'program': fs.readFileSync(programFilename, 'utf8'),
+    'cases': cases,
+  };
+}
+
+/* Run a single case of a spec, whose cases have already been loaded.
+ * Return an object {name: N, failures: [F1, ..., Fn]} where the Fi are
+ * descriptions of the expectations that do not hold.
+ * The options may include:
+ * - coverage: a Coverage collector, to which the coverage of the run
+ *   is added,
+ * - maxSteps: the step limit of the run (0 means no limit),
+ * - typeCheck: whether statically ill-typed programs are rejected. */
+export function runTestCase(spec, testCase, options) {
+  options = options || {};
+  let inputs = {};
+  inputs[spec.programFilename || 'program'] = spec.program;
+
+  let initialState = new RuntimeState();
+  if (testCase.initialBoard !== undefined) {
+    initialState.load(testCase.initialBoard);
+  }
+
+  let failures = [];
+  let output;
+  let runner = new Runner();
+  if (testCase.initialBoard !== undefined) {
+    /* The program uses the colors declared by the initial board */
+    runner.setColorNames(testCase.initialBoard.colors || null);
+  }
+  runner.enableStaticTypeChecking(options.typeCheck || false);
+  runner.setMaxSteps(
+    'maxSteps' in options ? options.maxSteps : DEFAULT_MAX_STEPS
+  );
+  if (options.coverage !== undefined) {
+    runner.setCoverage(options.coverage);
+  }
+  try {
+    output = runner.runState(inputs, initialState);
+  } catch (exception) {
+    if (exception.isGobstonesException === undefined) {
+      throw exception;
+    }
+    if (testCase.error === undefined) {
+      failures.push('Unexpected error: ' + exception.message);
+    } else if (testCase.error !== exception.reason
+            && testCase.error !== exception.message) {
+      failures.push(
+        'Error: expected ' + testCase.error + ', actual ' + exception.reason
+      + ' (' + exception.message + ')'
+      );
+    }
+    return {'name': testCase.name, 'failures': failures};
+  }
+
+  if (testCase.error !== undefined) {
+    failures.push(
+      'Error: expected ' + testCase.error + ', but the program ended'
+    );
+  }
+  if (testCase.finalBoard !== undefined) {
+    let differences = diffJboards(testCase.finalBoard, output.state.dump());
+    failures = failures.concat(textFromJboardDiff(differences));
+  }
+  if (testCase.result !== undefined) {
+    if (output.result === null) {
+      failures.push(
+        'Return value: expected ' + testCase.result + ', but none was returned'
+      );
+    } else if (output.result.toString() !== testCase.result) {
+      failures.push(
+        'Return value: expected ' + testCase.result
+      + ', actual ' + output.result.toString()
+      );
+    }
+  }
+  return {'name': testCase.name, 'failures': failures};
+}
+
+/* Run all the cases of a spec. Return the list of their results.
+ * The options are as in runTestCase; the coverage of all the cases is
+ * accumulated in the given collector. */
+export function runTestSpec(spec, options) {
+  return spec.cases.map((testCase) => runTestCase(spec, testCase, options));
+}
+
+/* Return the lines of a pass/fail report for the given results */
+export function textFromTestResults(results) {
+  let lines = [];
+  let numPassed = 0;
+  for (let result of results) {
+    if (result.failures.length === 0) {
+      numPassed++;
+      lines.push('PASS  ' + result.name);
+    } else {
+      lines.push('FAIL  ' + result.name);
+      for (let failure of result.failures) {
+        lines.push('        ' + failure);
+      }
+    }
+  }
+  lines.push('');
+  lines.push(
+    numPassed.toString() + ' passed, '
+  + (results.length - numPassed).toString() + ' failed'
+  );
+  return lines;
+}
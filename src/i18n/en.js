@@ -27,6 +27,7 @@ LOCALE_EN['PRIM:EmptyBoardContents'] = 'EmptyBoardContents';
 LOCALE_EN['PRIM:numStones'] = 'numStones';
 LOCALE_EN['PRIM:anyStones'] = 'anyStones';
 LOCALE_EN['PRIM:canMove'] = 'canMove';
+LOCALE_EN['PRIM:SelectHead'] = 'SelectHead';
 LOCALE_EN['PRIM:next'] = 'next';
 LOCALE_EN['PRIM:prev'] = 'prev';
 LOCALE_EN['PRIM:opposite'] = 'opposite';
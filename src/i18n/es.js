@@ -560,6 +560,71 @@ export const LOCALE_ES = {
   'errmsg:patterns-in-foreach-must-not-be-events':
     'El patrón de un foreach no puede ser un evento.',
 
+  'errmsg:static-type-mismatch':
+    function (expectedType, receivedType) {
+      return 'Se esperaba ' + typeAsNoun(expectedType) + ' '
+           + 'pero esta expresión es ' + typeAsQualifierSingular(receivedType)
+           + '.';
+    },
+
+  'errmsg:static-argument-type-mismatch':
+    function (name, parameterIndex, numArgs, expectedType, receivedType) {
+      let msg = 'El ';
+      if (numArgs > 1) {
+        msg += ordinalNumber(parameterIndex) + ' ';
+      }
+      msg += 'parámetro ';
+      msg += 'de "' + name + '" ';
+      msg += 'debería ser ' + typeAsQualifierSingular(expectedType) + ' ';
+      msg += 'pero el argumento es ' + typeAsQualifierSingular(receivedType);
+      msg += '.';
+      return msg;
+    },
+
+  'errmsg:static-incompatible-types-on-assignment':
+    function (variableName, oldType, newType) {
+      return 'La variable "' + variableName + '" '
+           + 'contiene ' + typeAsNoun(oldType) + ', '
+           + 'no se le puede asignar ' + typeAsNoun(newType) + '.';
+    },
+
+  'errmsg:static-incompatible-field-types':
+    function (constructorName, fieldName, oldType, newType) {
+      return 'El campo "' + fieldName + '" '
+           + 'del constructor "' + constructorName + '" '
+           + 'es ' + typeAsQualifierSingular(oldType) + '. '
+           + 'No se le puede dar ' + typeAsNoun(newType) + '.';
+    },
+
+  'warning:unused-local-variable':
+    function (name) {
+      return 'La variable "' + name + '" nunca se usa.';
+    },
+
+  'warning:unused-parameter':
+    function (name) {
+      return 'El parámetro "' + name + '" nunca se usa.';
+    },
+
+  'warning:unused-procedure':
+    function (name) {
+      return 'El procedimiento "' + name + '" nunca se usa en el programa.';
+    },
+
+  'warning:unused-function':
+    function (name) {
+      return 'La función "' + name + '" nunca se usa en el programa.';
+    },
+
+  'warning:infinite-loop-without-effect':
+    'Este "while" nunca termina: su condición es siempre "True" '
+  + 'y su cuerpo no modifica el tablero.',
+
+  'warning:constant-if-condition':
+    function (value) {
+      return 'La condición de este "if" es siempre "' + value + '".';
+    },
+
   /* Runtime errors (virtual machine) */
   'errmsg:ellipsis': 'El programa todavía no está completo.',
 
@@ -706,6 +771,15 @@ export const LOCALE_ES = {
            + millisecs.toString() + 'ms.';
     },
 
+  'errmsg:step-limit-exceeded':
+    function (maxSteps) {
+      return 'La ejecución del programa superó el límite de '
+           + maxSteps.toString() + ' pasos.';
+    },
+
+  'errmsg:execution-aborted':
+    'La ejecución del programa fue interrumpida.',
+
   /* Typecheck */
   'errmsg:typecheck-failed':
     function (errorMessage, type1, type2) {
@@ -714,7 +788,11 @@ export const LOCALE_ES = {
 
   /* Board operations */
   'errmsg:cannot-move-to':
-    function (dirName) {
+    function (dirName, cause) {
+      if (cause === 'blocked') {
+        return 'No se puede mover hacia la dirección ' + dirName +
+               ': la celda está bloqueada.';
+      }
       return 'No se puede mover hacia la dirección ' + dirName +
              ': cae afuera del tablero.';
     },
@@ -725,6 +803,16 @@ export const LOCALE_ES = {
              ': no hay bolitas de ese color.';
     },
 
+  'errmsg:board-has-no-head':
+    function (headName) {
+      return 'El tablero no tiene un cabezal llamado "' + headName + '".';
+    },
+
+  'errmsg:board-has-no-color':
+    function (colorName) {
+      return 'El tablero no tiene bolitas de color ' + colorName + '.';
+    },
+
   /* Runtime */
 
   'TYPE:Integer': 'Number',
@@ -764,6 +852,7 @@ export const LOCALE_ES = {
   'PRIM:numStones': 'nroBolitas',
   'PRIM:anyStones': 'hayBolitas',
   'PRIM:canMove': 'puedeMover',
+  'PRIM:SelectHead': 'ElegirCabezal',
   'PRIM:next': 'siguiente',
   'PRIM:prev': 'previo',
   'PRIM:opposite': 'opuesto',
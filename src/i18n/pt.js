@@ -369,6 +369,64 @@ LOCALE_PT['errmsg:structure-construction-cannot-be-an-event'] =
            + 'instâncias).';
     };
 
+LOCALE_PT['errmsg:static-type-mismatch'] =
+    function (expectedType, receivedType) {
+      return 'Esperava-se um valor do tipo ' + expectedType + ' '
+           + 'mas esta expressão é do tipo ' + receivedType + '.';
+    };
+
+LOCALE_PT['errmsg:static-argument-type-mismatch'] =
+    function (name, parameterIndex, numArgs, expectedType, receivedType) {
+      return 'O parâmetro #' + parameterIndex.toString() + ' '
+           + 'de "' + name + '" '
+           + 'deveria ser do tipo ' + expectedType + ' '
+           + 'mas o argumento é do tipo ' + receivedType + '.';
+    };
+
+LOCALE_PT['errmsg:static-incompatible-types-on-assignment'] =
+    function (variableName, oldType, newType) {
+      return 'A variável "' + variableName + '" '
+           + 'contém um valor do tipo ' + oldType + ', '
+           + 'não é possível designar um valor do tipo ' + newType + '.';
+    };
+
+LOCALE_PT['errmsg:static-incompatible-field-types'] =
+    function (constructorName, fieldName, oldType, newType) {
+      return 'O campo "' + fieldName + '" '
+           + 'do construtor "' + constructorName + '" '
+           + 'é do tipo ' + oldType + '. '
+           + 'Não pode receber um valor do tipo ' + newType + '.';
+    };
+
+LOCALE_PT['warning:unused-local-variable'] =
+    function (name) {
+      return 'A variável "' + name + '" nunca é usada.';
+    };
+
+LOCALE_PT['warning:unused-parameter'] =
+    function (name) {
+      return 'O parâmetro "' + name + '" nunca é usado.';
+    };
+
+LOCALE_PT['warning:unused-procedure'] =
+    function (name) {
+      return 'O procedimento "' + name + '" nunca é usado no programa.';
+    };
+
+LOCALE_PT['warning:unused-function'] =
+    function (name) {
+      return 'A função "' + name + '" nunca é usada no programa.';
+    };
+
+LOCALE_PT['warning:infinite-loop-without-effect'] =
+    'Este "while" nunca termina: sua condição é sempre "True" '
+  + 'e seu corpo não modifica o tabuleiro.';
+
+LOCALE_PT['warning:constant-if-condition'] =
+    function (value) {
+      return 'A condição deste "if" é sempre "' + value + '".';
+    };
+
 /* Runtime errors (virtual machine) */
 LOCALE_PT['errmsg:undefined-variable'] =
     function (variableName) {
@@ -500,9 +558,22 @@ LOCALE_PT['errmsg:timeout'] =
            + millisecs.toString() + 'ms.';
     };
 
+LOCALE_PT['errmsg:step-limit-exceeded'] =
+    function (maxSteps) {
+      return 'A execução do programa ultrapassou o limite de '
+           + maxSteps.toString() + ' passos.';
+    };
+
+LOCALE_PT['errmsg:execution-aborted'] =
+    'A execução do programa foi interrompida.';
+
 /* Board operations */
 LOCALE_PT['errmsg:cannot-move-to'] =
-    function (dirName) {
+    function (dirName, cause) {
+      if (cause === 'blocked') {
+        return 'Não é possível mover para a direção ' + dirName +
+               ': a célula está bloqueada.';
+      }
       return 'Não é possível mover para a direção ' + dirName +
              ': cai fora do tabuleiro.';
     };
@@ -513,6 +584,16 @@ LOCALE_PT['errmsg:cannot-remove-stone'] =
              ': não há pedras dessa cor.';
     };
 
+LOCALE_PT['errmsg:board-has-no-head'] =
+    function (headName) {
+      return 'O tabuleiro não tem um cabeçote chamado "' + headName + '".';
+    };
+
+LOCALE_PT['errmsg:board-has-no-color'] =
+    function (colorName) {
+      return 'O tabuleiro não tem pedras de cor ' + colorName + '.';
+    };
+
 /* Runtime */
 
 LOCALE_PT['TYPE:Color'] = 'Cor';
@@ -535,6 +616,7 @@ LOCALE_PT['PRIM:EmptyBoardContents'] = 'EsvaziarTabuleiro';
 LOCALE_PT['PRIM:numStones'] = 'nroPedras';
 LOCALE_PT['PRIM:anyStones'] = 'haPedras';
 LOCALE_PT['PRIM:canMove'] = 'podeMover';
+LOCALE_PT['PRIM:SelectHead'] = 'EscolherCabeçote';
 LOCALE_PT['PRIM:next'] = 'seguinte';
 LOCALE_PT['PRIM:prev'] = 'previo';
 LOCALE_PT['PRIM:opposite'] = 'oposto';
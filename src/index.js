@@ -6,6 +6,11 @@ import {
   gbbFromJboard, gbbToJboard,
 } from './board_formats.js';
 import { ValueStructure } from './value.js';
+import { SnapshotTaker } from './snapshot_taker.js';
+import { AbortHandle } from './vm.js';
+import {
+  svgTraceFromSnapshots, htmlTraceFromSnapshots
+} from './trace_export.js';
 import {
   N_PatternWildcard, N_PatternStructure, N_PatternTuple, N_PatternTimeout
 } from './ast.js';
@@ -13,8 +18,13 @@ import {
 const DEFAULT_INFINITE_LOOP_TIMEOUT = 3000; /* millisecs */
 const DEFAULT_LANGUAGE = 'es';
 
-/* load a board in the API format into a fresh RuntimeState */
-function apiboardToState(apiboard) {
+/* load a board in the API format into a fresh RuntimeState.
+ * Boards that do not declare their colors have the given ones
+ * (see config.setColors), as in BoardWorld.stateFromString. */
+function apiboardToState(apiboard, colorNames) {
+  if (!('colors' in apiboard) && colorNames) {
+    apiboard = Object.assign({}, apiboard, {'colors': colorNames});
+  }
   let state = new RuntimeState();
   state.load(apiboardToJboard(apiboard));
   return state;
@@ -101,9 +111,22 @@ class GobstonesInterpreterError {
 
 }
 
+/* A ParseError describes the first error found in the program.
+ * Moreover, its 'errors' field is a list of all the errors found. */
 class ParseError extends GobstonesInterpreterError {
-  constructor(exception) {
+  constructor(exception, allExceptions) {
     super(exception);
+    this.errors = allExceptions.map(
+      (each) => new GobstonesInterpreterError(each)
+    );
+  }
+}
+
+/* Warnings have the same shape as errors, but they do not prevent
+ * the program from running */
+class ParseWarning extends GobstonesInterpreterError {
+  constructor(warning) {
+    super(warning);
   }
 }
 
@@ -111,7 +134,9 @@ class ExecutionError extends GobstonesInterpreterError {
   constructor(exception, snapshots, regionStack) {
     super(exception);
 
-    const isTimeout = this.reason.code === 'timeout';
+    /* Only the last snapshot is kept when the program ran for too long */
+    const isTimeout = this.reason.code === 'timeout'
+                   || this.reason.code === 'step-limit-exceeded';
     this.snapshots = isTimeout
       ? [snapshots[snapshots.length - 1]]
       : snapshots;
@@ -272,102 +297,6 @@ class InteractiveExecutionResult {
 
 }
 
-class SnapshotTaker {
-
-  constructor(runner) {
-    this._runner = runner;
-    this._snapshots = [];
-  }
-
-  takeSnapshot(routineName, position, callStack, globalState) {
-    if (this._shouldTakeSnapshot(routineName, callStack)) {
-      this._snapshots.push(
-        this._snapshot(routineName, position, callStack, globalState)
-      );
-    }
-  }
-
-  snapshots() {
-    return this._snapshots;
-  }
-
-  _snapshot(routineName, position, callStack, globalState) {
-    let snapshot = {};
-    snapshot.contextNames = [];
-    for (let stackFrame of callStack) {
-      let name = stackFrame.routineName;
-      if (name !== 'program') {
-        name = name + '-' + stackFrame.uniqueFrameId.toString();
-      }
-      snapshot.contextNames.push(name);
-    }
-    snapshot.board = apiboardFromState(globalState);
-    snapshot.region = position.region;
-    snapshot.regionStack = this._runner.regionStack();
-    return snapshot;
-  }
-
-  _shouldTakeSnapshot(routineName, callStack) {
-    let routineNameStack = [];
-    for (let stackFrame of callStack) {
-      routineNameStack.push(stackFrame.routineName);
-    }
-
-    if (this._runner.primitives.isProcedure(routineName)) {
-      /* A primitive procedure must be recorded if there are no
-       * atomic routines anywhere in the call stack. */
-      return this._noAtomicRoutines(routineNameStack);
-    } else {
-      /* Other routines must be recorded if they have the 'recorded'
-       * attribute, and, moreover, there are no atomic routines other
-       * than the last one in the call stack. */
-      routineNameStack.pop();
-      return this._isRecorded(routineName)
-          && this._noAtomicRoutines(routineNameStack);
-    }
-  }
-
-  _noAtomicRoutines(routineNameStack) {
-    for (let routineName of routineNameStack) {
-      if (this._isAtomic(routineName)) {
-        return false;
-      }
-    }
-    return true;
-  }
-
-  _isAtomic(routineName) {
-    if (routineName === 'program') {
-      return false;
-    } else if (this._runner.primitives.isProcedure(routineName)) {
-      /* Primitive procedure */
-      return false;
-    } else if (this._runner.symbolTable.isProcedure(routineName)) {
-      /* User-defined procedure */
-      return false;
-    } else {
-      /* Function */
-      return true;
-    }
-  }
-
-  _isRecorded(routineName) {
-    if (routineName === 'program') {
-      return true;
-    } else if (this._runner.primitives.isProcedure(routineName)) {
-      /* Primitive procedure */
-      return true;
-    } else if (this._runner.symbolTable.isProcedure(routineName)) {
-      /* User-defined procedure */
-      return false;
-    } else {
-      /* Function */
-      return false;
-    }
-  }
-
-}
-
 class ParseResult {
 
   constructor(state) {
@@ -379,6 +308,9 @@ class ParseResult {
       this.program = this._resultForProgram(state);
     }
     this.declarations = this._collectDeclarations(state.runner);
+    this.warnings = state.runner.warnings.map(
+      (warning) => new ParseWarning(warning)
+    );
     this.getAttributes = function (globalName) {
       return state.runner.symbolTable.getAttributes(globalName);
     };
@@ -394,7 +326,7 @@ class ParseResult {
         try {
           state.runner.compile();
           state.runner.executeWithTimeoutTakingSnapshots(
-            apiboardToState(board),
+            apiboardToState(board, state.colorNames),
             state.infiniteLoopTimeout,
             snapshotTaker.takeSnapshot.bind(snapshotTaker)
           );
@@ -419,6 +351,50 @@ class ParseResult {
         }
       });
     };
+    /* Run the program without blocking the page, yielding control to
+     * the browser every few milliseconds. The options may include:
+     * - abortHandle: created with api.createAbortHandle(); calling its
+     *   abort() method stops the program with an 'execution-aborted'
+     *   ExecutionError,
+     * - onProgress: called periodically with an object {steps, millisecs}.
+     * Return a promise of a NormalExecutionResult or an ExecutionError. */
+    program.interpretAsync = function (board, options) {
+      options = options || {};
+      let snapshotTaker = new SnapshotTaker(state.runner);
+      const withLanguage = (thunk) => i18nWithLanguage(state.language, thunk);
+
+      return new Promise((resolve) => withLanguage(() => {
+        state.runner.compile();
+        resolve(state.runner.executeAsync(
+          apiboardToState(board, state.colorNames),
+          state.infiniteLoopTimeout,
+          {
+            'snapshotCallback': snapshotTaker.takeSnapshot.bind(snapshotTaker),
+            'abortHandle': options.abortHandle,
+            'onProgress': options.onProgress,
+            'runSlice': withLanguage,
+          }
+        ));
+      })).then(
+        () => withLanguage(() =>
+          new NormalExecutionResult(
+            apiboardFromState(state.runner.globalState),
+            snapshotTaker.snapshots(),
+            state.runner.result,
+          )
+        ),
+        (exception) => {
+          if (exception.isGobstonesException === undefined) {
+            throw exception;
+          }
+          return new ExecutionError(
+                   exception,
+                   snapshotTaker.snapshots(),
+                   state.runner.regionStack()
+                 );
+        }
+      );
+    };
     return program;
   }
 
@@ -429,7 +405,9 @@ class ParseResult {
       return i18nWithLanguage(state.language, () => {
         try {
           state.runner.compile();
-          state.runner.initializeVirtualMachine(apiboardToState(board));
+          state.runner.initializeVirtualMachine(
+            apiboardToState(board, state.colorNames)
+          );
           return new InteractiveExecutionResult(state);
         } catch (exception) {
           if (exception.isGobstonesException === undefined) {
@@ -477,7 +455,13 @@ export class GobstonesInterpreterAPI {
     /* Internal state of the interpreter */
     let state = {
       infiniteLoopTimeout: DEFAULT_INFINITE_LOOP_TIMEOUT,
+      maxSteps: 0,
       language: DEFAULT_LANGUAGE,
+      lintCheckSeverities: {},
+      styleChecks: false,
+      colorNames: null,
+      primitiveProcedures: [],
+      primitiveFunctions: [],
       runner: new Runner(),
     };
 
@@ -488,9 +472,59 @@ export class GobstonesInterpreterAPI {
       setInfiniteLoopTimeout: function (milliseconds) {
         state.infiniteLoopTimeout = milliseconds;
       },
+      /* Limit the number of instructions executed by the program
+       * (0 means no limit). */
+      setMaxSteps: function (maxSteps) {
+        state.maxSteps = maxSteps;
+      },
+      /* Use the given list of color names, e.g. ['Rojo', 'Amarillo'],
+       * instead of the four standard colors, for the programs parsed
+       * from now on (null goes back to the standard colors).
+       * Boards without a 'colors' field get these colors; using a
+       * color that a board does not declare is an error. */
+      setColors: function (colorNames) {
+        state.colorNames = colorNames === null ? null : colorNames.slice();
+      },
       setXGobstonesEnabled: function (isEnabled) {
         /* TODO */
       },
+      /* Report style checks, such as unused parameters, as warnings
+       * (see STYLE_CHECKS in linter.js). Disabled by default. */
+      setStyleChecksEnabled: function (isEnabled) {
+        state.styleChecks = isEnabled;
+      },
+      /* Set the severity of a linter check: 'error', 'warning' or 'off'.
+       * Checks whose severity is 'warning' are reported in the
+       * 'warnings' list of the ParseResult. */
+      setLintCheckSeverity: function (linterCheckId, severity) {
+        state.runner.setLintCheckSeverity(linterCheckId, severity);
+        state.lintCheckSeverities[linterCheckId] = severity;
+      },
+      /* Add a primitive procedure or function for the programs parsed
+       * from now on (see Runner.registerPrimitiveProcedure).
+       * The implementation receives the board (a RuntimeState) and
+       * the arguments as Gobstones values. Invalid names are rejected
+       * right away. */
+      registerPrimitiveProcedure: function (name, argumentTypes,
+                                            argumentValidator,
+                                            implementation) {
+        state.runner.registerPrimitiveProcedure(
+          name, argumentTypes, argumentValidator, implementation
+        );
+        state.primitiveProcedures.push(
+          [name, argumentTypes, argumentValidator, implementation]
+        );
+      },
+      registerPrimitiveFunction: function (name, argumentTypes,
+                                           argumentValidator,
+                                           implementation) {
+        state.runner.registerPrimitiveFunction(
+          name, argumentTypes, argumentValidator, implementation
+        );
+        state.primitiveFunctions.push(
+          [name, argumentTypes, argumentValidator, implementation]
+        );
+      },
     };
 
     this.gbb = {
@@ -506,6 +540,27 @@ export class GobstonesInterpreterAPI {
       },
     };
 
+    this.trace = {
+      /* Convert the list of snapshots of an execution result to a string
+       * with an animated SVG image, showing each snapshot for the given
+       * number of milliseconds. */
+      svg: function (snapshots, milliseconds) {
+        return svgTraceFromSnapshots(snapshots, milliseconds);
+      },
+      /* Convert the list of snapshots of an execution result to a string
+       * with a self-contained HTML page to step through them. */
+      html: function (snapshots, milliseconds, title) {
+        return htmlTraceFromSnapshots(snapshots, milliseconds, title);
+      },
+    };
+
+    /* Return a handle to stop a program run with interpretAsync */
+    this.createAbortHandle = function () {
+      return new AbortHandle();
+    };
+
+    /* If the program has syntax errors, return the partial AST
+     * including the definitions and statements that could be parsed */
     this.getAst = function (sourceCode) {
       return this._withState(sourceCode, false, (state) =>
         state.runner.abstractSyntaxTree.toMulangLike()
@@ -522,6 +577,22 @@ export class GobstonesInterpreterAPI {
       return i18nWithLanguage(state.language, () => {
         try {
           state.runner.initialize();
+          state.runner.setColorNames(state.colorNames);
+          state.runner.enableStyleChecks(state.styleChecks);
+          for (let linterCheckId in state.lintCheckSeverities) {
+            state.runner.setLintCheckSeverity(
+              linterCheckId, state.lintCheckSeverities[linterCheckId]
+            );
+          }
+          state.runner.setMaxSteps(state.maxSteps);
+          for (let primitive of state.primitiveProcedures) {
+            state.runner.registerPrimitiveProcedure(...primitive);
+          }
+          for (let primitive of state.primitiveFunctions) {
+            state.runner.registerPrimitiveFunction(...primitive);
+          }
+          state.runner.recoverFromParseErrors(true);
+          state.runner.collectAllLintErrors(true);
           state.runner.parse(sourceCode);
           /* Disable checking whether there is a main 'program' present. */
           state.runner.enableLintCheck(
@@ -533,7 +604,18 @@ export class GobstonesInterpreterAPI {
           if (exception.isGobstonesException === undefined) {
             throw exception;
           }
-          return new ParseError(exception);
+          let parseErrors = state.runner.parseErrors;
+          if (parseErrors.length > 0 && !useLinter) {
+            /* Only the AST is requested, which may be partial */
+            return action(state);
+          }
+          let allExceptions = [exception];
+          if (parseErrors.length > 0) {
+            allExceptions = parseErrors;
+          } else if (state.runner.lintErrors.length > 0) {
+            allExceptions = state.runner.lintErrors;
+          }
+          return new ParseError(exception, allExceptions);
         }
       });
     };
@@ -46,6 +46,11 @@ export class Code {
     this._instructions.push(instruction);
   }
 
+  /* Number of instructions */
+  size() {
+    return this._instructions.length;
+  }
+
   /* Return the instruction at the given location */
   at(ip) {
     if (0 <= ip && ip < this._instructions.length) {
@@ -55,6 +60,23 @@ export class Code {
     }
   }
 
+  /* Return a dictionary mapping each line of the given file to the
+   * list of instruction pointers of the instructions whose starting
+   * position lies in that line. */
+  instructionPointersByLine(filename) {
+    let lines = {};
+    for (let i = 0; i < this._instructions.length; i++) {
+      let position = this._instructions[i].startPos;
+      if (position.filename === filename) {
+        if (!(position.line in lines)) {
+          lines[position.line] = [];
+        }
+        lines[position.line].push(i);
+      }
+    }
+    return lines;
+  }
+
   /* Return a dictionary mapping label names to their corresponding
    * instruction pointers. */
   labelTargets() {
@@ -181,6 +181,13 @@ export class Lexer {
      * error reporting if delimiters are not balanced. */
     this._delimiterStack = [];
 
+    /* A closing delimiter that did not match the innermost opening
+     * delimiter, but matches an outer one. After reporting the unmatched
+     * opening delimiter, it is read again by the following call to
+     * nextToken, so that a parser recovering from errors does not lose it.
+     */
+    this._pendingDelimiter = null;
+
     /* A dictionary of pending attributes, set by the ATTRIBUTE pragma.
      * Pending attributes are used by the parser to decorate any procedure
      * or function definition. */
@@ -195,6 +202,12 @@ export class Lexer {
 
   /* Return the next token from the input */
   nextToken() {
+    if (this._pendingDelimiter !== null) {
+      let token = this._pendingDelimiter;
+      this._pendingDelimiter = null;
+      this._checkBalancedDelimiters(token);
+      return token;
+    }
     if (!this._findNextToken()) {
       let token = new Token(T_EOF, null, this._reader, this._reader);
       this._checkBalancedDelimiters(token);
@@ -336,9 +349,13 @@ export class Lexer {
         return token;
       }
     }
+    /* Consume the unknown character, so that a parser recovering from
+     * errors may go on reading the following tokens */
+    let startPos = this._reader;
+    this._reader = this._reader.consumeCharacter();
     return fail(
-      this._reader, this._reader,
-      'unknown-token', [this._reader.peek()]
+      startPos, startPos,
+      'unknown-token', [startPos.peek()]
     );
   }
 
@@ -512,6 +529,11 @@ export class Lexer {
       }
       let openingDelimiter = this._delimiterStack.pop();
       if (CLOSING_DELIMITERS[openingDelimiter.value] !== token.value) {
+        if (this._delimiterStack.some(
+              (delimiter) => CLOSING_DELIMITERS[delimiter.value] === token.value
+            )) {
+          this._pendingDelimiter = token;
+        }
         fail(
           openingDelimiter.startPos, openingDelimiter.endPos,
           'unmatched-opening-delimiter',
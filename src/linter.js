@@ -43,11 +43,13 @@ import {
   N_FieldValue,
   /* ConstructorDeclaration */
   N_ConstructorDeclaration,
+  ASTNode,
 } from './ast';
 import { LocalParameter, LocalIndex, LocalVariable } from './symtable';
-import { GbsSyntaxError } from './exceptions';
+import { GbsWarning, GbsSyntaxError } from './exceptions';
 import { i18n } from './i18n';
 import { RecursionChecker } from './recursion_checker';
+import { TypeChecker } from './type_checker';
 
 function isBlockWithReturn(stmt) {
   return stmt.tag === N_StmtBlock
@@ -59,6 +61,49 @@ function fail(startPos, endPos, reason, args) {
   throw new GbsSyntaxError(startPos, endPos, reason, args);
 }
 
+/* Return true if the expression is one of the literals True or False */
+function isBooleanLiteral(expression) {
+  return expression.tag === N_ExprStructure
+      && expression.fieldBindings.length === 0
+      && (expression.constructorName.value === i18n('CONS:True') ||
+          expression.constructorName.value === i18n('CONS:False'));
+}
+
+/* Return true if the given AST (or list of ASTs) includes a procedure call
+ * anywhere inside */
+function containsProcedureCall(node) {
+  if (node instanceof Array) {
+    return node.some(containsProcedureCall);
+  } else if (node instanceof ASTNode) {
+    return node.tag === N_StmtProcedureCall
+        || containsProcedureCall(node.children);
+  } else {
+    return false;
+  }
+}
+
+const LINTER_CHECK_SEVERITIES = ['error', 'warning', 'off'];
+
+/* Checks that give feedback on the style of programs that are otherwise
+ * correct. They are disabled by default, and reported as warnings when
+ * enabled. */
+export const STYLE_CHECKS = [
+  'unused-local-variable',
+  'unused-parameter',
+  'unused-procedure',
+  'unused-function',
+  'infinite-loop-without-effect',
+  'constant-if-condition',
+];
+
+/* Checks reported by the static type inference stage (see TypeChecker) */
+export const STATIC_TYPE_CHECKS = [
+  'static-type-mismatch',
+  'static-argument-type-mismatch',
+  'static-incompatible-types-on-assignment',
+  'static-incompatible-field-types',
+];
+
 /* A semantic analyzer receives
  *   a symbol table (instance of SymbolTable)
  *   an abstract syntax tree (the output of a parser)
@@ -78,50 +123,102 @@ function fail(startPos, endPos, reason, args) {
  */
 export class Linter {
 
-  constructor(symtable) {
+  /* The primitives are only used by the static type checker, and may be
+   * omitted (see TypeChecker) */
+  constructor(symtable, primitives) {
     this._symtable = symtable;
+    this._primitives = primitives;
 
     /* All checks performed by the linter have an entry in this dictionary.
-     * The value of a check indicates whether it is enabled (true) or
-     * disabled (false).
-     *
-     * If a check is disabled, it does not produce a syntax error.
+     * The value of a check indicates its severity, which may be:
+     * - 'error': the check produces a syntax error,
+     * - 'warning': the check produces a warning,
+     * - 'off': the check is disabled.
      */
-    this._enabledLinterChecks = {
+    this._linterCheckSeverities = {
       // Linter options
-      'source-should-have-a-program-definition': true,
-      'procedure-should-not-have-return': true,
-      'function-should-have-return': true,
-      'return-statement-not-allowed-here': true,
-      'wildcard-pattern-should-be-last': true,
-      'variable-pattern-should-be-last': true,
-      'structure-pattern-repeats-constructor': true,
-      'structure-pattern-repeats-tuple-arity': true,
-      'structure-pattern-repeats-timeout': true,
-      'pattern-does-not-match-type': true,
-      'patterns-in-interactive-program-must-be-events': true,
-      'patterns-in-interactive-program-cannot-be-variables': true,
-      'patterns-in-switch-must-not-be-events': true,
-      'patterns-in-foreach-must-not-be-events': true,
-      'repeated-variable-in-tuple-assignment': true,
-      'constructor-used-as-procedure': true,
-      'undefined-procedure': true,
-      'procedure-arity-mismatch': true,
-      'numeric-pattern-repeats-number': true,
-      'structure-pattern-arity-mismatch': true,
-      'structure-construction-repeated-field': true,
-      'structure-construction-invalid-field': true,
-      'structure-construction-missing-field': true,
-      'structure-construction-cannot-be-an-event': true,
-      'undefined-function': true,
-      'function-arity-mismatch': true,
-      'type-used-as-constructor': true,
-      'procedure-used-as-constructor': true,
-      'undeclared-constructor': true,
+      'source-should-have-a-program-definition': 'error',
+      'procedure-should-not-have-return': 'error',
+      'function-should-have-return': 'error',
+      'return-statement-not-allowed-here': 'error',
+      'wildcard-pattern-should-be-last': 'error',
+      'variable-pattern-should-be-last': 'error',
+      'structure-pattern-repeats-constructor': 'error',
+      'structure-pattern-repeats-tuple-arity': 'error',
+      'structure-pattern-repeats-timeout': 'error',
+      'pattern-does-not-match-type': 'error',
+      'patterns-in-interactive-program-must-be-events': 'error',
+      'patterns-in-interactive-program-cannot-be-variables': 'error',
+      'patterns-in-switch-must-not-be-events': 'error',
+      'patterns-in-foreach-must-not-be-events': 'error',
+      'repeated-variable-in-tuple-assignment': 'error',
+      'constructor-used-as-procedure': 'error',
+      'undefined-procedure': 'error',
+      'procedure-arity-mismatch': 'error',
+      'numeric-pattern-repeats-number': 'error',
+      'structure-pattern-arity-mismatch': 'error',
+      'structure-construction-repeated-field': 'error',
+      'structure-construction-invalid-field': 'error',
+      'structure-construction-missing-field': 'error',
+      'structure-construction-cannot-be-an-event': 'error',
+      'undefined-function': 'error',
+      'function-arity-mismatch': 'error',
+      'type-used-as-constructor': 'error',
+      'procedure-used-as-constructor': 'error',
+      'undeclared-constructor': 'error',
+      // Style checks (optional, see STYLE_CHECKS)
+      'unused-local-variable': 'off',
+      'unused-parameter': 'off',
+      'unused-procedure': 'off',
+      'unused-function': 'off',
+      'infinite-loop-without-effect': 'off',
+      'constant-if-condition': 'off',
       // Extensions
-      'forbidden-extension-destructuring-foreach': true,
-      'forbidden-extension-allow-recursion': true,
+      'forbidden-extension-destructuring-foreach': 'error',
+      'forbidden-extension-allow-recursion': 'error',
+      // Static type checks (optional, see STATIC_TYPE_CHECKS)
+      'static-type-mismatch': 'off',
+      'static-argument-type-mismatch': 'off',
+      'static-incompatible-types-on-assignment': 'off',
+      'static-incompatible-field-types': 'off',
     };
+
+    /* Default severity of each check, used when re-enabling it */
+    this._defaultLinterCheckSeverities = {};
+    for (let linterCheckId in this._linterCheckSeverities) {
+      this._defaultLinterCheckSeverities[linterCheckId] =
+        this._linterCheckSeverities[linterCheckId];
+    }
+
+    /* Information collected to report unused names:
+     *
+     * - _currentRoutine is the name of the routine being linted
+     *   ('program' for the main program).
+     *
+     * - _callGraph[F][G] is set if the routine F calls the routine G.
+     *
+     * - _localDeclarations maps each parameter and local variable of
+     *   the current routine to the token in which it is first declared,
+     *   and the check that should be reported if it is never used.
+     *
+     * - _usedLocalNames is the set of local names that are read
+     *   in the current routine.
+     */
+    this._currentRoutine = null;
+    this._callGraph = {};
+    this._localDeclarations = {};
+    this._usedLocalNames = {};
+
+    /* List of warnings (instances of GbsWarning) collected while linting.
+     * Warnings do not prevent the program from running. */
+    this._warnings = [];
+
+    /* If _collectAllErrors is set, the linter does not stop on the first
+     * error. Errors are caught at the level of statements and definitions
+     * and collected in the list _errors, so linting can go on with the
+     * following statement or definition. */
+    this._collectAllErrors = false;
+    this._errors = [];
   }
 
   lint(ast) {
@@ -129,21 +226,111 @@ export class Linter {
     return this._symtable;
   }
 
+  /* Lint an isolated expression (e.g. the condition of a breakpoint)
+   * against the definitions collected by a previous call to lint */
+  lintExpression(expression) {
+    this._lintExpression(expression);
+  }
+
+  /* When linting is done, this function returns the list of all
+   * the warnings collected while linting */
+  warnings() {
+    return this._warnings;
+  }
+
+  /* Lint against a different symbol table and set of primitives,
+   * keeping the severities of the checks */
+  setPrimitives(symtable, primitives) {
+    this._symtable = symtable;
+    this._primitives = primitives;
+  }
+
+  /* Enable or disable the mode in which all errors are collected,
+   * instead of stopping on the first one */
+  setCollectAllErrors(enabled) {
+    this._collectAllErrors = enabled;
+  }
+
+  /* When linting is done, this function returns the list of all the
+   * errors (instances of GbsSyntaxError) collected while linting.
+   * The list is always empty unless all errors are being collected. */
+  errors() {
+    return this._errors;
+  }
+
   _ensureLintCheckExists(linterCheckId) {
-    if (!(linterCheckId in this._enabledLinterChecks)) {
+    if (!(linterCheckId in this._linterCheckSeverities)) {
       throw Error('Linter check "' + linterCheckId + '" does not exist.');
     }
   }
 
+  /* Enable a check with its default severity, or disable it.
+   * Checks that are off by default are enabled as errors. */
   enableCheck(linterCheckId, enabled) {
     this._ensureLintCheckExists(linterCheckId);
-    this._enabledLinterChecks[linterCheckId] = enabled;
+    if (enabled) {
+      let severity = this._defaultLinterCheckSeverities[linterCheckId];
+      if (severity === 'off') {
+        severity = STYLE_CHECKS.indexOf(linterCheckId) === -1
+                 ? 'error'
+                 : 'warning';
+      }
+      this._linterCheckSeverities[linterCheckId] = severity;
+    } else {
+      this._linterCheckSeverities[linterCheckId] = 'off';
+    }
+  }
+
+  /* Set the severity of a check to 'error', 'warning' or 'off' */
+  setCheckSeverity(linterCheckId, severity) {
+    this._ensureLintCheckExists(linterCheckId);
+    if (LINTER_CHECK_SEVERITIES.indexOf(severity) === -1) {
+      throw Error('Linter check severity "' + severity + '" does not exist.');
+    }
+    this._linterCheckSeverities[linterCheckId] = severity;
+  }
+
+  checkSeverity(linterCheckId) {
+    this._ensureLintCheckExists(linterCheckId);
+    return this._linterCheckSeverities[linterCheckId];
   }
 
   _lintCheck(startPos, endPos, reason, args) {
     this._ensureLintCheckExists(reason);
-    if (this._enabledLinterChecks[reason]) {
-      fail(startPos, endPos, reason, args);
+    switch (this._linterCheckSeverities[reason]) {
+      case 'error':
+        fail(startPos, endPos, reason, args);
+        break;
+      case 'warning':
+        this._emitWarning(startPos, endPos, reason, args);
+        break;
+      default:
+        /* The check is off */
+        break;
+    }
+  }
+
+  _emitWarning(startPos, endPos, reason, args) {
+    this._warnings.push(new GbsWarning(startPos, endPos, reason, args));
+  }
+
+  /* Run the given action. If all errors are being collected, catch
+   * any syntax error, record it, and run the cleanup action (if given). */
+  _lintRecovering(action, cleanup) {
+    if (!this._collectAllErrors) {
+      action();
+      return;
+    }
+    try {
+      action();
+    } catch (exception) {
+      if (exception.isGobstonesException === undefined) {
+        throw exception;
+      }
+      this._errors.push(exception);
+      if (cleanup !== undefined) {
+        cleanup();
+      }
     }
   }
 
@@ -153,7 +340,7 @@ export class Linter {
      * definitions, so all the names of types, constructors, fields, etc.
      * are already known when checking statements and expressions. */
     for (let definition of ast.definitions) {
-      this._addDefinitionToSymbolTable(definition);
+      this._lintRecovering(() => this._addDefinitionToSymbolTable(definition));
     }
 
     /* The source should either be empty or have exactly one program */
@@ -166,11 +353,20 @@ export class Linter {
 
     /* Lint individual definitions */
     for (let definition of ast.definitions) {
-      this._lintDefinition(definition);
+      this._lintRecovering(
+        () => this._lintDefinition(definition),
+        () => this._symtable.exitScope()
+      );
     }
 
     /* Disable recursion */
-    this._disableRecursion(ast);
+    this._lintRecovering(() => this._disableRecursion(ast));
+
+    /* Infer types statically, if enabled */
+    this._checkStaticTypes(ast);
+
+    /* Report procedures and functions that are never used */
+    this._checkUnusedRoutines(ast);
   }
 
   _addDefinitionToSymbolTable(definition) {
@@ -213,33 +409,44 @@ export class Linter {
   }
 
   _lintDefProgram(definition) {
+    this._beginRoutine('program');
+
     /* Lint body */
     this._lintStmtBlock(definition.body, true /* allowReturn */);
 
     /* Remove all local names */
     this._symtable.exitScope();
+
+    this._endRoutine();
   }
 
   _lintDefInteractiveProgram(definition) {
+    this._beginRoutine('program');
+
     /* Lint all branches */
     this._lintSwitchBranches(
       definition.branches,
       true /* isInteractiveProgram */
     );
+
+    this._endRoutine();
   }
 
   _lintDefProcedure(definition) {
     /* Check that it does not have a return statement */
     if (isBlockWithReturn(definition.body)) {
-      this._lintCheck(
+      this._lintRecovering(() => this._lintCheck(
         definition.startPos, definition.endPos,
         'procedure-should-not-have-return', [definition.name.value]
-      );
+      ));
     }
 
+    this._beginRoutine(definition.name.value);
+
     /* Add parameters as local names */
     for (let parameter of definition.parameters) {
       this._symtable.addNewLocalName(parameter, LocalParameter);
+      this._declareLocalName(parameter, 'unused-parameter');
     }
 
     /* Lint body */
@@ -247,20 +454,25 @@ export class Linter {
 
     /* Remove all local names */
     this._symtable.exitScope();
+
+    this._endRoutine();
   }
 
   _lintDefFunction(definition) {
     /* Check that it has a return statement */
     if (!isBlockWithReturn(definition.body)) {
-      this._lintCheck(
+      this._lintRecovering(() => this._lintCheck(
         definition.startPos, definition.endPos,
         'function-should-have-return', [definition.name.value]
-      );
+      ));
     }
 
+    this._beginRoutine(definition.name.value);
+
     /* Add parameters as local names */
     for (let parameter of definition.parameters) {
       this._symtable.addNewLocalName(parameter, LocalParameter);
+      this._declareLocalName(parameter, 'unused-parameter');
     }
 
     /* Lint body */
@@ -268,6 +480,8 @@ export class Linter {
 
     /* Remove all local names */
     this._symtable.exitScope();
+
+    this._endRoutine();
   }
 
   _lintDefType(definition) {
@@ -311,13 +525,15 @@ export class Linter {
     let i = 0;
     for (let statement of block.statements) {
       let returnAllowed = allowReturn && i === block.statements.length - 1;
-      if (!returnAllowed && statement.tag === N_StmtReturn) {
-        this._lintCheck(
-          statement.startPos, statement.endPos,
-          'return-statement-not-allowed-here', []
-        );
-      }
-      this._lintStatement(statement);
+      this._lintRecovering(() => {
+        if (!returnAllowed && statement.tag === N_StmtReturn) {
+          this._lintCheck(
+            statement.startPos, statement.endPos,
+            'return-statement-not-allowed-here', []
+          );
+        }
+        this._lintStatement(statement);
+      });
       i++;
     }
   }
@@ -327,6 +543,12 @@ export class Linter {
   }
 
   _lintStmtIf(statement) {
+    if (isBooleanLiteral(statement.condition)) {
+      this._lintCheck(
+        statement.condition.startPos, statement.condition.endPos,
+        'constant-if-condition', [statement.condition.constructorName.value]
+      );
+    }
     this._lintExpression(statement.condition);
     this._lintStatement(statement.thenBlock);
     if (statement.elseBlock !== null) {
@@ -345,9 +567,12 @@ export class Linter {
     for (let variable of statement.pattern.boundVariables) {
       this._symtable.addNewLocalName(variable, LocalIndex);
     }
-    this._lintStatement(statement.body);
-    for (let variable of statement.pattern.boundVariables) {
-      this._symtable.removeLocalName(variable);
+    try {
+      this._lintStatement(statement.body);
+    } finally {
+      for (let variable of statement.pattern.boundVariables) {
+        this._symtable.removeLocalName(variable);
+      }
     }
   }
 
@@ -375,6 +600,16 @@ export class Linter {
   }
 
   _lintStmtWhile(statement) {
+    /* A "while (True)" loop without procedure calls cannot affect
+     * the board, so it never terminates */
+    if (isBooleanLiteral(statement.condition)
+        && statement.condition.constructorName.value === i18n('CONS:True')
+        && !containsProcedureCall(statement.body)) {
+      this._lintCheck(
+        statement.startPos, statement.endPos,
+        'infinite-loop-without-effect', []
+      );
+    }
     this._lintExpression(statement.condition);
     this._lintStatement(statement.body);
   }
@@ -551,13 +786,16 @@ export class Linter {
     for (let variable of branch.pattern.boundVariables) {
       this._symtable.addNewLocalName(variable, LocalParameter);
     }
-    if (isMatching) {
-      this._lintExpression(branch.body);
-    } else {
-      this._lintStatement(branch.body);
-    }
-    for (let variable of branch.pattern.boundVariables) {
-      this._symtable.removeLocalName(variable);
+    try {
+      if (isMatching) {
+        this._lintExpression(branch.body);
+      } else {
+        this._lintStatement(branch.body);
+      }
+    } finally {
+      for (let variable of branch.pattern.boundVariables) {
+        this._symtable.removeLocalName(variable);
+      }
     }
   }
 
@@ -585,6 +823,7 @@ export class Linter {
 
   _lintStmtAssignVariable(statement) {
     this._symtable.setLocalName(statement.variable, LocalVariable);
+    this._declareLocalName(statement.variable, 'unused-local-variable');
     this._lintExpression(statement.value);
   }
 
@@ -592,6 +831,7 @@ export class Linter {
     let variables = {};
     for (let variable of statement.variables) {
       this._symtable.setLocalName(variable, LocalVariable);
+      this._declareLocalName(variable, 'unused-local-variable');
       if (variable.value in variables) {
         this._lintCheck(
           variable.startPos, variable.endPos,
@@ -605,6 +845,7 @@ export class Linter {
 
   _lintStmtProcedureCall(statement) {
     let name = statement.procedureName.value;
+    this._addCall(name);
 
     /* Check that it is a procedure */
     if (!this._symtable.isProcedure(name)) {
@@ -624,18 +865,22 @@ export class Linter {
       }
     }
 
-    /* Check that the number of argument coincides */
-    let expected = this._symtable.procedureParameters(name).length;
-    let received = statement.args.length;
-    if (expected !== received) {
-      this._lintCheck(
-        statement.startPos, statement.endPos,
-        'procedure-arity-mismatch', [
-          name,
-          expected,
-          received
-        ]
-      );
+    /* Check that the number of argument coincides.
+     * (If the previous check is not an error, the procedure might
+     * not exist). */
+    if (this._symtable.isProcedure(name)) {
+      let expected = this._symtable.procedureParameters(name).length;
+      let received = statement.args.length;
+      if (expected !== received) {
+        this._lintCheck(
+          statement.startPos, statement.endPos,
+          'procedure-arity-mismatch', [
+            name,
+            expected,
+            received
+          ]
+        );
+      }
     }
 
     /* Check all the arguments */
@@ -755,6 +1000,7 @@ export class Linter {
     /* No restrictions.
      * Note: the restriction that a variable is defined before it is used
      * is a dynamic constraint . */
+    this._usedLocalNames[expression.variableName.value] = true;
   }
 
   _lintExprConstantNumber(expression) {
@@ -919,6 +1165,7 @@ export class Linter {
   _lintExprFunctionCall(expression) {
     /* Check that it is a function or a field */
     let name = expression.functionName.value;
+    this._addCall(name);
     if (!this._symtable.isFunction(name) && !this._symtable.isField(name)) {
       this._lintCheck(
         expression.startPos, expression.endPos,
@@ -953,7 +1200,8 @@ export class Linter {
   }
 
   _disableRecursion(ast) {
-    if (this._enabledLinterChecks['forbidden-extension-allow-recursion']) {
+    if (this._linterCheckSeverities['forbidden-extension-allow-recursion']
+        !== 'off') {
       let cycle = new RecursionChecker().callCycle(ast);
       if (cycle !== null) {
         this._lintCheck(
@@ -964,6 +1212,100 @@ export class Linter {
     }
   }
 
+  /* The type inference is only run if some of its checks is enabled */
+  _checkStaticTypes(ast) {
+    let enabled = STATIC_TYPE_CHECKS.some((linterCheckId) =>
+      this._linterCheckSeverities[linterCheckId] !== 'off'
+    );
+    if (!enabled) {
+      return;
+    }
+    let typeChecker = new TypeChecker(this._symtable, this._primitives);
+    for (let error of typeChecker.typeErrors(ast)) {
+      this._lintRecovering(() => this._lintCheck(
+        error.startPos, error.endPos, error.reason, error.args
+      ));
+    }
+  }
+
+  /** Unused names **/
+
+  _beginRoutine(routineName) {
+    this._currentRoutine = routineName;
+    this._localDeclarations = {};
+    this._usedLocalNames = {};
+  }
+
+  /* Report the parameters and local variables of the current routine
+   * that are never used */
+  _endRoutine() {
+    for (let name in this._localDeclarations) {
+      if (!(name in this._usedLocalNames)) {
+        let declaration = this._localDeclarations[name];
+        this._lintCheck(
+          declaration.token.startPos, declaration.token.endPos,
+          declaration.linterCheckId, [name]
+        );
+      }
+    }
+    this._currentRoutine = null;
+  }
+
+  _declareLocalName(token, linterCheckId) {
+    if (!(token.value in this._localDeclarations)) {
+      this._localDeclarations[token.value] = {
+        'token': token,
+        'linterCheckId': linterCheckId,
+      };
+    }
+  }
+
+  _addCall(routineName) {
+    if (this._currentRoutine === null) {
+      return;
+    }
+    if (!(this._currentRoutine in this._callGraph)) {
+      this._callGraph[this._currentRoutine] = {};
+    }
+    this._callGraph[this._currentRoutine][routineName] = true;
+  }
+
+  /* Report the user-defined procedures and functions that are not
+   * reachable from the program. Sources without a program (e.g.
+   * libraries) are not checked. */
+  _checkUnusedRoutines(ast) {
+    if (this._symtable.program === null) {
+      return;
+    }
+    let reachable = {'program': true};
+    let pending = ['program'];
+    while (pending.length > 0) {
+      let caller = pending.pop();
+      for (let callee in this._callGraph[caller]) {
+        if (!(callee in reachable)) {
+          reachable[callee] = true;
+          pending.push(callee);
+        }
+      }
+    }
+    for (let definition of ast.definitions) {
+      let linterCheckId;
+      if (definition.tag === N_DefProcedure) {
+        linterCheckId = 'unused-procedure';
+      } else if (definition.tag === N_DefFunction) {
+        linterCheckId = 'unused-function';
+      } else {
+        continue;
+      }
+      if (!(definition.name.value in reachable)) {
+        this._lintCheck(
+          definition.name.startPos, definition.name.endPos,
+          linterCheckId, [definition.name.value]
+        );
+      }
+    }
+  }
+
   /* Throw a syntax error indicating that we expected the name of a
    * constructor, but we got a name which is not a constructor.
    *
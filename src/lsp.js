@@ -0,0 +1,664 @@
+/* Language Server Protocol server for Gobstones.
+ *
+ * The server communicates with the editor through JSON-RPC messages,
+ * each of them preceded by a 'Content-Length' header.
+ * It provides:
+ * - diagnostics (syntax errors, linter errors and warnings),
+ * - go-to-definition for procedures, functions, types, constructors
+ *   and fields,
+ * - hover information for routines (parameters and attributes) and types,
+ * - document symbols,
+ * - completion of primitives and user-defined names.
+ *
+ * Documents are synchronized in full, i.e. the editor sends the whole
+ * text of a document whenever it changes.
+ */
+
+import { Runner } from './runner';
+import { RuntimePrimitives } from './runtime';
+import { Lexer } from './lexer';
+import { T_EOF, T_LOWERID, T_UPPERID, T_PROGRAM } from './token';
+import {
+  N_DefProgram,
+  N_DefInteractiveProgram,
+  N_DefProcedure,
+  N_DefFunction,
+  N_DefType,
+} from './ast';
+
+/* JSON-RPC error codes */
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+
+/* Constants of the protocol */
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+
+const DIAGNOSTIC_SEVERITY_ERROR = 1;
+const DIAGNOSTIC_SEVERITY_WARNING = 2;
+
+const SYMBOL_KIND_MODULE = 2;
+const SYMBOL_KIND_METHOD = 6;
+const SYMBOL_KIND_FIELD = 8;
+const SYMBOL_KIND_CONSTRUCTOR = 9;
+const SYMBOL_KIND_FUNCTION = 12;
+const SYMBOL_KIND_STRUCT = 23;
+
+const COMPLETION_ITEM_KIND_METHOD = 2;
+const COMPLETION_ITEM_KIND_FUNCTION = 3;
+const COMPLETION_ITEM_KIND_CONSTRUCTOR = 4;
+const COMPLETION_ITEM_KIND_STRUCT = 22;
+
+const HEADER_SEPARATOR = '\r\n\r\n';
+
+/* Names of primitives that do not start with a letter are either
+ * operators (such as '+') or for internal use (such as '_makeRange'),
+ * so they are not offered as completions */
+function startsWithLetter(name) {
+  return name[0].toUpperCase() !== name[0].toLowerCase();
+}
+
+/* Positions in the protocol are 0-based, while positions in the
+ * source reader are 1-based */
+function lspPosition(position) {
+  return {'line': position.line - 1, 'character': position.column - 1};
+}
+
+function lspRange(startPos, endPos) {
+  return {'start': lspPosition(startPos), 'end': lspPosition(endPos)};
+}
+
+function tokenContains(token, line, column) {
+  return token.startPos.line === line
+      && token.startPos.column <= column
+      && column < token.endPos.column;
+}
+
+function diagnostic(exception, severity) {
+  return {
+    'range': lspRange(exception.startPos, exception.endPos),
+    'severity': severity,
+    'code': exception.reason,
+    'source': 'gobstones',
+    'message': exception.message,
+  };
+}
+
+/* Encode a message, preceded by its header */
+export function encodeMessage(message) {
+  let body = JSON.stringify(message);
+  return 'Content-Length: ' + Buffer.byteLength(body, 'utf8').toString()
+       + HEADER_SEPARATOR + body;
+}
+
+/* A frame that could not be decoded as a message.
+ * The decoder returns it in place of the message, so that the server
+ * may answer with a parse error and go on reading. */
+export class MalformedMessage {
+
+  constructor(reason) {
+    this.reason = reason;
+  }
+
+}
+
+/* Splits a stream of bytes into messages.
+ * Chunks of data are fed with 'push', which returns the list of
+ * all the messages that have been completely read.
+ * Frames that cannot be decoded are returned as instances of
+ * MalformedMessage. */
+export class MessageDecoder {
+
+  constructor() {
+    this._buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this._buffer = Buffer.concat([this._buffer, Buffer.from(chunk)]);
+    let messages = [];
+    for (;;) {
+      let headerEnd = this._buffer.indexOf(HEADER_SEPARATOR);
+      if (headerEnd === -1) {
+        break;
+      }
+      let header = this._buffer.slice(0, headerEnd).toString('ascii');
+      let bodyStart = headerEnd + HEADER_SEPARATOR.length;
+      let match = /Content-Length: *(\d+)/i.exec(header);
+      if (match === null) {
+        /* The length of the body is unknown, so only the header
+         * is skipped */
+        this._buffer = this._buffer.slice(bodyStart);
+        messages.push(new MalformedMessage('Missing Content-Length header.'));
+        continue;
+      }
+      let bodyEnd = bodyStart + parseInt(match[1], 10);
+      if (this._buffer.length < bodyEnd) {
+        break;
+      }
+      let body = this._buffer.slice(bodyStart, bodyEnd).toString('utf8');
+      this._buffer = this._buffer.slice(bodyEnd);
+      try {
+        messages.push(JSON.parse(body));
+      } catch (exception) {
+        messages.push(new MalformedMessage(exception.message));
+      }
+    }
+    return messages;
+  }
+
+}
+
+/* The result of analyzing the current text of a document */
+class DocumentAnalysis {
+
+  constructor(uri, text) {
+    let input = {};
+    input[uri] = text;
+    this._uri = uri;
+    this._text = text;
+    this._runner = new Runner();
+    this._diagnostics = [];
+    this._analyze(input);
+  }
+
+  get runner() {
+    return this._runner;
+  }
+
+  get diagnostics() {
+    return this._diagnostics;
+  }
+
+  /* Return the identifier located in the given (0-based) position,
+   * or null if there is none */
+  tokenAt(position) {
+    let line = position.line + 1;
+    let column = position.character + 1;
+    let input = {};
+    input[this._uri] = this._text;
+    let lexer = new Lexer(input);
+    for (;;) {
+      let token;
+      try {
+        token = lexer.nextToken();
+      } catch (exception) {
+        if (exception.isGobstonesException === undefined) {
+          throw exception;
+        }
+        continue; /* Skip lexical errors */
+      }
+      if (token.tag === T_EOF || token.startPos.line > line) {
+        return null;
+      } else if (tokenContains(token, line, column)) {
+        return token;
+      }
+    }
+  }
+
+  _analyze(input) {
+    let runner = this._runner;
+    runner.recoverFromParseErrors(true);
+    runner.collectAllLintErrors(true);
+    /* Style feedback is shown as warnings in the editor */
+    runner.enableStyleChecks(true);
+    let errors = [];
+    try {
+      runner.parse(input);
+    } catch (exception) {
+      if (exception.isGobstonesException === undefined) {
+        throw exception;
+      }
+      errors = runner.parseErrors;
+    }
+    let warnings = runner.warnings;
+
+    /* Documents may be libraries without a main program */
+    runner.enableLintCheck('source-should-have-a-program-definition', false);
+
+    /* If there are syntax errors, the partial AST is still linted
+     * to build the symbol table, but errors and warnings found by the
+     * linter are not reported, as they are probably spurious. */
+    try {
+      runner.lint();
+    } catch (exception) {
+      if (exception.isGobstonesException === undefined) {
+        throw exception;
+      }
+      if (errors.length === 0) {
+        errors = runner.lintErrors;
+      }
+    }
+    if (runner.parseErrors.length === 0) {
+      warnings = runner.warnings;
+    }
+
+    for (let error of errors) {
+      this._diagnostics.push(diagnostic(error, DIAGNOSTIC_SEVERITY_ERROR));
+    }
+    for (let warning of warnings) {
+      this._diagnostics.push(diagnostic(warning, DIAGNOSTIC_SEVERITY_WARNING));
+    }
+  }
+
+}
+
+/* The language server handles messages (already decoded) and
+ * answers by calling sendMessage.
+ * When the editor requests the server to exit, onExit is called with
+ * the exit code. */
+export class LanguageServer {
+
+  constructor(sendMessage, onExit) {
+    this._sendMessage = sendMessage;
+    this._onExit = onExit;
+    this._primitives = new RuntimePrimitives();
+    this._shutdownRequested = false;
+
+    /* Each document URI is mapped to its DocumentAnalysis */
+    this._documents = {};
+  }
+
+  /* Errors found while handling a message never stop the server.
+   * Requests that fail are answered with an error response, while
+   * failing notifications are ignored. */
+  handleMessage(message) {
+    if (message instanceof MalformedMessage) {
+      this._sendError(null, PARSE_ERROR, 'Parse error: ' + message.reason);
+      return;
+    }
+    if (message === null || typeof message !== 'object') {
+      this._sendError(null, INVALID_REQUEST, 'Invalid request.');
+      return;
+    }
+    if (!('method' in message)) {
+      return; /* Ignore responses */
+    }
+    if (!('id' in message)) {
+      try {
+        this._handleNotification(message.method, message.params);
+      } catch (exception) {
+        /* Notifications have no response */
+      }
+      return;
+    }
+    let result;
+    try {
+      result = this._handleRequest(message.method, message.params);
+    } catch (exception) {
+      this._sendError(
+        message.id, INTERNAL_ERROR, 'Internal error: ' + exception.message
+      );
+      return;
+    }
+    if (result === undefined) {
+      this._sendError(
+        message.id, METHOD_NOT_FOUND, 'Method not found: ' + message.method
+      );
+    } else {
+      this._sendMessage({
+        'jsonrpc': '2.0',
+        'id': message.id,
+        'result': result,
+      });
+    }
+  }
+
+  _sendError(id, code, errorMessage) {
+    this._sendMessage({
+      'jsonrpc': '2.0',
+      'id': id,
+      'error': {
+        'code': code,
+        'message': errorMessage,
+      },
+    });
+  }
+
+  /* Return the result of a request, or undefined if the method
+   * is not supported */
+  _handleRequest(method, params) {
+    switch (method) {
+      case 'initialize':
+        return this._initialize();
+      case 'shutdown':
+        this._shutdownRequested = true;
+        return null;
+      case 'textDocument/definition':
+        return this._definition(params);
+      case 'textDocument/hover':
+        return this._hover(params);
+      case 'textDocument/documentSymbol':
+        return this._documentSymbols(params);
+      case 'textDocument/completion':
+        return this._completion(params);
+      default:
+        return undefined;
+    }
+  }
+
+  _handleNotification(method, params) {
+    switch (method) {
+      case 'textDocument/didOpen':
+        this._updateDocument(params.textDocument.uri, params.textDocument.text);
+        break;
+      case 'textDocument/didChange':
+        /* Only full synchronization is supported,
+         * so the last change has the whole text */
+        this._updateDocument(
+          params.textDocument.uri,
+          params.contentChanges[params.contentChanges.length - 1].text
+        );
+        break;
+      case 'textDocument/didClose':
+        delete this._documents[params.textDocument.uri];
+        this._publishDiagnostics(params.textDocument.uri, []);
+        break;
+      case 'exit':
+        this._onExit(this._shutdownRequested ? 0 : 1);
+        break;
+      default:
+        /* Ignore other notifications */
+        break;
+    }
+  }
+
+  _initialize() {
+    return {
+      'capabilities': {
+        'textDocumentSync': TEXT_DOCUMENT_SYNC_FULL,
+        'definitionProvider': true,
+        'hoverProvider': true,
+        'documentSymbolProvider': true,
+        'completionProvider': {},
+      },
+      'serverInfo': {
+        'name': 'gobstones-interpreter',
+      },
+    };
+  }
+
+  _updateDocument(uri, text) {
+    let analysis = new DocumentAnalysis(uri, text);
+    this._documents[uri] = analysis;
+    this._publishDiagnostics(uri, analysis.diagnostics);
+  }
+
+  _publishDiagnostics(uri, diagnostics) {
+    this._sendMessage({
+      'jsonrpc': '2.0',
+      'method': 'textDocument/publishDiagnostics',
+      'params': {
+        'uri': uri,
+        'diagnostics': diagnostics,
+      },
+    });
+  }
+
+  /* Return the symbol table of the given document and the token
+   * located in the given position, or null if there is no such token */
+  _lookup(params) {
+    let analysis = this._documents[params.textDocument.uri];
+    if (analysis === undefined) {
+      return null;
+    }
+    let token = analysis.tokenAt(params.position);
+    if (token === null) {
+      return null;
+    }
+    return {'symtable': analysis.runner.symbolTable, 'token': token};
+  }
+
+  /** Definitions **/
+
+  _definition(params) {
+    let lookup = this._lookup(params);
+    if (lookup === null) {
+      return null;
+    }
+    let uri = params.textDocument.uri;
+    let locations = [];
+    for (let nameToken of this._definingTokens(lookup.symtable, lookup.token)) {
+      /* Primitives are not defined in the document */
+      if (nameToken.startPos.filename === uri) {
+        locations.push({
+          'uri': uri,
+          'range': lspRange(nameToken.startPos, nameToken.endPos),
+        });
+      }
+    }
+    return locations;
+  }
+
+  /* Return the list of tokens in which the name of the given token
+   * is defined */
+  _definingTokens(symtable, token) {
+    let name = token.value;
+    let tokens = [];
+    if (token.tag === T_UPPERID) {
+      if (symtable.isProcedure(name)) {
+        tokens.push(symtable.procedureDefinition(name).name);
+      }
+      if (symtable.isType(name)) {
+        tokens.push(symtable.typeDefinition(name).typeName);
+      }
+      /* The constructor of a record shares the name token with its type */
+      if (symtable.isConstructor(name)) {
+        let constructorName =
+          symtable.constructorDeclaration(name).constructorName;
+        if (tokens.indexOf(constructorName) === -1) {
+          tokens.push(constructorName);
+        }
+      }
+    } else if (token.tag === T_LOWERID) {
+      if (symtable.isFunction(name)) {
+        tokens.push(symtable.functionDefinition(name).name);
+      }
+      if (symtable.isField(name)) {
+        for (let descriptor of symtable.fieldDescriptor(name)) {
+          let declaration = symtable.constructorDeclaration(
+                              descriptor.constructorName
+                            );
+          tokens.push(declaration.fieldNames[descriptor.index]);
+        }
+      }
+    }
+    return tokens;
+  }
+
+  /** Hover **/
+
+  _hover(params) {
+    let lookup = this._lookup(params);
+    if (lookup === null) {
+      return null;
+    }
+    let symtable = lookup.symtable;
+    let token = lookup.token;
+    let name = token.value;
+    let signatures = [];
+    let attributes = {};
+    if (token.tag === T_PROGRAM && symtable.program !== null) {
+      signatures.push(symtable.isInteractiveProgram()
+                      ? 'interactive program'
+                      : 'program');
+      attributes = symtable.getAttributes('program');
+    } else if (token.tag === T_UPPERID) {
+      if (symtable.isProcedure(name)) {
+        signatures.push(
+          'procedure ' + name
+          + '(' + symtable.procedureParameters(name).join(', ') + ')'
+        );
+        attributes = symtable.getAttributes(name);
+      }
+      if (symtable.isType(name)) {
+        signatures.push(
+          'type ' + name + ' = '
+          + symtable.typeConstructors(name).join(' | ')
+        );
+        attributes = symtable.getAttributes(name);
+      }
+      if (symtable.isConstructor(name)) {
+        signatures.push(
+          name + '(' + symtable.constructorFields(name).join(', ') + ')'
+          + ' :: ' + symtable.constructorType(name)
+        );
+      }
+    } else if (token.tag === T_LOWERID) {
+      if (symtable.isFunction(name)) {
+        signatures.push(
+          'function ' + name
+          + '(' + symtable.functionParameters(name).join(', ') + ')'
+        );
+        attributes = symtable.getAttributes(name);
+      }
+      if (symtable.isField(name)) {
+        for (let descriptor of symtable.fieldDescriptor(name)) {
+          signatures.push(
+            'field ' + name + ' :: ' + descriptor.constructorName
+          );
+        }
+      }
+    }
+    if (signatures.length === 0) {
+      return null;
+    }
+    let lines = ['```gobstones'].concat(signatures).concat(['```']);
+    /* Primitive definitions have no attributes */
+    for (let key in attributes || {}) {
+      lines.push('- `' + key + '`: ' + attributes[key]);
+    }
+    return {
+      'contents': {'kind': 'markdown', 'value': lines.join('\n')},
+      'range': lspRange(token.startPos, token.endPos),
+    };
+  }
+
+  /** Document symbols **/
+
+  _documentSymbols(params) {
+    let analysis = this._documents[params.textDocument.uri];
+    if (analysis === undefined || analysis.runner.abstractSyntaxTree === null) {
+      return [];
+    }
+    let symbols = [];
+    for (let definition of analysis.runner.abstractSyntaxTree.definitions) {
+      symbols.push(this._definitionSymbol(definition));
+    }
+    return symbols;
+  }
+
+  _definitionSymbol(definition) {
+    switch (definition.tag) {
+      case N_DefProgram:
+        return this._symbol(
+          'program', SYMBOL_KIND_MODULE, definition, null, []
+        );
+      case N_DefInteractiveProgram:
+        return this._symbol(
+          'interactive program', SYMBOL_KIND_MODULE, definition, null, []
+        );
+      case N_DefProcedure:
+        return this._symbol(
+          definition.name.value, SYMBOL_KIND_METHOD,
+          definition, definition.name, []
+        );
+      case N_DefFunction:
+        return this._symbol(
+          definition.name.value, SYMBOL_KIND_FUNCTION,
+          definition, definition.name, []
+        );
+      case N_DefType:
+        return this._symbol(
+          definition.typeName.value, SYMBOL_KIND_STRUCT,
+          definition, definition.typeName,
+          definition.constructorDeclarations.map(
+            (declaration) => this._constructorSymbol(declaration)
+          )
+        );
+      default:
+        throw Error(
+          'Unknown definition: ' + Symbol.keyFor(definition.tag)
+        );
+    }
+  }
+
+  _constructorSymbol(declaration) {
+    return this._symbol(
+      declaration.constructorName.value, SYMBOL_KIND_CONSTRUCTOR,
+      declaration, declaration.constructorName,
+      declaration.fieldNames.map(
+        (fieldName) => this._symbol(
+          fieldName.value, SYMBOL_KIND_FIELD, fieldName, fieldName, []
+        )
+      )
+    );
+  }
+
+  /* The selection range is the range of the name, if the symbol has
+   * one, and the range of the whole node otherwise */
+  _symbol(name, kind, node, nameToken, children) {
+    let selection = nameToken === null ? node : nameToken;
+    return {
+      'name': name,
+      'kind': kind,
+      'range': lspRange(node.startPos, node.endPos),
+      'selectionRange': lspRange(selection.startPos, selection.endPos),
+      'children': children,
+    };
+  }
+
+  /** Completion **/
+
+  _completion(params) {
+    let items = [];
+    for (let name of this._primitives.procedures()) {
+      items.push({'label': name, 'kind': COMPLETION_ITEM_KIND_METHOD});
+    }
+    for (let name of this._primitives.functions()) {
+      items.push({'label': name, 'kind': COMPLETION_ITEM_KIND_FUNCTION});
+    }
+    for (let typeName of this._primitives.types()) {
+      items.push({'label': typeName, 'kind': COMPLETION_ITEM_KIND_STRUCT});
+      for (let name of this._primitives.typeConstructors(typeName)) {
+        items.push({'label': name, 'kind': COMPLETION_ITEM_KIND_CONSTRUCTOR});
+      }
+    }
+    for (let item of items) {
+      item.detail = 'primitive';
+    }
+
+    /* Names defined in the document */
+    let analysis = this._documents[params.textDocument.uri];
+    if (analysis !== undefined) {
+      let symtable = analysis.runner.symbolTable;
+      for (let name of symtable.allProcedureNames()) {
+        if (!this._primitives.isProcedure(name)) {
+          items.push({'label': name, 'kind': COMPLETION_ITEM_KIND_METHOD});
+        }
+      }
+      for (let name of symtable.allFunctionNames()) {
+        if (!this._primitives.isFunction(name)) {
+          items.push({'label': name, 'kind': COMPLETION_ITEM_KIND_FUNCTION});
+        }
+      }
+    }
+    return items.filter((item) => startsWithLetter(item.label));
+  }
+
+}
+
+/* Run a language server reading messages from the input stream
+ * and writing messages to the output stream */
+export function runLanguageServer(input, output, onExit) {
+  let decoder = new MessageDecoder();
+  let server = new LanguageServer(
+    (message) => output.write(encodeMessage(message)),
+    onExit
+  );
+  input.on('data', (chunk) => {
+    for (let message of decoder.push(chunk)) {
+      server.handleMessage(message);
+    }
+  });
+}
@@ -151,10 +151,20 @@ const OPERATORS = [
   })
 ];
 
+/* Tokens that may start a definition. A parser recovering from errors
+ * resynchronizes at these tokens. */
+const DEFINITION_KEYWORDS = [
+  T_PROGRAM, T_INTERACTIVE, T_PROCEDURE, T_FUNCTION, T_TYPE
+];
+
 function fail(startPos, endPos, reason, args) {
   throw new GbsSyntaxError(startPos, endPos, reason, args);
 }
 
+function isDefinitionKeyword(tag) {
+  return DEFINITION_KEYWORDS.indexOf(tag) !== -1;
+}
+
 /* Represents a parser for a Gobstones/XGobstones program.
  * It is structured as a straightforward recursive-descent parser.
  *
@@ -169,11 +179,19 @@ function fail(startPos, endPos, reason, args) {
  *   on the first token of the corresponding construction,
  * - when parseFoo returns, the current token is already located on
  *   the following token, after the corresponding construction.
+ *
+ * If the parameter 'recoverFromErrors' is true, syntax errors are not
+ * thrown. Instead, they are collected (see the 'errors' method) and the
+ * parser skips tokens until it reaches the following statement or
+ * definition. The resulting AST is partial: it omits the statements
+ * and definitions in which errors were found.
  */
 export class Parser {
 
-  constructor(input) {
+  constructor(input, recoverFromErrors) {
     this._lexer = new Lexer(input);
+    this._recoverFromErrors = recoverFromErrors === true;
+    this._errors = [];
     this._nextToken();
   }
 
@@ -181,17 +199,48 @@ export class Parser {
   parse() {
     let definitions = [];
     while (this._currentToken.tag !== T_EOF) {
-      definitions.push(this._parseDefinition());
+      if (!this._recoverFromErrors) {
+        definitions.push(this._parseDefinition());
+        continue;
+      }
+      try {
+        definitions.push(this._parseDefinition());
+      } catch (exception) {
+        this._recordError(exception);
+        this._synchronizeDefinition();
+      }
     }
     return new ASTMain(definitions);
   }
 
+  /* Return the AST that results from parsing a single expression,
+   * which should span the whole input.
+   * This is used, for instance, for the conditions of breakpoints. */
+  parseExpression() {
+    let expression = this._parseExpression();
+    this._match(T_EOF);
+    return expression;
+  }
+
   /* Return the list of all language options collected by the tokenizer.
    * Language options are set by the LANGUAGE pragma. */
   getLanguageOptions() {
     return this._lexer.getLanguageOptions();
   }
 
+  /* Return the list of all the warnings collected while parsing
+   * (currently, only those emitted by the tokenizer). */
+  warnings() {
+    return this._lexer.warnings();
+  }
+
+  /* When parsing is done, this function returns the list of all the
+   * errors (instances of GbsSyntaxError) found while parsing.
+   * The list is always empty unless the parser recovers from errors. */
+  errors() {
+    return this._errors;
+  }
+
   /** Definitions **/
 
   _parseDefinition() {
@@ -420,7 +469,7 @@ export class Parser {
     let statements = [];
     this._match(T_LBRACE);
     while (this._currentToken.tag !== T_RBRACE) {
-      statements.push(this._parseStatement());
+      this._parseStatementRecovering(statements);
       if (this._currentToken === T_SEMICOLON) {
         this._match(T_SEMICOLON);
       }
@@ -433,6 +482,27 @@ export class Parser {
     return result;
   }
 
+  /* Parse a statement and add it to the given list.
+   * If recovering from errors, a statement with errors is skipped. */
+  _parseStatementRecovering(statements) {
+    if (!this._recoverFromErrors) {
+      statements.push(this._parseStatement());
+      return;
+    }
+    try {
+      statements.push(this._parseStatement());
+    } catch (exception) {
+      let tag = this._currentToken.tag;
+      if (tag === T_EOF || isDefinitionKeyword(tag)) {
+        /* The enclosing definitions are not closed.
+         * The error is recorded when resynchronizing at the top level. */
+        throw exception;
+      }
+      this._recordError(exception);
+      this._synchronizeStatement();
+    }
+  }
+
   _parseStmtEllipsis() {
     let startPos = this._currentToken.startPos;
     this._match(T_ELLIPSIS);
@@ -1313,7 +1383,61 @@ export class Parser {
 
   /* Advance to the next token */
   _nextToken() {
-    this._currentToken = this._lexer.nextToken();
+    for (;;) {
+      try {
+        this._currentToken = this._lexer.nextToken();
+        return;
+      } catch (exception) {
+        /* When recovering from errors, the offending token is skipped */
+        this._recordError(exception);
+      }
+    }
+  }
+
+  /* Record a syntax error if recovering from errors.
+   * Otherwise, or if it is not a Gobstones exception, throw it. */
+  _recordError(exception) {
+    if (!this._recoverFromErrors
+        || exception.isGobstonesException === undefined) {
+      throw exception;
+    }
+    this._errors.push(exception);
+  }
+
+  /* Skip tokens until reaching the beginning of a definition */
+  _synchronizeDefinition() {
+    while (this._currentToken.tag !== T_EOF
+        && !isDefinitionKeyword(this._currentToken.tag)) {
+      this._nextToken();
+    }
+  }
+
+  /* Skip tokens until reaching the end of the current statement, that is:
+   * - after a semicolon,
+   * - after a block, e.g. the body of a loop with errors in its header,
+   * - before the closing brace of the enclosing block,
+   * - before the beginning of a definition. */
+  _synchronizeStatement() {
+    let nesting = 0;
+    for (;;) {
+      let tag = this._currentToken.tag;
+      if (tag === T_EOF || isDefinitionKeyword(tag)) {
+        return;
+      } else if (tag === T_RBRACE && nesting === 0) {
+        return;
+      }
+      this._nextToken();
+      if (tag === T_LBRACE) {
+        nesting++;
+      } else if (tag === T_RBRACE) {
+        nesting--;
+        if (nesting === 0) {
+          return;
+        }
+      } else if (tag === T_SEMICOLON && nesting === 0) {
+        return;
+      }
+    }
   }
 
   /* Check that the current token has the expected tag.
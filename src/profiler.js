@@ -0,0 +1,208 @@
+/* Execution profiler.
+ *
+ * When a profiler is given to the virtual machine (see
+ * VirtualMachine.setProfiler), the VM notifies it of every instruction
+ * it executes, every routine it enters or leaves, and every primitive
+ * operation it calls. The profiler collects, for each routine name:
+ * - calls: number of times the routine was called,
+ * - instructions: number of instructions executed in the routine itself,
+ * - selfTime: time spent in the routine itself, in millisecs,
+ * - totalTime: time spent in the routine and the routines it calls,
+ *   in millisecs (recursive calls are only counted once),
+ * and, for each primitive operation, the number of times it was called.
+ *
+ * The profiler also collects "folded stacks", as consumed by flamegraph
+ * tools: each line is a call stack (routine names separated by
+ * semicolons) followed by the number of instructions executed with
+ * that call stack.
+ */
+
+import { padLeft, padRight } from './board_formats.js';
+
+function defaultClock() {
+  if (typeof performance !== 'undefined') {
+    return performance.now();
+  } else {
+    return new Date().getTime();
+  }
+}
+
+export class Profiler {
+
+  /* The clock is a function returning the current time in millisecs
+   * (by default, performance.now if available) */
+  constructor(clock) {
+    this._clock = clock || defaultClock;
+    /* Dictionary mapping routine names to their profile */
+    this._routines = {};
+    /* Dictionary mapping primitive names to the number of calls */
+    this._primitives = {};
+    /* Dictionary mapping call stacks (as strings) to the number of
+     * instructions executed */
+    this._foldedStacks = {};
+    /* Stack of the routines being executed, each of the form
+     *   {name: N, startTime: T, childrenTime: C}
+     * where T is the time at which the routine was entered and C is
+     * the time spent in the routines it called so far. */
+    this._stack = [];
+    this._currentStack = '';
+  }
+
+  /* Hooks called by the virtual machine */
+
+  /* A run starts with the given routines in the call stack
+   * (typically only the main program) */
+  startRun(routineNames) {
+    for (let routineName of routineNames) {
+      this.enterRoutine(routineName);
+    }
+  }
+
+  /* A run ends, either normally or because of an error. The routines
+   * that remain in the stack are left. */
+  stopRun() {
+    while (this._stack.length > 0) {
+      this.leaveRoutine();
+    }
+  }
+
+  enterRoutine(routineName) {
+    this._routineProfile(routineName).calls++;
+    this._stack.push({
+      'name': routineName,
+      'startTime': this._clock(),
+      'childrenTime': 0,
+    });
+    this._updateCurrentStack();
+  }
+
+  leaveRoutine() {
+    let entry = this._stack.pop();
+    let elapsed = this._clock() - entry.startTime;
+    let profile = this._routineProfile(entry.name);
+    profile.selfTime += elapsed - entry.childrenTime;
+    if (!this._stack.some((other) => other.name === entry.name)) {
+      /* Time in recursive calls is already counted by the outermost one */
+      profile.totalTime += elapsed;
+    }
+    if (this._stack.length > 0) {
+      this._stack[this._stack.length - 1].childrenTime += elapsed;
+    }
+    this._updateCurrentStack();
+  }
+
+  countInstruction() {
+    if (this._stack.length === 0) {
+      return;
+    }
+    this._routineProfile(this._stack[this._stack.length - 1].name)
+        .instructions++;
+    if (!(this._currentStack in this._foldedStacks)) {
+      this._foldedStacks[this._currentStack] = 0;
+    }
+    this._foldedStacks[this._currentStack]++;
+  }
+
+  countPrimitive(primitiveName) {
+    if (!(primitiveName in this._primitives)) {
+      this._primitives[primitiveName] = 0;
+    }
+    this._primitives[primitiveName]++;
+  }
+
+  /* Results */
+
+  /* Return the list of profiles of the routines, each of the form
+   *   {name, calls, instructions, selfTime, totalTime}
+   * sorted by total time, and then by number of instructions. */
+  routineProfiles() {
+    let profiles = [];
+    for (let name in this._routines) {
+      profiles.push(this._routines[name]);
+    }
+    profiles.sort((p1, p2) =>
+      p2.totalTime - p1.totalTime || p2.instructions - p1.instructions
+    );
+    return profiles;
+  }
+
+  /* Return the list of primitives that were called, each of the form
+   *   {name, calls}
+   * sorted by number of calls. Internal primitives, whose names start
+   * with an underscore, are not included. */
+  primitiveCounts() {
+    let counts = [];
+    for (let name in this._primitives) {
+      if (name[0] !== '_') {
+        counts.push({'name': name, 'calls': this._primitives[name]});
+      }
+    }
+    counts.sort((c1, c2) =>
+      c2.calls - c1.calls || (c1.name < c2.name ? -1 : 1)
+    );
+    return counts;
+  }
+
+  /* Return the folded stacks, one line per call stack */
+  foldedStacks() {
+    let lines = [];
+    for (let stack in this._foldedStacks) {
+      lines.push(stack + ' ' + this._foldedStacks[stack].toString());
+    }
+    return lines.sort();
+  }
+
+  _routineProfile(routineName) {
+    if (!(routineName in this._routines)) {
+      this._routines[routineName] = {
+        'name': routineName,
+        'calls': 0,
+        'instructions': 0,
+        'selfTime': 0,
+        'totalTime': 0,
+      };
+    }
+    return this._routines[routineName];
+  }
+
+  _updateCurrentStack() {
+    this._currentStack = this._stack.map((entry) => entry.name).join(';');
+  }
+
+}
+
+/* The first column is aligned to the left, and the others to the right */
+function textTable(rows) {
+  let widths = rows[0].map((header, i) =>
+    Math.max.apply(null, rows.map((row) => row[i].length))
+  );
+  return rows.map((row) =>
+    row.map((cell, i) =>
+      i === 0 ? padRight(cell, widths[i]) : padLeft(cell, widths[i])
+    ).join('  ').replace(/ +$/, '')
+  );
+}
+
+/* Return the lines of a table with the results of the profiler */
+export function textFromProfile(profiler) {
+  let rows = [['Routine', 'Calls', 'Instructions', 'Self (ms)', 'Total (ms)']];
+  for (let profile of profiler.routineProfiles()) {
+    rows.push([
+      profile.name,
+      profile.calls.toString(),
+      profile.instructions.toString(),
+      profile.selfTime.toFixed(2),
+      profile.totalTime.toFixed(2),
+    ]);
+  }
+  let lines = textTable(rows);
+  let primitiveRows = [['Primitive', 'Calls']];
+  for (let count of profiler.primitiveCounts()) {
+    primitiveRows.push([count.name, count.calls.toString()]);
+  }
+  if (primitiveRows.length > 1) {
+    lines.push('');
+    lines = lines.concat(textTable(primitiveRows));
+  }
+  return lines;
+}
@@ -0,0 +1,357 @@
+/* Property-based testing over random boards.
+ *
+ * A student program is checked against a reference program by running
+ * both of them on many random boards. The programs agree on a board if
+ * both of them end with the same board and the same return value, or
+ * if both of them fail with an error of the same kind.
+ *
+ * The first board on which they disagree is shrunk (removing rows and
+ * columns, and removing stones) as long as they still disagree, so the
+ * reported counterexample is as small as possible.
+ *
+ * From the command line, run:
+ *   gobstones-interpreter check program.gbs reference.gbs
+ */
+
+import { Runner } from './runner.js';
+import { RuntimeState } from './runtime.js';
+import {
+  diffJboards, jboardColorKeys, textFromJboard, textFromJboardDiff
+} from './board_formats.js';
+
+/* Possible positions of the head of a random board */
+export const HEAD_POSITIONS = ['anywhere', 'border', 'corner', 'origin'];
+
+export const DEFAULT_BOARD_OPTIONS = {
+  'minWidth': 1,
+  'maxWidth': 6,
+  'minHeight': 1,
+  'maxHeight': 6,
+  'stoneDensity': 0.3, /* Probability of a color being present in a cell */
+  'maxStones': 5,      /* Maximum number of stones of each color */
+  'headPosition': 'anywhere',
+  'colors': null,      /* Names of the colors, or null for the standard ones */
+};
+
+export const DEFAULT_CHECK_OPTIONS = {
+  'numTests': 100,
+  'seed': 1,
+  'maxSteps': 100000, /* Instructions executed by each run of a program */
+  'maxShrinkSteps': 1000,
+  'board': DEFAULT_BOARD_OPTIONS,
+};
+
+function withDefaults(options, defaults) {
+  let result = {};
+  for (let key in defaults) {
+    result[key] = defaults[key];
+  }
+  for (let key in options || {}) {
+    result[key] = options[key];
+  }
+  return result;
+}
+
+/* Return a pseudo-random number generator with the given seed.
+ * It is a function that returns numbers in [0, 1), like Math.random,
+ * but the sequence is reproducible (mulberry32 algorithm). */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* Random integer in the closed interval [from, to] */
+function randomInt(random, from, to) {
+  return from + Math.floor(random() * (to - from + 1));
+}
+
+function randomHead(random, width, height, headPosition) {
+  switch (headPosition) {
+    case 'origin':
+      return [0, 0];
+    case 'corner':
+      return [
+        random() < 0.5 ? 0 : width - 1,
+        random() < 0.5 ? 0 : height - 1,
+      ];
+    case 'border': {
+      /* Choose a side, and then a cell along that side */
+      let side = randomInt(random, 0, 3);
+      if (side < 2) {
+        return [randomInt(random, 0, width - 1), side === 0 ? 0 : height - 1];
+      } else {
+        return [side === 2 ? 0 : width - 1, randomInt(random, 0, height - 1)];
+      }
+    }
+    case 'anywhere':
+      return [
+        randomInt(random, 0, width - 1),
+        randomInt(random, 0, height - 1),
+      ];
+    default:
+      throw Error('Unknown head position: ' + headPosition);
+  }
+}
+
+/* Return a random jboard. The random argument is a generator as
+ * returned by seededRandom (or Math.random), and the options are as
+ * in DEFAULT_BOARD_OPTIONS. */
+export function randomJboard(random, options) {
+  options = withDefaults(options, DEFAULT_BOARD_OPTIONS);
+  let width = randomInt(random, options.minWidth, options.maxWidth);
+  let height = randomInt(random, options.minHeight, options.maxHeight);
+  let colors = options.colors === null ? {} : {'colors': options.colors};
+  let board = [];
+  for (let x = 0; x < width; x++) {
+    let column = [];
+    for (let y = 0; y < height; y++) {
+      let cell = {};
+      for (let colorId of jboardColorKeys(colors)) {
+        cell[colorId] = random() < options.stoneDensity
+                      ? randomInt(random, 1, options.maxStones)
+                      : 0;
+      }
+      column.push(cell);
+    }
+    board.push(column);
+  }
+  let jboard = {
+    'width': width,
+    'height': height,
+    'head': randomHead(random, width, height, options.headPosition),
+    'board': board,
+  };
+  if (options.colors !== null) {
+    jboard.colors = options.colors.slice();
+  }
+  return jboard;
+}
+
+/* Shrinking */
+
+function copyJboard(jboard) {
+  return JSON.parse(JSON.stringify(jboard));
+}
+
+/* Positions of the head and of the named heads of a jboard */
+function headPositions(jboard) {
+  let positions = [jboard.head];
+  for (let headName in jboard.heads || {}) {
+    positions.push(jboard.heads[headName]);
+  }
+  return positions;
+}
+
+function withoutColumn(jboard, x) {
+  let result = copyJboard(jboard);
+  result.width--;
+  result.board.splice(x, 1);
+  for (let position of headPositions(result)) {
+    if (position[0] > x) {
+      position[0]--;
+    }
+  }
+  return result;
+}
+
+function withoutRow(jboard, y) {
+  let result = copyJboard(jboard);
+  result.height--;
+  for (let column of result.board) {
+    column.splice(y, 1);
+  }
+  for (let position of headPositions(result)) {
+    if (position[1] > y) {
+      position[1]--;
+    }
+  }
+  return result;
+}
+
+/* Return the list of boards that are "smaller" than the given one,
+ * simplest first: boards with a row or column less (other than the
+ * ones of the heads), and boards with less stones in some cell. */
+export function shrinkJboard(jboard) {
+  let candidates = [];
+  for (let x = jboard.width - 1; x >= 0; x--) {
+    if (headPositions(jboard).every((position) => position[0] !== x)) {
+      candidates.push(withoutColumn(jboard, x));
+    }
+  }
+  for (let y = jboard.height - 1; y >= 0; y--) {
+    if (headPositions(jboard).every((position) => position[1] !== y)) {
+      candidates.push(withoutRow(jboard, y));
+    }
+  }
+  for (let x = 0; x < jboard.width; x++) {
+    for (let y = 0; y < jboard.height; y++) {
+      for (let colorId of jboardColorKeys(jboard)) {
+        let count = jboard.board[x][y][colorId];
+        if (count === 0) {
+          continue;
+        }
+        let smaller = copyJboard(jboard);
+        smaller.board[x][y][colorId] = 0;
+        candidates.push(smaller);
+        if (count > 1) {
+          smaller = copyJboard(jboard);
+          smaller.board[x][y][colorId] = Math.floor(count / 2);
+          candidates.push(smaller);
+        }
+      }
+    }
+  }
+  return candidates;
+}
+
+/* Checking */
+
+function compiledRunner(input, colorNames, maxSteps) {
+  let runner = new Runner();
+  runner.setColorNames(colorNames);
+  runner.setMaxSteps(maxSteps);
+  runner.parse(input);
+  runner.lint();
+  runner.compile();
+  return runner;
+}
+
+/* Run the compiled program on the given board, returning an outcome:
+ *   {error: reason} if the program fails,
+ *   {finalBoard: jboard, result: string or null} if it ends. */
+function outcome(runner, jboard) {
+  let initialState = new RuntimeState();
+  initialState.load(copyJboard(jboard));
+  try {
+    runner.execute(initialState);
+  } catch (exception) {
+    if (exception.isGobstonesException === undefined) {
+      throw exception;
+    }
+    return {'error': exception.reason};
+  }
+  return {
+    'finalBoard': runner.globalState.dump(),
+    'result': runner.result === null ? null : runner.result.toString(),
+  };
+}
+
+function outcomesAgree(outcome1, outcome2) {
+  if ('error' in outcome1 || 'error' in outcome2) {
+    return outcome1.error === outcome2.error;
+  }
+  return outcome1.result === outcome2.result
+      && diffJboards(outcome1.finalBoard, outcome2.finalBoard).length === 0;
+}
+
+/* Repeatedly replace the counterexample by the first smaller board on
+ * which the programs still disagree, until there is none */
+function shrinkCounterexample(counterexample, disagreement, maxSteps) {
+  let steps = 0;
+  let shrunk = true;
+  while (shrunk && steps < maxSteps) {
+    shrunk = false;
+    for (let candidate of shrinkJboard(counterexample.initialBoard)) {
+      steps++;
+      let smaller = disagreement(candidate);
+      if (smaller !== null) {
+        counterexample = smaller;
+        shrunk = true;
+        break;
+      }
+      if (steps >= maxSteps) {
+        break;
+      }
+    }
+  }
+  return counterexample;
+}
+
+/* Run the program and the reference program on numTests random boards.
+ * The inputs are given as for Runner.parse, and the options are as in
+ * DEFAULT_CHECK_OPTIONS.
+ *
+ * Return an object with:
+ * - numTests: the number of boards tried,
+ * - counterexample: null if the programs agree on all the boards.
+ *   Otherwise, an object {initialBoard: B, outcome: O, expected: R}
+ *   with the shrunk board B, and the outcomes of the program and of the
+ *   reference program on it (see the outcome function).
+ */
+export function checkAgainstReference(input, referenceInput, options) {
+  options = withDefaults(options, DEFAULT_CHECK_OPTIONS);
+  let boardOptions = withDefaults(options.board, DEFAULT_BOARD_OPTIONS);
+  let runner = compiledRunner(input, boardOptions.colors, options.maxSteps);
+  let referenceRunner = compiledRunner(
+    referenceInput, boardOptions.colors, options.maxSteps
+  );
+  let random = seededRandom(options.seed);
+
+  function disagreement(jboard) {
+    let actual = outcome(runner, jboard);
+    let expected = outcome(referenceRunner, jboard);
+    if (outcomesAgree(actual, expected)) {
+      return null;
+    }
+    return {'initialBoard': jboard, 'outcome': actual, 'expected': expected};
+  }
+
+  for (let i = 0; i < options.numTests; i++) {
+    let counterexample = disagreement(randomJboard(random, options.board));
+    if (counterexample !== null) {
+      return {
+        'numTests': i + 1,
+        'counterexample': shrinkCounterexample(
+          counterexample, disagreement, options.maxShrinkSteps
+        ),
+      };
+    }
+  }
+  return {'numTests': options.numTests, 'counterexample': null};
+}
+
+function textFromOutcome(outcome) {
+  if ('error' in outcome) {
+    return 'failed with ' + outcome.error;
+  } else if (outcome.result === null) {
+    return 'ended';
+  } else {
+    return 'ended returning ' + outcome.result;
+  }
+}
+
+/* Return the lines of a report for the result of checkAgainstReference.
+ * The counterexample, if any, is shown as a text board (with the given
+ * options, as in textFromJboard), followed by the outcomes of both
+ * programs and the differences between their final boards. */
+export function textFromCheckResult(check, boardOptions) {
+  let counterexample = check.counterexample;
+  if (counterexample === null) {
+    return [
+      'The programs agree on ' + check.numTests.toString()
+    + ' random boards.'
+    ];
+  }
+  let outcome = counterexample.outcome;
+  let expected = counterexample.expected;
+  let lines = [
+    'The programs disagree on random board #' + check.numTests.toString()
+  + '. Smallest board found:',
+    textFromJboard(counterexample.initialBoard, boardOptions),
+    'Program: ' + textFromOutcome(outcome),
+    'Reference: ' + textFromOutcome(expected),
+  ];
+  if (!('error' in outcome) && !('error' in expected)) {
+    lines = lines.concat(textFromJboardDiff(
+      diffJboards(expected.finalBoard, outcome.finalBoard),
+      'reference', 'program'
+    ));
+  }
+  return lines;
+}
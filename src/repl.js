@@ -0,0 +1,409 @@
+/* Interactive read-eval-print loop for Gobstones.
+ *
+ * The REPL keeps a board and a set of definitions (procedures,
+ * functions and types) alive between commands. Each input may be:
+ * - one or more definitions, which are added to the current ones,
+ *   replacing previous definitions with the same name,
+ * - a program, or a sequence of statements, which are run on the
+ *   current board,
+ * - an expression, which is evaluated and printed,
+ * - a command starting with ':' (see REPL_HELP).
+ *
+ * An input may span many lines: it is not evaluated until all its
+ * delimiters are closed, or until an empty line is entered.
+ */
+
+import { Runner } from './runner';
+import { RuntimeState } from './runtime';
+import { Parser } from './parser';
+import { Lexer } from './lexer';
+import { textFromJboard } from './board_formats';
+import {
+  T_EOF,
+  T_PROGRAM,
+  T_INTERACTIVE,
+  T_PROCEDURE,
+  T_FUNCTION,
+  T_TYPE,
+} from './token';
+import {
+  N_DefProcedure,
+  N_DefFunction,
+  N_DefType,
+} from './ast';
+
+const readline = require('readline');
+
+/* Pseudo-files from which the inputs are read */
+const REPL_FILENAME = '(repl)';
+const DEFINITIONS_FILENAME = '(definitions)';
+
+/* Statements and expressions fail if they execute too many instructions */
+const REPL_MAX_STEPS = 1000000;
+
+const REPL_HELP = [
+  'Enter definitions, statements or expressions. Commands:',
+  '  :board        Print the current board.',
+  '  :definitions  Print the current definitions.',
+  '  :reset        Restore the initial board and forget all definitions.',
+  '  :help         Display this help message.',
+  '  :quit         Exit.',
+  'Local variables are not kept from one input to the next.',
+];
+
+/* Linter checks that do not make sense for isolated inputs */
+const REPL_DISABLED_LINTER_CHECKS = [
+  'source-should-have-a-program-definition',
+];
+
+function isGobstonesException(exception) {
+  return exception.isGobstonesException !== undefined;
+}
+
+/* Tag of the first token of the input, or null if it cannot be read */
+function firstTokenTag(text) {
+  let input = {};
+  input[REPL_FILENAME] = text;
+  try {
+    return new Lexer(input).nextToken().tag;
+  } catch (exception) {
+    if (!isGobstonesException(exception)) {
+      throw exception;
+    }
+    return null;
+  }
+}
+
+/* The input is incomplete if it ends in the middle of a comment or
+ * with some unclosed delimiter */
+function isIncomplete(text) {
+  let input = {};
+  input[REPL_FILENAME] = text;
+  let lexer = new Lexer(input);
+  try {
+    while (lexer.nextToken().tag !== T_EOF) {
+      /* Skip */
+    }
+    return false;
+  } catch (exception) {
+    if (!isGobstonesException(exception)) {
+      throw exception;
+    }
+    return exception.reason === 'unmatched-opening-delimiter'
+        || exception.reason === 'unclosed-multiline-comment';
+  }
+}
+
+function parses(text) {
+  let input = {};
+  input[REPL_FILENAME] = text;
+  try {
+    new Parser(input).parse();
+    return true;
+  } catch (exception) {
+    if (!isGobstonesException(exception)) {
+      throw exception;
+    }
+    return false;
+  }
+}
+
+function parsesAsExpression(text) {
+  let input = {};
+  input[REPL_FILENAME] = text;
+  try {
+    new Parser(input).parseExpression();
+    return true;
+  } catch (exception) {
+    if (!isGobstonesException(exception)) {
+      throw exception;
+    }
+    return false;
+  }
+}
+
+function definedNames(definition) {
+  switch (definition.tag) {
+    case N_DefProcedure:
+    case N_DefFunction:
+      return [definition.name.value];
+    case N_DefType:
+      return [definition.typeName.value];
+    default:
+      return [];
+  }
+}
+
+function definitionKind(definition) {
+  switch (definition.tag) {
+    case N_DefProcedure:
+      return 'procedure';
+    case N_DefFunction:
+      return 'function';
+    default:
+      return 'type';
+  }
+}
+
+export class Repl {
+
+  /* The initial state is the board on which the first statements are
+   * run (by default, an empty 9x9 board).
+   * Boards are shown using the given function, which receives a jboard
+   * and returns a string (by default, textFromJboard). */
+  constructor(initialState, showJboard) {
+    this._initialState = initialState || new RuntimeState();
+    this._showJboard = showJboard || textFromJboard;
+    this._finished = false;
+    this._pendingLines = [];
+    this._reset();
+  }
+
+  get prompt() {
+    return this._pendingLines.length === 0 ? 'gbs> ' : '...  ';
+  }
+
+  /* True after the :quit command */
+  get finished() {
+    return this._finished;
+  }
+
+  get state() {
+    return this._state;
+  }
+
+  /* Feed a line of input. Return the list of lines to be printed,
+   * which is empty if the input is not complete yet. */
+  feedLine(line) {
+    if (this._pendingLines.length > 0 && line.trim() === '') {
+      return this._evaluatePending();
+    }
+    this._pendingLines.push(line);
+    if (isIncomplete(this._pendingLines.join('\n'))) {
+      return [];
+    }
+    return this._evaluatePending();
+  }
+
+  _evaluatePending() {
+    let text = this._pendingLines.join('\n');
+    this._pendingLines = [];
+    return this.evaluate(text);
+  }
+
+  /* Evaluate a complete input. Return the list of lines to be printed. */
+  evaluate(text) {
+    let trimmed = text.trim();
+    if (trimmed === '') {
+      return [];
+    } else if (trimmed[0] === ':') {
+      return this._evaluateCommand(trimmed);
+    }
+    switch (firstTokenTag(text)) {
+      case T_PROCEDURE:
+      case T_FUNCTION:
+      case T_TYPE:
+        return this._evaluateDefinitions(text);
+      case T_PROGRAM:
+        return this._runProgram(text);
+      case T_INTERACTIVE:
+        return ['Interactive programs cannot be run in the REPL.'];
+      default:
+        return this._evaluateStatementsOrExpression(text);
+    }
+  }
+
+  _reset() {
+    this._state = this._initialState.clone();
+    /* List of the current definitions, each of the form
+     *   {names: [N1, ..., Nn], source: S}
+     * where Ni are the names it defines and S is its source code. */
+    this._definitions = [];
+  }
+
+  _evaluateCommand(command) {
+    switch (command) {
+      case ':board':
+        return [this._showBoard()];
+      case ':definitions':
+        return this._definitions.map((definition) => definition.source);
+      case ':reset':
+        this._reset();
+        return [this._showBoard()];
+      case ':help':
+        return REPL_HELP;
+      case ':quit':
+        this._finished = true;
+        return [];
+      default:
+        return ['Unknown command: ' + command + ' (try :help).'];
+    }
+  }
+
+  _showBoard() {
+    return this._showJboard(this._state.dump());
+  }
+
+  /* Definitions */
+
+  _evaluateDefinitions(text) {
+    let runner = this._newRunner();
+    let ast;
+    try {
+      let input = {};
+      input[REPL_FILENAME] = text;
+      runner.parse(input);
+      ast = runner.abstractSyntaxTree;
+    } catch (exception) {
+      return this._errorMessages(runner, exception);
+    }
+
+    /* New definitions replace old definitions with the same names */
+    let names = [];
+    for (let definition of ast.definitions) {
+      if (definedNames(definition).length === 0) {
+        return ['Programs should be entered apart from other definitions.'];
+      }
+      names = names.concat(definedNames(definition));
+    }
+    let definitions = this._definitions.filter((definition) =>
+      !definition.names.some((name) => names.indexOf(name) !== -1)
+    );
+    definitions.push({'names': names, 'source': text});
+
+    runner = this._newRunner();
+    try {
+      runner.parse(this._inputWithDefinitions(definitions.slice(0, -1), text));
+      runner.lint();
+    } catch (exception) {
+      return this._errorMessages(runner, exception);
+    }
+    this._definitions = definitions;
+    return this._warningMessages(runner).concat(
+      ast.definitions.map((definition) =>
+        'Defined ' + definitionKind(definition) + ' '
+        + definedNames(definition)[0] + '.'
+      )
+    );
+  }
+
+  /* Statements and expressions */
+
+  _evaluateStatementsOrExpression(text) {
+    let program = 'program {\n' + text + '\n}';
+    if (!parses(program) && parsesAsExpression(text)) {
+      return this._evaluateExpression(text);
+    }
+    return this._runProgram(program);
+  }
+
+  /* Expressions are evaluated on a copy of the board, which is
+   * left untouched */
+  _evaluateExpression(text) {
+    let runner = this._newRunner();
+    try {
+      runner.parse(this._inputWithDefinitions(
+        this._definitions, 'program {\nreturn (' + text + ')\n}'
+      ));
+      runner.lint();
+      runner.compile();
+      runner.execute(this._state.clone());
+    } catch (exception) {
+      return this._errorMessages(runner, exception);
+    }
+    return this._warningMessages(runner).concat([runner.result.toString()]);
+  }
+
+  /* Programs are run on a copy of the board, which replaces the current
+   * board only if the program ends successfully */
+  _runProgram(program) {
+    let runner = this._newRunner();
+    try {
+      runner.parse(this._inputWithDefinitions(this._definitions, program));
+      runner.lint();
+      runner.compile();
+      runner.execute(this._state.clone());
+    } catch (exception) {
+      return this._errorMessages(runner, exception);
+    }
+    this._state = runner.globalState;
+    let output = this._warningMessages(runner).concat([this._showBoard()]);
+    if (runner.result !== null) {
+      /* The program has a return value */
+      output.push(runner.result.toString());
+    }
+    return output;
+  }
+
+  /* Helpers */
+
+  _newRunner() {
+    let runner = new Runner();
+    /* Programs use the colors declared by the initial board, if any */
+    runner.setColorNames(this._initialState.dump().colors || null);
+    runner.recoverFromParseErrors(true);
+    runner.collectAllLintErrors(true);
+    runner.setMaxSteps(REPL_MAX_STEPS);
+    for (let linterCheckId of REPL_DISABLED_LINTER_CHECKS) {
+      runner.enableLintCheck(linterCheckId, false);
+    }
+    return runner;
+  }
+
+  _inputWithDefinitions(definitions, text) {
+    let input = {};
+    if (definitions.length > 0) {
+      input[DEFINITIONS_FILENAME] =
+        definitions.map((definition) => definition.source).join('\n');
+    }
+    input[REPL_FILENAME] = text;
+    return input;
+  }
+
+  _errorMessages(runner, exception) {
+    if (!isGobstonesException(exception)) {
+      throw exception;
+    }
+    let exceptions;
+    if (runner.parseErrors.length > 0) {
+      exceptions = runner.parseErrors;
+    } else if (runner.lintErrors.length > 0) {
+      exceptions = runner.lintErrors;
+    } else {
+      exceptions = [exception];
+    }
+    return exceptions.map((e) => 'Error: ' + e.message);
+  }
+
+  /* Only warnings about the current input are reported */
+  _warningMessages(runner) {
+    return runner.warnings.filter((warning) =>
+      warning.startPos.filename === REPL_FILENAME
+    ).map((warning) => 'Warning: ' + warning.message);
+  }
+
+}
+
+/* Run the given REPL reading lines from the input stream and writing
+ * to the output stream. The onExit callback is called when the input
+ * ends or the user quits. */
+export function runRepl(repl, input, output, onExit) {
+  let lineReader = readline.createInterface({
+    'input': input,
+    'output': output,
+    'prompt': repl.prompt,
+  });
+  lineReader.on('line', (line) => {
+    for (let outputLine of repl.feedLine(line)) {
+      output.write(outputLine + '\n');
+    }
+    if (repl.finished) {
+      lineReader.close();
+      return;
+    }
+    lineReader.setPrompt(repl.prompt);
+    lineReader.prompt();
+  });
+  lineReader.on('close', () => onExit());
+  lineReader.prompt();
+}
@@ -1,10 +1,11 @@
 
 import { Parser } from './parser';
-import { Linter } from './linter';
+import { Linter, STATIC_TYPE_CHECKS, STYLE_CHECKS } from './linter';
 import { SymbolTable } from './symtable';
 import { Compiler } from './compiler';
-import { RuntimePrimitives, RuntimeState } from './runtime';
+import { RuntimePrimitives } from './runtime';
 import { VirtualMachine } from './vm';
+import { BoardWorld } from './world';
 
 import { UnknownPosition } from './reader';
 import {
@@ -20,6 +21,9 @@ import {
   ASTConstructorDeclaration,
 } from './ast';
 
+/* Name of the pseudo-file from which conditions of breakpoints are read */
+const BREAKPOINT_CONDITION_FILENAME = '(breakpoint)';
+
 /* This module is a façade for all the combined functionality of the
  * parser/compiler/vm
  */
@@ -30,27 +34,45 @@ function tok(tag, value) {
 
 export class Runner {
 
-  constructor() {
+  /* The world determines the global state of the programs and its
+   * primitives (see src/world.js). By default, it is the board. */
+  constructor(world) {
+    this._world = world || new BoardWorld();
+    this._colorNames = null;
     this.initialize();
   }
 
   initialize() {
     this._ast = null;
-    this._primitives = new RuntimePrimitives();
-    this._symtable = this._newSymtableWithPrimitives();
-    this._linter = new Linter(this._symtable);
+    /* Arguments of the calls to registerPrimitiveProcedure and
+     * registerPrimitiveFunction, to register them again when the
+     * primitives are rebuilt (see setColorNames) */
+    this._registeredProcedures = [];
+    this._registeredFunctions = [];
+    this._initializePrimitives(this._colorNames);
+    this._linter = new Linter(this._symtable, this._primitives);
+    this._compiler = null;
     this._code = null;
     this._vm = null;
     this._result = null;
+    this._warnings = [];
+    this._recoverFromParseErrors = false;
+    this._parseErrors = [];
+    this._lintErrors = [];
+    this._maxSteps = 0;
+    this._profiler = null;
+    this._coverage = null;
+    this._world.registerPrimitives(this);
   }
 
   /* Parse, compile, and run a program in the default global state
-   * (typically an empty 9x9 board in Gobstones).
+   * of the world (typically an empty board in Gobstones).
    * Return the return value of the program, ignoring the final state.
    * A GbsInterpreterException may be thrown.
    */
   run(input) {
-    return this.runState(input, new RuntimeState()).result;
+    let initialState = this._world.newState(this._colorNames);
+    return this.runState(input, initialState).result;
   }
 
   /* Parse, compile, and run a program in the given initial state.
@@ -68,28 +90,144 @@ export class Runner {
   }
 
   parse(input) {
-    let parser = new Parser(input);
+    let parser = new Parser(input, this._recoverFromParseErrors);
     this._ast = parser.parse();
+    this._warnings = this._warnings.concat(parser.warnings());
+    this._parseErrors = parser.errors();
+    if (this._parseErrors.length > 0) {
+      throw this._parseErrors[0];
+    }
 
     for (let option of parser.getLanguageOptions()) {
       this._setLanguageOption(option);
     }
   }
 
+  /* Use the given list of colors, e.g. ['Rojo', 'Amarillo'], instead of
+   * the four standard ones, or go back to the standard ones if it is
+   * null. The colors are the constructors of the Color type, in order.
+   * The primitives are rebuilt for the new colors, keeping the ones
+   * registered so far and the rest of the configuration of the runner.
+   * Boards given to the program should have the same colors
+   * (see src/board_formats.js). */
+  setColorNames(colorNames) {
+    this._initializePrimitives(colorNames);
+    for (let args of this._registeredProcedures) {
+      this._defPrimitiveProcedure(...args);
+    }
+    for (let args of this._registeredFunctions) {
+      this._defPrimitiveFunction(...args);
+    }
+    this._linter.setPrimitives(this._symtable, this._primitives);
+  }
+
+  /* Recover from syntax errors, collecting all of them, instead of
+   * stopping on the first one. Parsing still fails by throwing the
+   * first error, but all of them are available in runner.parseErrors,
+   * and the partial AST in runner.abstractSyntaxTree */
+  recoverFromParseErrors(enabled) {
+    this._recoverFromParseErrors = enabled;
+  }
+
+  /* Add a primitive procedure, which may then be used by programs like
+   * the built-in ones (e.g. Poner). The arguments are as in
+   * RuntimePrimitives.registerProcedure.
+   * Primitives should be registered before linting the program, and
+   * they are forgotten when the runner is initialized again. */
+  registerPrimitiveProcedure(name, argumentTypes, argumentValidator,
+                             implementation) {
+    let args = [name, argumentTypes, argumentValidator, implementation];
+    this._defPrimitiveProcedure(...args);
+    this._registeredProcedures.push(args);
+  }
+
+  /* Add a primitive function (see registerPrimitiveProcedure) */
+  registerPrimitiveFunction(name, argumentTypes, argumentValidator,
+                            implementation) {
+    let args = [name, argumentTypes, argumentValidator, implementation];
+    this._defPrimitiveFunction(...args);
+    this._registeredFunctions.push(args);
+  }
+
   enableLintCheck(linterCheckId, enabled) {
     this._linter.enableCheck(linterCheckId, enabled);
   }
 
+  /* Set the severity of a linter check: 'error', 'warning' or 'off' */
+  setLintCheckSeverity(linterCheckId, severity) {
+    this._linter.setCheckSeverity(linterCheckId, severity);
+  }
+
+  /* Enable or disable the style checks of the linter (see STYLE_CHECKS).
+   * When enabled, they are reported as warnings. */
+  enableStyleChecks(enabled) {
+    for (let linterCheckId of STYLE_CHECKS) {
+      this._linter.enableCheck(linterCheckId, enabled);
+    }
+  }
+
+  /* Enable or disable the static type inference stage of the linter.
+   * When enabled, statically ill-typed programs are rejected. */
+  enableStaticTypeChecking(enabled) {
+    for (let linterCheckId of STATIC_TYPE_CHECKS) {
+      this._linter.enableCheck(linterCheckId, enabled);
+    }
+  }
+
+  /* Collect all the errors found by the linter, instead of stopping
+   * on the first one. Linting still fails by throwing the first error,
+   * but all of them are available in runner.lintErrors */
+  collectAllLintErrors(enabled) {
+    this._linter.setCollectAllErrors(enabled);
+  }
+
   lint() {
     this._symtable = this._linter.lint(this._ast);
+    this._warnings = this._warnings.concat(this._linter.warnings());
+    this._lintErrors = this._linter.errors();
+    if (this._lintErrors.length > 0) {
+      throw this._lintErrors[0];
+    }
   }
 
   compile() {
-    this._code = new Compiler(this._symtable).compile(this._ast);
+    this._compiler = new Compiler(this._symtable, this._primitives);
+    this._code = this._compiler.compile(this._ast);
   }
 
   initializeVirtualMachine(initialState) {
-    this._vm = new VirtualMachine(this._code, initialState);
+    this._vm = new VirtualMachine(this._code, initialState, this._primitives);
+    this._vm.setMaxSteps(this._maxSteps);
+    this._vm.setProfiler(this._profiler);
+    this._vm.setCoverage(this._coverage);
+  }
+
+  /* Limit the number of instructions executed by each run of the
+   * program (0 means no limit). A run that exceeds the limit fails with
+   * a 'step-limit-exceeded' error. */
+  setMaxSteps(maxSteps) {
+    this._maxSteps = maxSteps;
+    if (this._vm !== null) {
+      this._vm.setMaxSteps(maxSteps);
+    }
+  }
+
+  /* Profile the execution with the given Profiler (see src/profiler.js),
+   * or stop profiling if it is null */
+  setProfiler(profiler) {
+    this._profiler = profiler;
+    if (this._vm !== null) {
+      this._vm.setProfiler(profiler);
+    }
+  }
+
+  /* Collect the coverage of the execution with the given Coverage
+   * (see src/coverage.js), or stop collecting it if it is null */
+  setCoverage(coverage) {
+    this._coverage = coverage;
+    if (this._vm !== null) {
+      this._vm.setCoverage(coverage);
+    }
   }
 
   execute(initialState) {
@@ -107,10 +245,50 @@ export class Runner {
     );
   }
 
+  /* Execute the program without blocking the caller, in slices.
+   * The options are as in VirtualMachine.runAsync.
+   * Return a promise that is fulfilled when the program ends, or
+   * rejected with the GbsInterpreterException it throws. */
+  executeAsync(initialState, millisecs, options) {
+    this.initializeVirtualMachine(initialState);
+    return this._vm.runAsync(millisecs, options).then((result) => {
+      this._result = result;
+    });
+  }
+
   executeEventWithTimeout(eventValue, millisecs) {
     this._result = this._vm.runEventWithTimeout(eventValue, millisecs);
   }
 
+  /* Set a breakpoint in the given line of the given file.
+   * The virtual machine should have already been initialized.
+   *
+   * If a condition is given, it should be a string with the source
+   * of a Gobstones boolean expression. The expression may refer to
+   * the local variables of the routine in which the breakpoint is located,
+   * and the execution only pauses at the breakpoint if it holds.
+   *
+   * Return an object describing the breakpoint (see
+   * VirtualMachine.addBreakpoint), or null if there is no code
+   * in or after the given line.
+   * A GbsInterpreterException may be thrown if the condition is not valid.
+   */
+  addBreakpoint(filename, line, condition) {
+    let conditionLabel = null;
+    if (condition !== undefined && condition !== null) {
+      let input = {};
+      input[BREAKPOINT_CONDITION_FILENAME] = condition;
+      let expression = new Parser(input).parseExpression();
+      this._linter.lintExpression(expression);
+      conditionLabel = this._compiler.compileCondition(expression);
+    }
+    return this._vm.addBreakpoint(filename, line, conditionLabel);
+  }
+
+  removeBreakpoint(breakpoint) {
+    this._vm.removeBreakpoint(breakpoint);
+  }
+
   get abstractSyntaxTree() {
     return this._ast;
   }
@@ -119,6 +297,10 @@ export class Runner {
     return this._primitives;
   }
 
+  get world() {
+    return this._world;
+  }
+
   get symbolTable() {
     return this._symtable;
   }
@@ -131,6 +313,28 @@ export class Runner {
     return this._result;
   }
 
+  /* List of warnings (instances of GbsWarning) collected while
+   * parsing and linting the program */
+  get warnings() {
+    return this._warnings;
+  }
+
+  /* List of all the syntax errors found by the parser, if it is
+   * recovering from them (see recoverFromParseErrors) */
+  get parseErrors() {
+    return this._parseErrors;
+  }
+
+  /* List of all the errors found by the linter, if they are being
+   * collected (see collectAllLintErrors) */
+  get lintErrors() {
+    return this._lintErrors;
+  }
+
+  get virtualMachine() {
+    return this._vm;
+  }
+
   get globalState() {
     return this._vm.globalState();
   }
@@ -151,6 +355,34 @@ export class Runner {
     return this._vm.regionStack();
   }
 
+  /* Build the built-in primitives for the given colors, and a symbol
+   * table in which they are defined */
+  _initializePrimitives(colorNames) {
+    let primitives = new RuntimePrimitives(colorNames);
+    if (!this._world.hasBoardPrimitives()) {
+      primitives.removeBoardOperations();
+    }
+    this._colorNames = colorNames;
+    this._primitives = primitives;
+    this._symtable = this._newSymtableWithPrimitives();
+  }
+
+  _defPrimitiveProcedure(name, argumentTypes, argumentValidator,
+                         implementation) {
+    this._primitives.registerProcedure(
+      name, argumentTypes, argumentValidator, implementation
+    );
+    this._symtable.defProcedure(this._astDefProcedure(name));
+  }
+
+  _defPrimitiveFunction(name, argumentTypes, argumentValidator,
+                        implementation) {
+    this._primitives.registerFunction(
+      name, argumentTypes, argumentValidator, implementation
+    );
+    this._symtable.defFunction(this._astDefFunction(name));
+  }
+
   /* Create a new symbol table, including definitions for all the primitive
    * types and operations (which come from RuntimePrimitives) */
   _newSymtableWithPrimitives() {
@@ -44,6 +44,7 @@ function boolEnum() {
   ];
 }
 
+/* The four standard colors of Gobstones */
 function colorEnum() {
   return [
     i18n('CONS:Color0'),
@@ -53,6 +54,10 @@ function colorEnum() {
   ];
 }
 
+/* Keys of the standard colors in the cells of a jboard
+ * (see src/board_formats.js) */
+const STANDARD_COLOR_KEYS = ['a', 'n', 'r', 'v'];
+
 function dirEnum() {
   return [
     i18n('CONS:Dir0'),
@@ -102,10 +107,52 @@ function keyEventEnum() {
 
 let KEY_EVENT_ENUM = keyEventEnum();
 
+/* Names of the primitive operations that act on the board */
+function boardOperationNames() {
+  return [
+    i18n('PRIM:PutStone'),
+    i18n('PRIM:RemoveStone'),
+    i18n('PRIM:Move'),
+    i18n('PRIM:GoToEdge'),
+    i18n('PRIM:EmptyBoardContents'),
+    i18n('PRIM:numStones'),
+    i18n('PRIM:anyStones'),
+    i18n('PRIM:canMove'),
+    i18n('PRIM:SelectHead'),
+  ];
+}
+
 function eventEnum() {
   return [i18n('CONS:INIT'), i18n('CONS:TIMEOUT')].concat(KEY_EVENT_ENUM);
 }
 
+/* Check that a list of color names given instead of the standard ones
+ * is non-empty, and that the names are distinct and capitalized, since
+ * they are the constructors of the Color type. They cannot be
+ * constructors of other built-in types either. */
+function validateColorNames(colorNames) {
+  if (!(colorNames instanceof Array) || colorNames.length === 0) {
+    throw Error('There should be at least one color.');
+  }
+  let otherConstructors = boolEnum().concat(dirEnum(), eventEnum());
+  for (let i = 0; i < colorNames.length; i++) {
+    let colorName = colorNames[i];
+    if (typeof colorName !== 'string' || colorName.length === 0
+        || colorName[0].toUpperCase() !== colorName[0]
+        || colorName[0].toLowerCase() === colorName[0]) {
+      throw Error('Invalid color name: "' + colorName + '".');
+    }
+    if (colorNames.indexOf(colorName) !== i) {
+      throw Error('Color "' + colorName + '" is declared twice.');
+    }
+    if (otherConstructors.indexOf(colorName) !== -1) {
+      throw Error(
+        'Color "' + colorName + '" is a constructor of another type.'
+      );
+    }
+  }
+}
+
 function toEnum(enumeration, name) {
   return enumeration.indexOf(name);
 }
@@ -126,12 +173,14 @@ function dirPrev(dirName) {
   return fromEnum(dirEnum(), (toEnum(dirEnum(), dirName) + 3) % 4);
 }
 
-function colorNext(colorName) {
-  return fromEnum(colorEnum(), (toEnum(colorEnum(), colorName) + 1) % 4);
+function colorNext(colorNames, colorName) {
+  let n = colorNames.length;
+  return fromEnum(colorNames, (toEnum(colorNames, colorName) + 1) % n);
 }
 
-function colorPrev(colorName) {
-  return fromEnum(colorEnum(), (toEnum(colorEnum(), colorName) + 3) % 4);
+function colorPrev(colorNames, colorName) {
+  let n = colorNames.length;
+  return fromEnum(colorNames, (toEnum(colorNames, colorName) + n - 1) % n);
 }
 
 /*
@@ -142,9 +191,18 @@ function colorPrev(colorName) {
  *
  *   this.clone() ~~> returns a copy of the state
  *
+ * Other worlds (see src/world.js) may use other classes for their
+ * global states, which should also implement dump and load.
  */
 export class RuntimeState {
-  constructor() {
+  /* The colors of the stones are given by a list of names, as in
+   * RuntimePrimitives. By default, they are the four standard ones. */
+  constructor(colorNames) {
+    if (colorNames !== undefined && colorNames !== null) {
+      validateColorNames(colorNames);
+    }
+    /* Names of the colors, or null for the standard colors */
+    this._colorNames = colorNames || null;
     /*
      * The board is represented as a list of columns, so that board[x] is the
      * x-th column and board[x][y] is the cell at (x, y).
@@ -161,11 +219,21 @@ export class RuntimeState {
       }
       this._board.push(column);
     }
+    /* Position of the current head */
     this._head = {'x': 0, 'y': 0};
+    /* Boards may have several named heads, in which case this._heads
+     * is a dictionary mapping their names to their positions, and
+     * this._head is the position of the one named this._currentHead.
+     * Otherwise, this._heads and this._currentHead are null. */
+    this._heads = null;
+    this._currentHead = null;
+    /* Dictionary whose keys are the positions [x, y] of the blocked
+     * cells, which the head cannot enter */
+    this._blocked = {};
   }
 
   clone() {
-    let newState = new RuntimeState();
+    let newState = new RuntimeState(this._colorNames);
     newState._width = this._width;
     newState._height = this._height;
     newState._board = [];
@@ -173,32 +241,61 @@ export class RuntimeState {
       let column = [];
       for (let y = 0; y < this._height; y++) {
         let cell = {};
-        for (let colorName of colorEnum()) {
+        for (let colorName of this.colorNames()) {
           cell[colorName] = this._board[x][y][colorName];
         }
         column.push(cell);
       }
       newState._board.push(column);
     }
-    newState._head = {'x': this._head.x, 'y': this._head.y};
+    if (this._heads === null) {
+      newState._head = {'x': this._head.x, 'y': this._head.y};
+    } else {
+      newState._heads = {};
+      for (let headName in this._heads) {
+        let head = this._heads[headName];
+        newState._heads[headName] = {'x': head.x, 'y': head.y};
+      }
+      newState._currentHead = this._currentHead;
+      newState._head = newState._heads[this._currentHead];
+    }
+    newState._blocked = {};
+    for (let position in this._blocked) {
+      newState._blocked[position] = true;
+    }
     return newState;
   }
 
   /* Dump the state to a Jboard data structure */
   dump() {
+    let colorNames = this.colorNames();
+    let colorKeys = this._colorKeys();
     let jboard = {};
     jboard.width = this._width;
     jboard.height = this._height;
     jboard.head = [this._head.x, this._head.y];
+    if (this._heads !== null) {
+      jboard.heads = {};
+      for (let headName in this._heads) {
+        let head = this._heads[headName];
+        jboard.heads[headName] = [head.x, head.y];
+      }
+      jboard.currentHead = this._currentHead;
+    }
+    if (this._colorNames !== null) {
+      jboard.colors = this._colorNames.slice();
+    }
     jboard.board = [];
     for (let x = 0; x < this._width; x++) {
       let column = [];
       for (let y = 0; y < this._height; y++) {
         let cell = {};
-        cell['a'] = this._board[x][y][i18n('CONS:Color0')].asNumber();
-        cell['n'] = this._board[x][y][i18n('CONS:Color1')].asNumber();
-        cell['r'] = this._board[x][y][i18n('CONS:Color2')].asNumber();
-        cell['v'] = this._board[x][y][i18n('CONS:Color3')].asNumber();
+        for (let i = 0; i < colorNames.length; i++) {
+          cell[colorKeys[i]] = this._board[x][y][colorNames[i]].asNumber();
+        }
+        if (this.isBlocked(x, y)) {
+          cell['blocked'] = true;
+        }
         column.push(cell);
       }
       jboard.board.push(column);
@@ -206,30 +303,101 @@ export class RuntimeState {
     return jboard;
   }
 
-  /* Load the state from a Jboard data structure */
+  /* Load the state from a Jboard data structure.
+   * The colors and the heads of the state become those declared by
+   * the jboard. */
   load(jboard) {
+    if ('colors' in jboard) {
+      validateColorNames(jboard.colors);
+      this._colorNames = jboard.colors.slice();
+    } else {
+      this._colorNames = null;
+    }
+    let colorNames = this.colorNames();
+    let colorKeys = this._colorKeys();
     this._width = jboard.width;
     this._height = jboard.height;
-    this._head.x = jboard.head[0];
-    this._head.y = jboard.head[1];
     this._board = [];
+    this._blocked = {};
     for (let x = 0; x < this._width; x++) {
       let row = [];
       for (let y = 0; y < this._height; y++) {
         let cell = jboard.board[x][y];
+        if (cell['blocked']) {
+          this._blocked[[x, y]] = true;
+        }
         let newCell = {};
-        newCell[i18n('CONS:Color0')] = new ValueInteger(cell['a']);
-        newCell[i18n('CONS:Color1')] = new ValueInteger(cell['n']);
-        newCell[i18n('CONS:Color2')] = new ValueInteger(cell['r']);
-        newCell[i18n('CONS:Color3')] = new ValueInteger(cell['v']);
+        for (let i = 0; i < colorNames.length; i++) {
+          newCell[colorNames[i]] = new ValueInteger(cell[colorKeys[i]]);
+        }
         row.push(newCell);
       }
       this._board.push(row);
     }
+    this._loadHeads(jboard);
+  }
+
+  /* The heads should start in free cells of the board */
+  _loadHeads(jboard) {
+    if (!('heads' in jboard)) {
+      this._heads = null;
+      this._currentHead = null;
+      this._head = this._loadHeadPosition('The head', jboard.head);
+      return;
+    }
+    let headNames = Object.keys(jboard.heads);
+    if (headNames.length === 0) {
+      throw Error('There should be at least one head.');
+    }
+    this._heads = {};
+    for (let headName of headNames) {
+      this._heads[headName] = this._loadHeadPosition(
+        'Head "' + headName + '"', jboard.heads[headName]
+      );
+    }
+    this._currentHead = 'currentHead' in jboard ? jboard.currentHead
+                                                : headNames[0];
+    if (!(this._currentHead in this._heads)) {
+      throw Error('Invalid current head: "' + this._currentHead + '".');
+    }
+    this._head = this._heads[this._currentHead];
+  }
+
+  _loadHeadPosition(description, position) {
+    let x = position[0];
+    let y = position[1];
+    if (x < 0 || x >= this._width || y < 0 || y >= this._height) {
+      throw Error(description + ' is outside the board.');
+    }
+    if ([x, y] in this._blocked) {
+      throw Error(description + ' is on a blocked cell.');
+    }
+    return {'x': x, 'y': y};
   }
 
   /* Gobstones specific methods */
 
+  hasHead(headName) {
+    return this._heads !== null && headName in this._heads;
+  }
+
+  /* The board operations act on the selected head from now on */
+  selectHead(headName) {
+    if (!this.hasHead(headName)) {
+      throw Error('Invalid head: "' + headName + '".');
+    }
+    this._currentHead = headName;
+    this._head = this._heads[headName];
+  }
+
+  colorNames() {
+    return this._colorNames === null ? colorEnum() : this._colorNames;
+  }
+
+  hasColor(colorName) {
+    return this.colorNames().indexOf(colorName) !== -1;
+  }
+
   putStone(colorName) {
     let n = this._board[this._head.x][this._head.y][colorName];
     n = n.add(new ValueInteger(1));
@@ -258,20 +426,15 @@ export class RuntimeState {
     this._head.y += delta[1];
   }
 
+  /* Move in the given direction until reaching the edge of the board,
+   * or a blocked cell */
   goToEdge(dirName) {
-    if (dirName === i18n('CONS:Dir0')) {
-      this._head.y = this._height - 1;
-    } else if (dirName === i18n('CONS:Dir1')) {
-      this._head.x = this._width - 1;
-    } else if (dirName === i18n('CONS:Dir2')) {
-      this._head.y = 0;
-    } else if (dirName === i18n('CONS:Dir3')) {
-      this._head.x = 0;
-    } else {
-      throw Error('Invalid direction: ' + dirName);
+    while (this.canMove(dirName)) {
+      this.move(dirName);
     }
   }
 
+  /* Blocked cells are part of the board, so they are kept */
   emptyBoardContents() {
     for (let x = 0; x < this._width; x++) {
       for (let y = 0; y < this._height; y++) {
@@ -284,6 +447,23 @@ export class RuntimeState {
     let delta = this._deltaForDirection(dirName);
     let x = this._head.x + delta[0];
     let y = this._head.y + delta[1];
+    return this._isInside(x, y) && !this.isBlocked(x, y);
+  }
+
+  /* Return true if the head cannot move in the given direction because
+   * the neighbouring cell is blocked (rather than outside the board) */
+  isBlockedTowards(dirName) {
+    let delta = this._deltaForDirection(dirName);
+    let x = this._head.x + delta[0];
+    let y = this._head.y + delta[1];
+    return this._isInside(x, y) && this.isBlocked(x, y);
+  }
+
+  isBlocked(x, y) {
+    return [x, y] in this._blocked;
+  }
+
+  _isInside(x, y) {
     return 0 <= x && x < this._width && 0 <= y && y < this._height;
   }
 
@@ -303,9 +483,15 @@ export class RuntimeState {
     return delta;
   }
 
+  /* Standard colors have fixed keys in jboards, which do not depend on
+   * the language. Other colors are stored under their own names. */
+  _colorKeys() {
+    return this._colorNames === null ? STANDARD_COLOR_KEYS : this._colorNames;
+  }
+
   _emptyCell() {
     let cell = {};
-    for (let colorName of colorEnum()) {
+    for (let colorName of this.colorNames()) {
       cell[colorName] = new ValueInteger(0);
     }
     return cell;
@@ -427,7 +613,7 @@ export function typesWithOrder() {
 
 /* Generic operations */
 
-function enumIndex(value) {
+function enumIndex(colorNames, value) {
   if (isBool(value)) {
     if (boolFromValue(value)) {
       return 1;
@@ -435,7 +621,7 @@ function enumIndex(value) {
       return 0;
     }
   } else if (isColor(value)) {
-    return toEnum(colorEnum(), colorFromValue(value));
+    return toEnum(colorNames, colorFromValue(value));
   } else if (isDir(value)) {
     return toEnum(dirEnum(), dirFromValue(value));
   } else {
@@ -443,47 +629,47 @@ function enumIndex(value) {
   }
 }
 
-function genericLE(a, b) {
+function genericLE(colorNames, a, b) {
   if (isInteger(a)) {
     return valueFromBool(a.le(b));
   } else {
-    let indexA = enumIndex(a);
-    let indexB = enumIndex(b);
+    let indexA = enumIndex(colorNames, a);
+    let indexB = enumIndex(colorNames, b);
     return valueFromBool(indexA <= indexB);
   }
 }
 
-function genericGE(a, b) {
+function genericGE(colorNames, a, b) {
   if (isInteger(a)) {
     return valueFromBool(a.ge(b));
   } else {
-    let indexA = enumIndex(a);
-    let indexB = enumIndex(b);
+    let indexA = enumIndex(colorNames, a);
+    let indexB = enumIndex(colorNames, b);
     return valueFromBool(indexA >= indexB);
   }
 }
 
-function genericLT(a, b) {
+function genericLT(colorNames, a, b) {
   if (isInteger(a)) {
     return valueFromBool(a.lt(b));
   } else {
-    let indexA = enumIndex(a);
-    let indexB = enumIndex(b);
+    let indexA = enumIndex(colorNames, a);
+    let indexB = enumIndex(colorNames, b);
     return valueFromBool(indexA < indexB);
   }
 }
 
-function genericGT(a, b) {
+function genericGT(colorNames, a, b) {
   if (isInteger(a)) {
     return valueFromBool(a.gt(b));
   } else {
-    let indexA = enumIndex(a);
-    let indexB = enumIndex(b);
+    let indexA = enumIndex(colorNames, a);
+    let indexB = enumIndex(colorNames, b);
     return valueFromBool(indexA > indexB);
   }
 }
 
-function genericNext(a) {
+function genericNext(colorNames, a) {
   if (isInteger(a)) {
     return a.add(new ValueInteger(1));
   } else if (isBool(a)) {
@@ -493,7 +679,7 @@ function genericNext(a) {
       return valueFromBool(true);
     }
   } else if (isColor(a)) {
-    return valueFromColor(colorNext(colorFromValue(a)));
+    return valueFromColor(colorNext(colorNames, colorFromValue(a)));
   } else if (isDir(a)) {
     return valueFromDir(dirNext(dirFromValue(a)));
   } else {
@@ -501,7 +687,7 @@ function genericNext(a) {
   }
 }
 
-function genericPrev(a) {
+function genericPrev(colorNames, a) {
   if (isInteger(a)) {
     return a.sub(new ValueInteger(1));
   } else if (isBool(a)) {
@@ -511,7 +697,7 @@ function genericPrev(a) {
       return valueFromBool(true);
     }
   } else if (isColor(a)) {
-    return valueFromColor(colorPrev(colorFromValue(a)));
+    return valueFromColor(colorPrev(colorNames, colorFromValue(a)));
   } else if (isDir(a)) {
     return valueFromDir(dirPrev(dirFromValue(a)));
   } else {
@@ -547,6 +733,16 @@ function validateTypeAmong(startPos, endPos, x, types) {
   );
 }
 
+/* Validate that the board has stones of the color given as the first
+ * argument, since the colors of the board may differ from those of the
+ * program */
+function validateColorInBoard(startPos, endPos, globalState, args) {
+  let colorName = colorFromValue(args[0]);
+  if (!globalState.hasColor(colorName)) {
+    fail(startPos, endPos, 'board-has-no-color', [colorName]);
+  }
+}
+
 /* Validate that the types of 'x' and 'y' are compatible */
 function validateCompatibleTypes(startPos, endPos, x, y) {
   if (joinTypes(x.type(), y.type()) === null) {
@@ -563,7 +759,18 @@ function validateCompatibleTypes(startPos, endPos, x, y) {
 
 export class RuntimePrimitives {
 
-  constructor() {
+  /* The constructors of the Color type are given by a list of color
+   * names, e.g. ['Rojo', 'Amarillo'], which also determines their order.
+   * By default, they are the four standard colors. */
+  constructor(colorNames) {
+    if (colorNames === undefined || colorNames === null) {
+      colorNames = colorEnum();
+    } else {
+      validateColorNames(colorNames);
+      colorNames = colorNames.slice();
+    }
+    this._colorNames = colorNames;
+
     /* this._primitiveTypes is a dictionary indexed by type names.
      *
      * this._primitiveTypes[typeName] is a dictionary indexed by
@@ -592,7 +799,7 @@ export class RuntimePrimitives {
 
     /* Colors */
     this._primitiveTypes[i18n('TYPE:Color')] = {};
-    for (let colorName of colorEnum()) {
+    for (let colorName of colorNames) {
       this._primitiveTypes[i18n('TYPE:Color')][colorName] = [];
     }
 
@@ -632,7 +839,7 @@ export class RuntimePrimitives {
 
     this._primitiveProcedures[i18n('PRIM:PutStone')] =
       new PrimitiveOperation(
-        [typeColor()], noValidation,
+        [typeColor()], validateColorInBoard,
         function (globalState, color) {
           globalState.putStone(colorFromValue(color));
           return null;
@@ -643,6 +850,7 @@ export class RuntimePrimitives {
       new PrimitiveOperation(
         [typeColor()],
         function (startPos, endPos, globalState, args) {
+          validateColorInBoard(startPos, endPos, globalState, args);
           let colorName = colorFromValue(args[0]);
           if (globalState.numStones(colorName).le(new ValueInteger(0))) {
             fail(startPos, endPos, 'cannot-remove-stone', [colorName]);
@@ -659,7 +867,9 @@ export class RuntimePrimitives {
         [typeDir()],
         function (startPos, endPos, globalState, args) {
           let dirName = dirFromValue(args[0]);
-          if (!globalState.canMove(dirName)) {
+          if (globalState.isBlockedTowards(dirName)) {
+            fail(startPos, endPos, 'cannot-move-to', [dirName, 'blocked']);
+          } else if (!globalState.canMove(dirName)) {
             fail(startPos, endPos, 'cannot-move-to', [dirName]);
           }
         },
@@ -687,6 +897,21 @@ export class RuntimePrimitives {
         }
       );
 
+    this._primitiveProcedures[i18n('PRIM:SelectHead')] =
+      new PrimitiveOperation(
+        [typeString],
+        function (startPos, endPos, globalState, args) {
+          let headName = args[0].string;
+          if (!globalState.hasHead(headName)) {
+            fail(startPos, endPos, 'board-has-no-head', [headName]);
+          }
+        },
+        function (globalState, headName) {
+          globalState.selectHead(headName.string);
+          return null;
+        }
+      );
+
     this._primitiveProcedures['_FAIL'] =
       /* Procedure that always fails */
       new PrimitiveOperation(
@@ -714,13 +939,13 @@ export class RuntimePrimitives {
         },
         function (globalState, first, last) {
           let current = first;
-          if (boolFromValue(genericGT(current, last))) {
+          if (boolFromValue(genericGT(colorNames, current, last))) {
             return new ValueList([]);
           }
           let result = [];
-          while (boolFromValue(genericLT(current, last))) {
+          while (boolFromValue(genericLT(colorNames, current, last))) {
             result.push(current);
-            current = genericNext(current);
+            current = genericNext(colorNames, current);
           }
           result.push(current);
           return new ValueList(result);
@@ -809,7 +1034,7 @@ export class RuntimePrimitives {
 
     this._primitiveFunctions[i18n('PRIM:numStones')] =
       new PrimitiveOperation(
-        [typeColor()], noValidation,
+        [typeColor()], validateColorInBoard,
         function (globalState, color) {
           return globalState.numStones(colorFromValue(color));
         }
@@ -817,7 +1042,7 @@ export class RuntimePrimitives {
 
     this._primitiveFunctions[i18n('PRIM:anyStones')] =
       new PrimitiveOperation(
-        [typeColor()], noValidation,
+        [typeColor()], validateColorInBoard,
         function (globalState, color) {
           let num = globalState.numStones(colorFromValue(color));
           return valueFromBool(num.gt(new ValueInteger(0)));
@@ -840,7 +1065,7 @@ export class RuntimePrimitives {
           validateTypeAmong(startPos, endPos, value, typesWithOrder());
         },
         function (globalState, value) {
-          return genericNext(value);
+          return genericNext(colorNames, value);
         }
       );
 
@@ -852,7 +1077,7 @@ export class RuntimePrimitives {
           validateTypeAmong(startPos, endPos, value, typesWithOrder());
         },
         function (globalState, value) {
-          return genericPrev(value);
+          return genericPrev(colorNames, value);
         }
       );
 
@@ -888,7 +1113,7 @@ export class RuntimePrimitives {
       new PrimitiveOperation(
         [], noValidation,
         function (globalState) {
-          return valueFromColor(colorEnum()[0]);
+          return valueFromColor(colorNames[0]);
         }
       );
 
@@ -896,7 +1121,7 @@ export class RuntimePrimitives {
       new PrimitiveOperation(
         [], noValidation,
         function (globalState) {
-          return valueFromColor(colorEnum()[colorEnum().length - 1]);
+          return valueFromColor(colorNames[colorNames.length - 1]);
         }
       );
 
@@ -1035,7 +1260,7 @@ export class RuntimePrimitives {
           validateTypeAmong(startPos, endPos, b, typesWithOrder());
         },
         function (globalState, a, b) {
-          return genericLE(a, b);
+          return genericLE(colorNames, a, b);
         }
       );
 
@@ -1050,7 +1275,7 @@ export class RuntimePrimitives {
           validateTypeAmong(startPos, endPos, b, typesWithOrder());
         },
         function (globalState, a, b) {
-          return genericGE(a, b);
+          return genericGE(colorNames, a, b);
         }
       );
 
@@ -1065,7 +1290,7 @@ export class RuntimePrimitives {
           validateTypeAmong(startPos, endPos, b, typesWithOrder());
         },
         function (globalState, a, b) {
-          return genericLT(a, b);
+          return genericLT(colorNames, a, b);
         }
       );
 
@@ -1080,7 +1305,7 @@ export class RuntimePrimitives {
           validateTypeAmong(startPos, endPos, b, typesWithOrder());
         },
         function (globalState, a, b) {
-          return genericGT(a, b);
+          return genericGT(colorNames, a, b);
         }
       );
 
@@ -1211,6 +1436,11 @@ export class RuntimePrimitives {
     return this._primitiveTypes[typeName][constructorName];
   }
 
+  /* Names of the colors, in order */
+  colorNames() {
+    return this._colorNames;
+  }
+
   /* Operations */
 
   isOperation(primitiveName) {
@@ -1256,5 +1486,55 @@ export class RuntimePrimitives {
     return primitiveName in this._primitiveFunctions;
   }
 
+  /* Registration of new operations.
+   *
+   * The argumentTypes are a list of types (see src/value.js).
+   * The argumentValidator and the implementation are as in
+   * PrimitiveOperation; if the validator is null, arguments of the
+   * right types are always valid. The implementation receives the
+   * global state followed by the arguments (as Gobstones values), and
+   * functions should return a Gobstones value. */
+
+  registerProcedure(name, argumentTypes, argumentValidator, implementation) {
+    this._checkNewOperation(name, true);
+    this._primitiveProcedures[name] = new PrimitiveOperation(
+      argumentTypes, argumentValidator || noValidation, implementation
+    );
+  }
+
+  registerFunction(name, argumentTypes, argumentValidator, implementation) {
+    this._checkNewOperation(name, false);
+    this._primitiveFunctions[name] = new PrimitiveOperation(
+      argumentTypes, argumentValidator || noValidation, implementation
+    );
+  }
+
+  /* Remove the operations that act on the board, for worlds whose
+   * global state is not a board (see src/world.js) */
+  removeBoardOperations() {
+    for (let name of boardOperationNames()) {
+      delete this._primitiveProcedures[name];
+      delete this._primitiveFunctions[name];
+    }
+  }
+
+  /* Procedures can only be called by uppercase names, and functions
+   * by lowercase names */
+  _checkNewOperation(name, isProcedure) {
+    let initial = typeof name === 'string' ? name[0] : undefined;
+    let valid = initial !== undefined
+             && initial.toUpperCase() !== initial.toLowerCase()
+             && (initial === initial.toUpperCase()) === isProcedure;
+    if (!valid) {
+      throw Error(
+        'Invalid ' + (isProcedure ? 'procedure' : 'function') + ' name: "'
+        + name + '".'
+      );
+    }
+    if (this.isOperation(name)) {
+      throw Error(name + ' is already a primitive.');
+    }
+  }
+
 }
 
@@ -0,0 +1,110 @@
+/* A snapshot taker records the state of the execution after each
+ * primitive procedure (and each routine with the 'recorded' attribute),
+ * so the execution can be replayed step by step.
+ *
+ * Its takeSnapshot method should be given to the virtual machine as
+ * the snapshot callback (see VirtualMachine.runWithTimeoutTakingSnapshots).
+ *
+ * Each snapshot is an object with:
+ * - contextNames: names of the routines in the call stack, each followed
+ *   by the unique identifier of its stack frame (except for 'program'),
+ * - board: the global state, as recorded by the world of the runner
+ *   (for boards, in the API format; see World.snapshotFromState),
+ * - region: the region in which the snapshot was taken,
+ * - regionStack: the dynamic stack of regions.
+ */
+export class SnapshotTaker {
+
+  constructor(runner) {
+    this._runner = runner;
+    this._snapshots = [];
+  }
+
+  takeSnapshot(routineName, position, callStack, globalState) {
+    if (this._shouldTakeSnapshot(routineName, callStack)) {
+      this._snapshots.push(
+        this._snapshot(routineName, position, callStack, globalState)
+      );
+    }
+  }
+
+  snapshots() {
+    return this._snapshots;
+  }
+
+  _snapshot(routineName, position, callStack, globalState) {
+    let snapshot = {};
+    snapshot.contextNames = [];
+    for (let stackFrame of callStack) {
+      let name = stackFrame.routineName;
+      if (name !== 'program') {
+        name = name + '-' + stackFrame.uniqueFrameId.toString();
+      }
+      snapshot.contextNames.push(name);
+    }
+    snapshot.board = this._runner.world.snapshotFromState(globalState);
+    snapshot.region = position.region;
+    snapshot.regionStack = this._runner.regionStack();
+    return snapshot;
+  }
+
+  _shouldTakeSnapshot(routineName, callStack) {
+    let routineNameStack = [];
+    for (let stackFrame of callStack) {
+      routineNameStack.push(stackFrame.routineName);
+    }
+
+    if (this._runner.primitives.isProcedure(routineName)) {
+      /* A primitive procedure must be recorded if there are no
+       * atomic routines anywhere in the call stack. */
+      return this._noAtomicRoutines(routineNameStack);
+    } else {
+      /* Other routines must be recorded if they have the 'recorded'
+       * attribute, and, moreover, there are no atomic routines other
+       * than the last one in the call stack. */
+      routineNameStack.pop();
+      return this._isRecorded(routineName)
+          && this._noAtomicRoutines(routineNameStack);
+    }
+  }
+
+  _noAtomicRoutines(routineNameStack) {
+    for (let routineName of routineNameStack) {
+      if (this._isAtomic(routineName)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  _isAtomic(routineName) {
+    if (routineName === 'program') {
+      return false;
+    } else if (this._runner.primitives.isProcedure(routineName)) {
+      /* Primitive procedure */
+      return false;
+    } else if (this._runner.symbolTable.isProcedure(routineName)) {
+      /* User-defined procedure */
+      return false;
+    } else {
+      /* Function */
+      return true;
+    }
+  }
+
+  _isRecorded(routineName) {
+    if (routineName === 'program') {
+      return true;
+    } else if (this._runner.primitives.isProcedure(routineName)) {
+      /* Primitive procedure */
+      return true;
+    } else if (this._runner.symbolTable.isProcedure(routineName)) {
+      /* User-defined procedure */
+      return false;
+    } else {
+      /* Function */
+      return false;
+    }
+  }
+
+}
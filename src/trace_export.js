@@ -0,0 +1,353 @@
+/* Export of an execution trace to a self-contained file.
+ *
+ * The trace is the list of snapshots recorded by a SnapshotTaker.
+ * It may be exported as:
+ * - an animated SVG image, which loops through the frames by itself,
+ * - an HTML page with a player to step through the frames.
+ * Neither of them depends on external files or scripts, so they can be
+ * attached to an email or uploaded to a course page. */
+
+import { apiboardToJboard, jboardColorKeys } from './board_formats.js';
+import { DEFAULT_ANIMATION_DELAY, snapshotCaption } from './animation.js';
+
+const fs = require('fs');
+
+/* Dimensions, in pixels */
+const CELL_SIZE = 48;
+const LABEL_SIZE = 24;
+const CAPTION_LINE_HEIGHT = 18;
+const CAPTION_LINES = 3; /* Step, context and region */
+const CAPTION_HEIGHT = CAPTION_LINES * CAPTION_LINE_HEIGHT + 8;
+
+/* Fill colors of the stones, in the order of the colors of the board.
+ * The stones are laid out in a square grid inside the cell. */
+const SVG_STONE_COLORS = [
+  '#1e5bc6', '#333333', '#d32f2f', '#2e7d32',
+  '#f9a825', '#8e24aa', '#00838f', '#6d4c41', '#ec407a',
+];
+
+const SVG_CELL_COLOR = '#f5f0e1';
+const SVG_BLOCKED_COLOR = '#5d4037';
+const SVG_GRID_COLOR = '#9e9e9e';
+const SVG_HEAD_COLOR = '#ff8f00';
+const SVG_OTHER_HEAD_COLOR = '#ffcc80';
+
+function escapeXml(string) {
+  return string
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function svgBoardWidth(jboard) {
+  return LABEL_SIZE + jboard.width * CELL_SIZE + 1;
+}
+
+function svgBoardHeight(jboard) {
+  return jboard.height * CELL_SIZE + LABEL_SIZE + 1;
+}
+
+function svgText(x, y, text, attributes) {
+  return '<text x="' + x.toString() + '" y="' + y.toString() + '"'
+       + (attributes || '') + '>' + escapeXml(text) + '</text>';
+}
+
+/* Return the SVG elements that draw the given board, with its top left
+ * corner at the vertical offset top */
+function svgBoardElements(jboard, top) {
+  let elements = [];
+  let left = LABEL_SIZE;
+  let colorKeys = jboardColorKeys(jboard);
+  let gridSize = Math.ceil(Math.sqrt(colorKeys.length));
+  let radius = CELL_SIZE / (2 * gridSize) - 2;
+  for (let x = 0; x < jboard.width; x++) {
+    for (let y = 0; y < jboard.height; y++) {
+      let cellX = left + x * CELL_SIZE;
+      let cellY = top + (jboard.height - 1 - y) * CELL_SIZE;
+      let cell = jboard.board[x][y];
+      let fill = cell.blocked ? SVG_BLOCKED_COLOR : SVG_CELL_COLOR;
+      elements.push(
+        '<rect x="' + cellX + '" y="' + cellY + '"'
+      + ' width="' + CELL_SIZE + '" height="' + CELL_SIZE + '"'
+      + ' fill="' + fill + '" stroke="' + SVG_GRID_COLOR + '"/>'
+      );
+      for (let i = 0; i < colorKeys.length; i++) {
+        let count = cell[colorKeys[i]];
+        if (count === 0) {
+          continue;
+        }
+        let column = i % gridSize;
+        let row = Math.floor(i / gridSize);
+        let fill = SVG_STONE_COLORS[i % SVG_STONE_COLORS.length];
+        let centerX = cellX + (2 * column + 1) * CELL_SIZE / (2 * gridSize);
+        let centerY = cellY + (2 * row + 1) * CELL_SIZE / (2 * gridSize);
+        elements.push(
+          '<circle cx="' + centerX + '" cy="' + centerY + '"'
+        + ' r="' + radius + '" fill="' + fill + '"/>'
+        );
+        elements.push(svgText(centerX, centerY + 4, count.toString(),
+          ' fill="#ffffff" font-size="11" text-anchor="middle"'
+        ));
+      }
+    }
+  }
+
+  /* The heads are drawn last, so they are not covered by other cells.
+   * The current head is drawn on top of the other named heads. */
+  function headElement(position, attributes) {
+    return '<rect x="' + (left + position[0] * CELL_SIZE + 1) + '"'
+         + ' y="' + (top + (jboard.height - 1 - position[1]) * CELL_SIZE + 1)
+         + '" width="' + (CELL_SIZE - 2) + '" height="' + (CELL_SIZE - 2)
+         + '" fill="none"' + attributes + '/>';
+  }
+  for (let headName in jboard.heads || {}) {
+    if (headName !== jboard.currentHead) {
+      elements.push(headElement(jboard.heads[headName],
+        ' stroke="' + SVG_OTHER_HEAD_COLOR + '" stroke-width="3"'
+      + ' stroke-dasharray="6,3"'
+      ));
+    }
+  }
+  elements.push(headElement(jboard.head,
+    ' stroke="' + SVG_HEAD_COLOR + '" stroke-width="3"'
+  ));
+
+  for (let y = 0; y < jboard.height; y++) {
+    elements.push(svgText(
+      LABEL_SIZE / 2,
+      top + (jboard.height - 1 - y) * CELL_SIZE + CELL_SIZE / 2 + 4,
+      y.toString(), ' font-size="12" text-anchor="middle"'
+    ));
+  }
+  for (let x = 0; x < jboard.width; x++) {
+    elements.push(svgText(
+      left + x * CELL_SIZE + CELL_SIZE / 2,
+      top + jboard.height * CELL_SIZE + LABEL_SIZE / 2 + 4,
+      x.toString(), ' font-size="12" text-anchor="middle"'
+    ));
+  }
+  return elements;
+}
+
+/* SVG elements of a frame: the caption of the snapshot and its board */
+function svgFrameElements(snapshot, stepNumber, numSteps) {
+  let elements = [];
+  let caption = snapshotCaption(snapshot, stepNumber, numSteps);
+  for (let i = 0; i < caption.length; i++) {
+    elements.push(svgText(
+      4, (i + 1) * CAPTION_LINE_HEIGHT, caption[i], ' font-size="14"'
+    ));
+  }
+  return elements.concat(
+    svgBoardElements(apiboardToJboard(snapshot.board), CAPTION_HEIGHT)
+  );
+}
+
+function svgDocument(width, height, elements) {
+  return [
+    '<svg xmlns="http://www.w3.org/2000/svg"'
+  + ' width="' + width + '" height="' + height + '"'
+  + ' viewBox="0 0 ' + width + ' ' + height + '"'
+  + ' font-family="monospace">',
+  ].concat(elements).concat(['</svg>']).join('\n');
+}
+
+function svgFrameHeight(jboard) {
+  return CAPTION_HEIGHT + svgBoardHeight(jboard);
+}
+
+/* Return an SVG image that shows the given jboard */
+export function svgFromJboard(jboard) {
+  return svgDocument(
+    svgBoardWidth(jboard), svgBoardHeight(jboard), svgBoardElements(jboard, 0)
+  );
+}
+
+/* Return the SVG image of a single frame of the trace */
+export function svgFromSnapshot(snapshot, stepNumber, numSteps) {
+  let jboard = apiboardToJboard(snapshot.board);
+  return svgDocument(
+    svgBoardWidth(jboard), svgFrameHeight(jboard),
+    svgFrameElements(snapshot, stepNumber, numSteps)
+  );
+}
+
+/* Return an animated SVG image that loops through the given snapshots,
+ * showing each of them for the given number of millisecs.
+ *
+ * Each frame is a group that is only visible during its time slot.
+ * The animation uses SMIL, which is supported by web browsers. */
+export function svgTraceFromSnapshots(snapshots, millisecs) {
+  if (snapshots.length === 0) {
+    throw Error('The trace has no snapshots.');
+  }
+  millisecs = millisecs || DEFAULT_ANIMATION_DELAY;
+  let numSteps = snapshots.length;
+  let jboard = apiboardToJboard(snapshots[0].board);
+  let duration = (numSteps * millisecs).toString() + 'ms';
+  let elements = [
+    '<rect width="100%" height="100%" fill="#ffffff"/>'
+  ];
+  for (let i = 0; i < numSteps; i++) {
+    let values = [];
+    let keyTimes = [];
+    if (i > 0) {
+      values.push('hidden');
+      keyTimes.push('0');
+    }
+    values.push('visible');
+    keyTimes.push((i / numSteps).toString());
+    if (i + 1 < numSteps) {
+      values.push('hidden');
+      keyTimes.push(((i + 1) / numSteps).toString());
+    }
+    elements.push('<g visibility="' + (i === 0 ? 'visible' : 'hidden') + '">');
+    if (numSteps > 1) {
+      elements.push(
+        '<animate attributeName="visibility" calcMode="discrete"'
+      + ' values="' + values.join(';') + '"'
+      + ' keyTimes="' + keyTimes.join(';') + '"'
+      + ' dur="' + duration + '" repeatCount="indefinite"/>'
+      );
+    }
+    elements = elements.concat(svgFrameElements(snapshots[i], i + 1, numSteps));
+    elements.push('</g>');
+  }
+  return svgDocument(svgBoardWidth(jboard), svgFrameHeight(jboard), elements);
+}
+
+/* Script of the HTML player. It shows one frame at a time, and it is
+ * controlled with the buttons or with the arrow keys and the space bar. */
+const HTML_PLAYER_SCRIPT = [
+  '(function () {',
+  '  var frames = document.querySelectorAll(".frame");',
+  '  var current = 0;',
+  '  var timer = null;',
+  '  var playButton = document.getElementById("play");',
+  '  function show(index) {',
+  '    current = Math.max(0, Math.min(frames.length - 1, index));',
+  '    for (var i = 0; i < frames.length; i++) {',
+  '      frames[i].style.display = i === current ? "block" : "none";',
+  '    }',
+  '  }',
+  '  function pause() {',
+  '    clearInterval(timer);',
+  '    timer = null;',
+  '    playButton.textContent = "Play";',
+  '  }',
+  '  function play() {',
+  '    if (current === frames.length - 1) {',
+  '      show(0);',
+  '    }',
+  '    playButton.textContent = "Pause";',
+  '    timer = setInterval(function () {',
+  '      if (current === frames.length - 1) {',
+  '        pause();',
+  '      } else {',
+  '        show(current + 1);',
+  '      }',
+  '    }, DELAY);',
+  '  }',
+  '  function toggle() {',
+  '    if (timer === null) {',
+  '      play();',
+  '    } else {',
+  '      pause();',
+  '    }',
+  '  }',
+  '  document.getElementById("first").onclick = function () {',
+  '    pause(); show(0);',
+  '  };',
+  '  document.getElementById("previous").onclick = function () {',
+  '    pause(); show(current - 1);',
+  '  };',
+  '  document.getElementById("next").onclick = function () {',
+  '    pause(); show(current + 1);',
+  '  };',
+  '  document.getElementById("last").onclick = function () {',
+  '    pause(); show(frames.length - 1);',
+  '  };',
+  '  playButton.onclick = toggle;',
+  '  document.onkeydown = function (event) {',
+  '    if (event.key === "ArrowLeft") {',
+  '      pause(); show(current - 1);',
+  '    } else if (event.key === "ArrowRight") {',
+  '      pause(); show(current + 1);',
+  '    } else if (event.key === " ") {',
+  '      event.preventDefault(); toggle();',
+  '    }',
+  '  };',
+  '  show(0);',
+  '})();',
+];
+
+/* Return an HTML page with a player for the given snapshots.
+ * The player advances one frame every given number of millisecs. */
+export function htmlTraceFromSnapshots(snapshots, millisecs, title) {
+  if (snapshots.length === 0) {
+    throw Error('The trace has no snapshots.');
+  }
+  millisecs = millisecs || DEFAULT_ANIMATION_DELAY;
+  title = title || 'Gobstones execution';
+  let lines = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>' + escapeXml(title) + '</title>',
+    '<style>',
+    '  body { font-family: sans-serif; margin: 1em; }',
+    '  .controls { margin-bottom: 1em; }',
+    '  .frame { display: none; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    '<h1>' + escapeXml(title) + '</h1>',
+    '<div class="controls">',
+    '<button id="first">First</button>',
+    '<button id="previous">Previous</button>',
+    '<button id="play">Play</button>',
+    '<button id="next">Next</button>',
+    '<button id="last">Last</button>',
+    '</div>',
+  ];
+  for (let i = 0; i < snapshots.length; i++) {
+    lines.push('<div class="frame">');
+    lines.push(svgFromSnapshot(snapshots[i], i + 1, snapshots.length));
+    lines.push('</div>');
+  }
+  lines.push('<script>');
+  lines.push('var DELAY = ' + millisecs.toString() + ';');
+  lines = lines.concat(HTML_PLAYER_SCRIPT);
+  lines.push('</script>');
+  lines.push('</body>');
+  lines.push('</html>');
+  return lines.join('\n');
+}
+
+/* File extensions of the supported trace formats */
+export const TRACE_FORMATS = {
+  'svg': svgTraceFromSnapshots,
+  'html': htmlTraceFromSnapshots,
+  'htm': htmlTraceFromSnapshots,
+};
+
+function fileExtension(filename) {
+  let parts = filename.split('.');
+  return parts[parts.length - 1].toLowerCase();
+}
+
+export function isTraceFilename(filename) {
+  return TRACE_FORMATS.hasOwnProperty(fileExtension(filename));
+}
+
+/* Write the trace to the given file. The format is chosen according
+ * to the extension of the filename. */
+export function writeTraceToFile(filename, snapshots, millisecs) {
+  if (!isTraceFilename(filename)) {
+    throw Error('Unknown trace format: ' + filename);
+  }
+  let contents = TRACE_FORMATS[fileExtension(filename)](snapshots, millisecs);
+  fs.writeFileSync(filename, contents, 'utf8');
+}
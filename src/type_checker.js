@@ -0,0 +1,976 @@
+import {
+  N_DefProgram,
+  N_DefInteractiveProgram,
+  N_DefProcedure,
+  N_DefFunction,
+  N_StmtBlock,
+  N_StmtReturn,
+  N_StmtIf,
+  N_StmtRepeat,
+  N_StmtForeach,
+  N_StmtWhile,
+  N_StmtSwitch,
+  N_StmtAssignVariable,
+  N_StmtAssignTuple,
+  N_StmtProcedureCall,
+  N_PatternWildcard,
+  N_PatternVariable,
+  N_PatternNumber,
+  N_PatternStructure,
+  N_PatternTuple,
+  N_PatternTimeout,
+  N_ExprVariable,
+  N_ExprConstantNumber,
+  N_ExprConstantString,
+  N_ExprChoose,
+  N_ExprMatching,
+  N_ExprList,
+  N_ExprRange,
+  N_ExprTuple,
+  N_ExprStructure,
+  N_ExprStructureUpdate,
+  N_ExprFunctionCall,
+} from './ast';
+import { RuntimePrimitives } from './runtime';
+import {
+  TypeAny,
+  TypeInteger,
+  TypeString,
+  TypeTuple,
+  TypeList,
+  TypeStructure,
+  joinTypes,
+} from './value';
+import { i18n } from './i18n';
+
+/* Maximum number of inference passes over the program.
+ * Each pass may only refine the inferred types, so the inference
+ * typically reaches a fixpoint after a few passes. The bound is just
+ * a safeguard. */
+const MAX_INFERENCE_PASSES = 32;
+
+/* Unknown type of the elements of an empty list. Unlike other unknown
+ * types, it stands for any type at all: the same empty list may be
+ * used as a list of numbers and as a list of booleans. So uses of a
+ * local name do not refine the parts of its type that are of this
+ * kind (see refinedLocalType). */
+class TypeEmptyListElement extends TypeAny {
+}
+
+function typeStructure(typeName) {
+  return new TypeStructure(typeName, {});
+}
+
+function typeBool() {
+  return typeStructure(i18n('TYPE:Bool'));
+}
+
+function typeColor() {
+  return typeStructure(i18n('TYPE:Color'));
+}
+
+function typeDir() {
+  return typeStructure(i18n('TYPE:Dir'));
+}
+
+function typeTupleOfAny(arity) {
+  let anys = [];
+  for (let i = 0; i < arity; i++) {
+    anys.push(new TypeAny());
+  }
+  return new TypeTuple(anys);
+}
+
+/* Return the most specific type that describes both values of type1
+ * and values of type2. Unlike joinTypes, this never fails: types that
+ * have nothing in common are generalized to TypeAny. */
+function generalizeTypes(type1, type2) {
+  if (type1 instanceof TypeEmptyListElement
+      && type2 instanceof TypeEmptyListElement) {
+    return type1;
+  } else if (type1.isInteger() && type2.isInteger()) {
+    return type1;
+  } else if (type1.isString() && type2.isString()) {
+    return type1;
+  } else if (type1.isTuple() && type2.isTuple()
+             && type1.componentTypes.length === type2.componentTypes.length) {
+    return new TypeTuple(
+      type1.componentTypes.map(
+        (componentType, i) =>
+          generalizeTypes(componentType, type2.componentTypes[i])
+      )
+    );
+  } else if (type1.isList() && type2.isList()) {
+    return new TypeList(
+      generalizeTypes(type1.contentType, type2.contentType)
+    );
+  } else if (type1.isStructure() && type2.isStructure()
+             && type1.typeName === type2.typeName) {
+    return typeStructure(type1.typeName);
+  } else {
+    return new TypeAny();
+  }
+}
+
+/* Return the new type of a local name of the given type after it is
+ * used as a value of the joined type. The element types of empty lists
+ * are kept, so each use of the name may instantiate them afresh. */
+function refinedLocalType(type, joinedType) {
+  if (type instanceof TypeEmptyListElement) {
+    return type;
+  } else if (type.isList() && joinedType.isList()) {
+    return new TypeList(
+      refinedLocalType(type.contentType, joinedType.contentType)
+    );
+  } else if (type.isTuple() && joinedType.isTuple()
+             && type.componentTypes.length
+                === joinedType.componentTypes.length) {
+    return new TypeTuple(
+      type.componentTypes.map(
+        (componentType, i) =>
+          refinedLocalType(componentType, joinedType.componentTypes[i])
+      )
+    );
+  } else {
+    return joinedType;
+  }
+}
+
+/* Return the types of the local names where two flows of control meet.
+ * Names that are only defined in one of them may be undefined, so
+ * nothing is known about their type. */
+function mergeLocalTypes(localTypes1, localTypes2) {
+  let merged = {};
+  for (let name in localTypes1) {
+    merged[name] = name in localTypes2
+                 ? generalizeTypes(localTypes1[name], localTypes2[name])
+                 : new TypeAny();
+  }
+  for (let name in localTypes2) {
+    if (!(name in localTypes1)) {
+      merged[name] = new TypeAny();
+    }
+  }
+  return merged;
+}
+
+function localTypesAsString(localTypes) {
+  let parts = [];
+  for (let name of Object.keys(localTypes).sort()) {
+    parts.push(name + ': ' + localTypes[name]);
+  }
+  return parts.join('\n');
+}
+
+export class TypeChecker {
+
+  /*
+   * The type checker performs a static type inference over the AST,
+   * reporting expressions, variables and fields that are ill-typed,
+   * i.e. that would certainly produce a type error at runtime if the
+   * offending code were reached.
+   *
+   * This is not Hindley-Milner inference: there are no type variables
+   * and no unification. Instead, the checker follows the flow of
+   * control of each routine, using the types of value.js:
+   *
+   * - Unknown types are represented with TypeAny. In particular,
+   *   names that are not known to the checker are of an unknown type,
+   *   and the result types of primitive functions are looked up by
+   *   their names in the current language (see _primitiveResultType).
+   *
+   * - Along a flow of control, the type of a local name is refined
+   *   with the types expected for it (see joinTypes), except for the
+   *   element types of empty lists (see refinedLocalType), and
+   *   assigning a value of an incompatible type is an error, as in
+   *   the VM.
+   *
+   * - Where flows of control meet (after a conditional, a switch or a
+   *   loop, which may run any number of times) the types of the local
+   *   names are generalized (see generalizeTypes), so that only errors
+   *   that occur along all the possible flows are reported.
+   *
+   * - The type of each parameter of a routine is the type it has at
+   *   the end of the body of the routine. Parameters that are not
+   *   constrained along all the flows of control remain of an unknown
+   *   type, so their routines may be used polymorphically.
+   *
+   * - The result type of a function is the type of its return value.
+   *
+   * - The type of each field of a constructor is the generalization
+   *   of all the values the field is given when building structures.
+   *   As in the VM, only updating a structure requires giving a field
+   *   a value of a compatible type, so updates do not change the type
+   *   of the field.
+   *
+   * Since routines may be used before they are defined, the inference
+   * is repeated until the types of parameters, results and fields do
+   * not change anymore. Errors are only collected in a final pass.
+   *
+   * The primitives default to the built-in ones (see RuntimePrimitives).
+   */
+  constructor(symtable, primitives) {
+    this._symtable = symtable;
+    this._primitives = primitives || new RuntimePrimitives();
+
+    /* _parameterTypes[R] is the list of types of the parameters
+     * of the routine R */
+    this._parameterTypes = {};
+
+    /* _resultTypes[F] is the result type of the function F */
+    this._resultTypes = {};
+
+    /* _fieldTypes[C][F] is the type of the field F of the
+     * constructor C, as inferred in the previous pass */
+    this._fieldTypes = {};
+
+    /* Types of the fields inferred in the current pass */
+    this._nextFieldTypes = {};
+
+    /* Types of the local names of the routine being checked */
+    this._localTypes = {};
+
+    /* Type of the value returned by the routine being checked */
+    this._returnType = null;
+
+    this._reporting = false;
+    this._typeErrors = [];
+  }
+
+  /*
+   * Return a list of the type errors found in the program.
+   * Each error is of the form:
+   *   {startPos: P1, endPos: P2, reason: R, args: A}
+   * where R is the identifier of a linter check and A are the arguments
+   * for its message.
+   */
+  typeErrors(ast) {
+    for (let i = 0; i < MAX_INFERENCE_PASSES; i++) {
+      let previousTypes = this._inferredTypesAsString();
+      this._checkMain(ast);
+      if (this._inferredTypesAsString() === previousTypes) {
+        break;
+      }
+    }
+    this._reporting = true;
+    this._checkMain(ast);
+    return this._typeErrors;
+  }
+
+  _report(startPos, endPos, reason, args) {
+    if (this._reporting) {
+      this._typeErrors.push({
+        'startPos': startPos,
+        'endPos': endPos,
+        'reason': reason,
+        'args': args,
+      });
+    }
+  }
+
+  _inferredTypesAsString() {
+    let parts = [];
+    for (let routineName in this._parameterTypes) {
+      parts.push(
+        routineName + '(' + this._parameterTypes[routineName].join(', ') + ')'
+      );
+    }
+    for (let functionName in this._resultTypes) {
+      parts.push(functionName + ': ' + this._resultTypes[functionName]);
+    }
+    for (let constructorName in this._fieldTypes) {
+      let fieldTypes = this._fieldTypes[constructorName];
+      for (let fieldName in fieldTypes) {
+        parts.push(
+          constructorName + '.' + fieldName + ': ' + fieldTypes[fieldName]
+        );
+      }
+    }
+    return parts.join('\n');
+  }
+
+  /* Definitions */
+
+  _checkMain(ast) {
+    this._nextFieldTypes = {};
+    for (let definition of ast.definitions) {
+      this._checkDefinition(definition);
+    }
+    this._fieldTypes = this._nextFieldTypes;
+  }
+
+  _checkDefinition(definition) {
+    switch (definition.tag) {
+      case N_DefProgram:
+        this._localTypes = {};
+        this._checkStatement(definition.body);
+        break;
+      case N_DefInteractiveProgram:
+        for (let branch of definition.branches) {
+          this._localTypes = {};
+          this._checkStatement(branch.body);
+        }
+        break;
+      case N_DefProcedure:
+        this._checkRoutine(definition);
+        break;
+      case N_DefFunction:
+        this._checkRoutine(definition);
+        this._resultTypes[definition.name.value] = this._returnType;
+        break;
+      default:
+        /* Type definitions have nothing to check */
+        break;
+    }
+  }
+
+  _checkRoutine(definition) {
+    let parameterTypes = this._routineParameterTypes(definition.name.value);
+    this._localTypes = {};
+    this._returnType = new TypeAny();
+    for (let i = 0; i < definition.parameters.length; i++) {
+      let parameterName = definition.parameters[i].value;
+      this._localTypes[parameterName] =
+        i < parameterTypes.length ? parameterTypes[i] : new TypeAny();
+    }
+    this._checkStatement(definition.body);
+    this._parameterTypes[definition.name.value] =
+      definition.parameters.map(
+        (parameter) => this._localTypes[parameter.value]
+      );
+  }
+
+  _routineParameterTypes(routineName) {
+    if (routineName in this._parameterTypes) {
+      return this._parameterTypes[routineName];
+    } else {
+      return [];
+    }
+  }
+
+  /* Statements */
+
+  _checkStatement(statement) {
+    switch (statement.tag) {
+      case N_StmtBlock:
+        for (let subStatement of statement.statements) {
+          this._checkStatement(subStatement);
+        }
+        break;
+      case N_StmtReturn:
+        this._returnType = this._checkExpression(statement.result);
+        break;
+      case N_StmtIf:
+        this._checkStmtIf(statement);
+        break;
+      case N_StmtRepeat:
+        this._expectType(statement.times, new TypeInteger());
+        this._checkLoop(() => this._checkStatement(statement.body));
+        break;
+      case N_StmtForeach:
+        this._checkStmtForeach(statement);
+        break;
+      case N_StmtWhile:
+        this._expectType(statement.condition, typeBool());
+        this._checkLoop(() => this._checkStatement(statement.body));
+        break;
+      case N_StmtSwitch:
+        this._checkStmtSwitch(statement);
+        break;
+      case N_StmtAssignVariable:
+        this._assignVariable(
+          statement, statement.variable,
+          this._checkExpression(statement.value)
+        );
+        break;
+      case N_StmtAssignTuple:
+        this._checkStmtAssignTuple(statement);
+        break;
+      case N_StmtProcedureCall:
+        this._checkStmtProcedureCall(statement);
+        break;
+      default:
+        throw Error(
+          'Type checker: Statement not implemented: '
+        + Symbol.keyFor(statement.tag)
+        );
+    }
+  }
+
+  _checkStmtIf(statement) {
+    this._expectType(statement.condition, typeBool());
+    let localTypes = this._localTypes;
+    this._localTypes = Object.assign({}, localTypes);
+    this._checkStatement(statement.thenBlock);
+    let thenLocalTypes = this._localTypes;
+    this._localTypes = Object.assign({}, localTypes);
+    if (statement.elseBlock !== null) {
+      this._checkStatement(statement.elseBlock);
+    }
+    this._localTypes = mergeLocalTypes(thenLocalTypes, this._localTypes);
+  }
+
+  /* The body of a loop may run any number of times, so the types of
+   * the local names when entering the body are those that hold both
+   * before the loop and after running the body, which are computed
+   * as a fixpoint. Errors are only reported when checking the body
+   * for the last time. */
+  _checkLoop(checkBody) {
+    let localTypes = this._localTypes;
+    let entryLocalTypes = localTypes;
+    let reporting = this._reporting;
+    this._reporting = false;
+    for (let i = 0; i < MAX_INFERENCE_PASSES; i++) {
+      this._localTypes = Object.assign({}, entryLocalTypes);
+      checkBody();
+      let nextLocalTypes = mergeLocalTypes(localTypes, this._localTypes);
+      if (localTypesAsString(nextLocalTypes)
+          === localTypesAsString(entryLocalTypes)) {
+        break;
+      }
+      entryLocalTypes = nextLocalTypes;
+    }
+    this._reporting = reporting;
+    this._localTypes = Object.assign({}, entryLocalTypes);
+    checkBody();
+    this._localTypes = mergeLocalTypes(localTypes, this._localTypes);
+  }
+
+  _checkStmtForeach(statement) {
+    let rangeType = this._checkExpression(statement.range);
+    let expectedType = new TypeList(new TypeAny());
+    let joinedType = this._refine(statement.range, rangeType, expectedType);
+    let elementType;
+    if (joinedType === null) {
+      this._report(
+        statement.range.startPos, statement.range.endPos,
+        'static-type-mismatch', [expectedType, rangeType]
+      );
+      elementType = new TypeAny();
+    } else {
+      elementType = joinedType.contentType;
+    }
+    this._checkLoop(() => {
+      this._bindPattern(statement.pattern, null, elementType);
+      this._checkStatement(statement.body);
+      this._unbindPattern(statement.pattern);
+    });
+  }
+
+  /* If no branch matches, the switch fails, so the flow of control
+   * only goes on from the end of one of its branches */
+  _checkStmtSwitch(statement) {
+    let subjectType = this._checkExpression(statement.subject);
+    let localTypes = this._localTypes;
+    let mergedLocalTypes = null;
+    for (let branch of statement.branches) {
+      this._localTypes = Object.assign({}, localTypes);
+      this._bindPattern(branch.pattern, statement.subject, subjectType);
+      this._checkStatement(branch.body);
+      this._unbindPattern(branch.pattern);
+      mergedLocalTypes = mergedLocalTypes === null
+                       ? this._localTypes
+                       : mergeLocalTypes(mergedLocalTypes, this._localTypes);
+    }
+    this._localTypes = mergedLocalTypes === null
+                     ? localTypes
+                     : mergedLocalTypes;
+  }
+
+  _checkStmtAssignTuple(statement) {
+    let valueType = this._checkExpression(statement.value);
+    let expectedType = typeTupleOfAny(statement.variables.length);
+    let joinedType = this._refine(statement.value, valueType, expectedType);
+    if (joinedType === null) {
+      this._report(
+        statement.value.startPos, statement.value.endPos,
+        'static-type-mismatch', [expectedType, valueType]
+      );
+      joinedType = expectedType;
+    }
+    for (let i = 0; i < statement.variables.length; i++) {
+      this._assignVariable(
+        statement, statement.variables[i], joinedType.componentTypes[i]
+      );
+    }
+  }
+
+  _assignVariable(statement, variable, valueType) {
+    let variableName = variable.value;
+    if (!(variableName in this._localTypes)) {
+      this._localTypes[variableName] = valueType;
+      return;
+    }
+    let oldType = this._localTypes[variableName];
+    let joinedType = joinTypes(oldType, valueType);
+    if (joinedType === null) {
+      this._report(
+        statement.startPos, statement.endPos,
+        'static-incompatible-types-on-assignment',
+        [variableName, oldType, valueType]
+      );
+    } else {
+      this._localTypes[variableName] = joinedType;
+    }
+  }
+
+  _checkStmtProcedureCall(statement) {
+    let procedureName = statement.procedureName.value;
+    if (this._primitives.isProcedure(procedureName)) {
+      this._checkArguments(
+        procedureName, statement.args,
+        this._primitives.getOperation(procedureName).argumentTypes
+      );
+    } else {
+      this._checkArguments(
+        procedureName, statement.args,
+        this._routineParameterTypes(procedureName)
+      );
+    }
+  }
+
+  /* Patterns */
+
+  /* Bind the variables of a pattern that matches a value of the given
+   * type. The subject is the expression being matched, if any. */
+  _bindPattern(pattern, subject, subjectType) {
+    switch (pattern.tag) {
+      case N_PatternWildcard:
+      case N_PatternTimeout:
+        break;
+      case N_PatternVariable:
+        this._localTypes[pattern.variableName.value] = subjectType;
+        break;
+      case N_PatternNumber:
+        this._expectPatternType(
+          pattern, subject, subjectType, new TypeInteger()
+        );
+        break;
+      case N_PatternStructure:
+        this._bindPatternStructure(pattern, subject, subjectType);
+        break;
+      case N_PatternTuple:
+        this._bindPatternTuple(pattern, subject, subjectType);
+        break;
+      default:
+        throw Error(
+          'Type checker: Pattern not implemented: '
+        + Symbol.keyFor(pattern.tag)
+        );
+    }
+  }
+
+  _bindPatternStructure(pattern, subject, subjectType) {
+    let constructorName = pattern.constructorName.value;
+    if (!this._symtable.isConstructor(constructorName)) {
+      return;
+    }
+    this._expectPatternType(
+      pattern, subject, subjectType,
+      typeStructure(this._symtable.constructorType(constructorName))
+    );
+    let fieldNames = this._symtable.constructorFields(constructorName);
+    for (let i = 0; i < pattern.boundVariables.length; i++) {
+      this._localTypes[pattern.boundVariables[i].value] =
+        this._fieldType(constructorName, fieldNames[i]);
+    }
+  }
+
+  _bindPatternTuple(pattern, subject, subjectType) {
+    let arity = pattern.boundVariables.length;
+    let joinedType = this._expectPatternType(
+      pattern, subject, subjectType, typeTupleOfAny(arity)
+    );
+    if (joinedType === null) {
+      joinedType = typeTupleOfAny(arity);
+    }
+    for (let i = 0; i < arity; i++) {
+      this._localTypes[pattern.boundVariables[i].value] =
+        joinedType.componentTypes[i];
+    }
+  }
+
+  _expectPatternType(pattern, subject, subjectType, expectedType) {
+    let joinedType = subject === null
+                   ? joinTypes(subjectType, expectedType)
+                   : this._refine(subject, subjectType, expectedType);
+    if (joinedType === null) {
+      this._report(
+        pattern.startPos, pattern.endPos,
+        'static-type-mismatch', [expectedType, subjectType]
+      );
+    }
+    return joinedType;
+  }
+
+  /* Variables bound by a pattern are only visible in its branch */
+  _unbindPattern(pattern) {
+    for (let variable of pattern.boundVariables) {
+      delete this._localTypes[variable.value];
+    }
+  }
+
+  /* Expressions */
+
+  /* Return the type inferred for the given expression */
+  _checkExpression(expression) {
+    switch (expression.tag) {
+      case N_ExprVariable:
+        return this._checkExprVariable(expression);
+      case N_ExprConstantNumber:
+        return new TypeInteger();
+      case N_ExprConstantString:
+        return new TypeString();
+      case N_ExprChoose:
+        return this._checkExprChoose(expression);
+      case N_ExprMatching:
+        return this._checkExprMatching(expression);
+      case N_ExprList:
+        return this._checkExprList(expression);
+      case N_ExprRange:
+        return this._checkExprRange(expression);
+      case N_ExprTuple:
+        return new TypeTuple(
+          expression.elements.map((element) => this._checkExpression(element))
+        );
+      case N_ExprStructure:
+        return this._checkExprStructure(expression);
+      case N_ExprStructureUpdate:
+        return this._checkExprStructureUpdate(expression);
+      case N_ExprFunctionCall:
+        return this._checkExprFunctionCall(expression);
+      default:
+        throw Error(
+          'Type checker: Expression not implemented: '
+        + Symbol.keyFor(expression.tag)
+        );
+    }
+  }
+
+  _checkExprVariable(expression) {
+    let variableName = expression.variableName.value;
+    if (variableName in this._localTypes) {
+      return this._localTypes[variableName];
+    } else {
+      return new TypeAny();
+    }
+  }
+
+  /* Only one of the branches is evaluated, so they may be of
+   * different types */
+  _checkExprChoose(expression) {
+    this._expectType(expression.condition, typeBool());
+    let localTypes = this._localTypes;
+    this._localTypes = Object.assign({}, localTypes);
+    let trueType = this._checkExpression(expression.trueExpr);
+    let trueLocalTypes = this._localTypes;
+    this._localTypes = Object.assign({}, localTypes);
+    let falseType = this._checkExpression(expression.falseExpr);
+    this._localTypes = mergeLocalTypes(trueLocalTypes, this._localTypes);
+    return generalizeTypes(trueType, falseType);
+  }
+
+  _checkExprMatching(expression) {
+    let subjectType = this._checkExpression(expression.subject);
+    let localTypes = this._localTypes;
+    let mergedLocalTypes = null;
+    let resultType = null;
+    for (let branch of expression.branches) {
+      this._localTypes = Object.assign({}, localTypes);
+      this._bindPattern(branch.pattern, expression.subject, subjectType);
+      let branchType = this._checkExpression(branch.body);
+      this._unbindPattern(branch.pattern);
+      resultType = resultType === null
+                 ? branchType
+                 : generalizeTypes(resultType, branchType);
+      mergedLocalTypes = mergedLocalTypes === null
+                       ? this._localTypes
+                       : mergeLocalTypes(mergedLocalTypes, this._localTypes);
+    }
+    if (mergedLocalTypes === null) {
+      return new TypeAny();
+    }
+    this._localTypes = mergedLocalTypes;
+    return resultType;
+  }
+
+  _checkExprList(expression) {
+    let contentType = new TypeEmptyListElement();
+    for (let element of expression.elements) {
+      contentType = this._joinOrReport(
+        element, contentType, this._checkExpression(element)
+      );
+    }
+    return new TypeList(contentType);
+  }
+
+  _checkExprRange(expression) {
+    let firstType = this._checkExpression(expression.first);
+    let lastType = this._checkExpression(expression.last);
+    let contentType = this._joinOrReport(expression.last, firstType, lastType);
+    if (expression.second !== null) {
+      /* Ranges with a second element are only defined for integers */
+      this._expectType(expression.second, new TypeInteger());
+      contentType = this._joinOrReport(
+        expression, new TypeInteger(), contentType
+      );
+    }
+    return new TypeList(contentType);
+  }
+
+  _checkExprStructure(expression) {
+    let constructorName = expression.constructorName.value;
+    if (!this._symtable.isConstructor(constructorName)) {
+      return new TypeAny();
+    }
+    for (let fieldBinding of expression.fieldBindings) {
+      this._addFieldType(
+        constructorName, fieldBinding.fieldName.value,
+        this._checkExpression(fieldBinding.value)
+      );
+    }
+    return typeStructure(this._symtable.constructorType(constructorName));
+  }
+
+  _checkExprStructureUpdate(expression) {
+    let constructorName = expression.constructorName.value;
+    if (!this._symtable.isConstructor(constructorName)) {
+      return new TypeAny();
+    }
+    let type = typeStructure(this._symtable.constructorType(constructorName));
+    this._expectType(expression.original, type);
+    for (let fieldBinding of expression.fieldBindings) {
+      let fieldName = fieldBinding.fieldName.value;
+      let oldType = this._fieldType(constructorName, fieldName);
+      let valueType = this._checkExpression(fieldBinding.value);
+      if (this._refine(fieldBinding.value, valueType, oldType) === null) {
+        this._report(
+          fieldBinding.startPos, fieldBinding.endPos,
+          'static-incompatible-field-types',
+          [constructorName, fieldName, oldType, valueType]
+        );
+      }
+    }
+    return type;
+  }
+
+  /* Record that a structure may be built giving the field a value
+   * of the given type */
+  _addFieldType(constructorName, fieldName, type) {
+    if (!(constructorName in this._nextFieldTypes)) {
+      this._nextFieldTypes[constructorName] = {};
+    }
+    let fieldTypes = this._nextFieldTypes[constructorName];
+    fieldTypes[fieldName] = fieldName in fieldTypes
+                          ? generalizeTypes(fieldTypes[fieldName], type)
+                          : type;
+  }
+
+  _fieldType(constructorName, fieldName) {
+    if (constructorName in this._fieldTypes
+        && fieldName in this._fieldTypes[constructorName]) {
+      return this._fieldTypes[constructorName][fieldName];
+    } else {
+      return new TypeAny();
+    }
+  }
+
+  _checkExprFunctionCall(expression) {
+    let functionName = expression.functionName.value;
+    if (functionName === '&&' || functionName === '||') {
+      /* The arguments of the logical operators are not checked by the
+       * primitive, since they are treated specially by the compiler.
+       * The second argument is not always evaluated. */
+      this._expectType(expression.args[0], typeBool());
+      let localTypes = this._localTypes;
+      this._localTypes = Object.assign({}, localTypes);
+      this._expectType(expression.args[1], typeBool());
+      this._localTypes = mergeLocalTypes(localTypes, this._localTypes);
+      return typeBool();
+    } else if (this._primitives.isFunction(functionName)) {
+      let argumentTypes = this._checkArguments(
+        functionName, expression.args,
+        this._primitives.getOperation(functionName).argumentTypes
+      );
+      return this._primitiveResultType(expression, argumentTypes);
+    } else if (this._symtable.isFunction(functionName)) {
+      this._checkArguments(
+        functionName, expression.args,
+        this._routineParameterTypes(functionName)
+      );
+      if (functionName in this._resultTypes) {
+        return this._resultTypes[functionName];
+      } else {
+        return new TypeAny();
+      }
+    } else if (this._symtable.isField(functionName)
+               && expression.args.length === 1) {
+      return this._checkFieldAccess(functionName, expression.args[0]);
+    } else {
+      for (let argument of expression.args) {
+        this._checkExpression(argument);
+      }
+      return new TypeAny();
+    }
+  }
+
+  /* Check the arguments of a call to a routine, given the types of
+   * its parameters, and return the types of the arguments */
+  _checkArguments(routineName, args, parameterTypes) {
+    let argumentTypes = [];
+    for (let i = 0; i < args.length; i++) {
+      let argumentType = this._checkExpression(args[i]);
+      let parameterType =
+        i < parameterTypes.length ? parameterTypes[i] : new TypeAny();
+      let joinedType = this._refine(args[i], argumentType, parameterType);
+      if (joinedType === null) {
+        this._report(
+          args[i].startPos, args[i].endPos,
+          'static-argument-type-mismatch',
+          [routineName, i + 1, args.length, parameterType, argumentType]
+        );
+        argumentTypes.push(argumentType);
+      } else {
+        argumentTypes.push(joinedType);
+      }
+    }
+    return argumentTypes;
+  }
+
+  _primitiveResultType(expression, argumentTypes) {
+    let args = expression.args;
+    switch (expression.functionName.value) {
+      case i18n('PRIM:numStones'):
+      case '+': case '-': case '*': case 'div': case 'mod': case '^':
+        return new TypeInteger();
+      case i18n('PRIM:anyStones'):
+      case i18n('PRIM:canMove'):
+      case i18n('PRIM:isEmpty'):
+      case i18n('PRIM:minBool'):
+      case i18n('PRIM:maxBool'):
+      case 'not':
+        return typeBool();
+      case i18n('PRIM:minColor'):
+      case i18n('PRIM:maxColor'):
+        return typeColor();
+      case i18n('PRIM:minDir'):
+      case i18n('PRIM:maxDir'):
+        return typeDir();
+      case i18n('PRIM:next'):
+      case i18n('PRIM:prev'):
+      case i18n('PRIM:opposite'):
+      case '-(unary)':
+        return argumentTypes[0];
+      case '==': case '/=': case '<=': case '>=': case '<': case '>':
+        this._expectSameType(args, argumentTypes);
+        return typeBool();
+      case '++':
+        return this._expectSameType(args, argumentTypes);
+      case i18n('PRIM:head'):
+      case i18n('PRIM:last'):
+        return argumentTypes[0].isList()
+             ? argumentTypes[0].contentType
+             : new TypeAny();
+      case i18n('PRIM:tail'):
+      case i18n('PRIM:init'):
+        return argumentTypes[0];
+      default:
+        return new TypeAny();
+    }
+  }
+
+  /* A field accessor may be applied to any structure that has the field.
+   * The result is the generalization of the types of the field in all
+   * those structures. */
+  _checkFieldAccess(fieldName, argument) {
+    let argumentType = this._checkExpression(argument);
+    let fieldDescriptors = this._symtable.fieldDescriptor(fieldName);
+    let resultType = null;
+    for (let fieldDescriptor of fieldDescriptors) {
+      let type = typeStructure(fieldDescriptor.typeName);
+      if (joinTypes(argumentType, type) !== null) {
+        let fieldType = this._fieldType(
+          fieldDescriptor.constructorName, fieldName
+        );
+        resultType = resultType === null
+                   ? fieldType
+                   : generalizeTypes(resultType, fieldType);
+      }
+    }
+    if (resultType === null) {
+      resultType = new TypeAny();
+      this._report(
+        argument.startPos, argument.endPos,
+        'static-type-mismatch',
+        [typeStructure(fieldDescriptors[0].typeName), argumentType]
+      );
+    } else if (fieldDescriptors.every((fieldDescriptor) =>
+                 fieldDescriptor.typeName === fieldDescriptors[0].typeName
+               )) {
+      this._refine(
+        argument, argumentType, typeStructure(fieldDescriptors[0].typeName)
+      );
+    }
+    return resultType;
+  }
+
+  /* Helpers */
+
+  /* Check that the expression has the expected type */
+  _expectType(expression, expectedType) {
+    let type = this._checkExpression(expression);
+    if (this._refine(expression, type, expectedType) === null) {
+      this._report(
+        expression.startPos, expression.endPos,
+        'static-type-mismatch', [expectedType, type]
+      );
+    }
+  }
+
+  /* Join the type of an expression with the type expected for it.
+   * If the expression is a local name, the inferred type of the name
+   * is refined. Return the joined type, or null if they are not
+   * compatible. */
+  _refine(expression, type, expectedType) {
+    let joinedType = joinTypes(type, expectedType);
+    if (joinedType !== null && expression.tag === N_ExprVariable) {
+      let variableName = expression.variableName.value;
+      if (variableName in this._localTypes) {
+        this._localTypes[variableName] = refinedLocalType(
+          this._localTypes[variableName], joinedType
+        );
+      }
+    }
+    return joinedType;
+  }
+
+  /* Check that the two arguments of a binary operator are of the same
+   * type, refining them if they are local names */
+  _expectSameType(args, argumentTypes) {
+    let joinedType = this._refine(args[1], argumentTypes[1], argumentTypes[0]);
+    if (joinedType === null) {
+      this._report(
+        args[1].startPos, args[1].endPos,
+        'static-type-mismatch', argumentTypes
+      );
+      return argumentTypes[0];
+    }
+    this._refine(args[0], argumentTypes[0], joinedType);
+    return joinedType;
+  }
+
+  /* Join the types of two values that should be of the same type,
+   * reporting a mismatch in the given expression if they are not */
+  _joinOrReport(expression, expectedType, type) {
+    let joinedType = joinTypes(expectedType, type);
+    if (joinedType === null) {
+      this._report(
+        expression.startPos, expression.endPos,
+        'static-type-mismatch', [expectedType, type]
+      );
+      return expectedType;
+    }
+    return joinedType;
+  }
+
+}
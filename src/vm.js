@@ -62,10 +62,22 @@ class RuntimeExitProgram extends RuntimeCondition {
   }
 }
 
+/* Default size of the slices in which asynchronous runs are split
+ * (see VirtualMachine.runAsync) */
+const DEFAULT_SLICE_STEPS = 10000;
+const DEFAULT_SLICE_MILLISECS = 50;
+
 function fail(startPos, endPos, reason, args) {
   throw new GbsRuntimeError(startPos, endPos, reason, args);
 }
 
+/* Return true if both source positions lie in the same line of
+ * the same file */
+function sameSourceLine(position1, position2) {
+  return position1.filename === position2.filename
+      && position1.line === position2.line;
+}
+
 /* An instance of Frame represents the local execution context of a
  * function or procedure (a.k.a. "activation record" or "stack frame").
  *
@@ -146,6 +158,22 @@ class Frame {
     }
   }
 
+  /* Return a dictionary mapping the names of the local variables
+   * (and parameters) that are currently set to their values.
+   *
+   * Variables whose names start with an underscore are temporaries
+   * introduced by the compiler (see Compiler._freshVariable),
+   * so they are not included. */
+  localVariables() {
+    let variables = {};
+    for (let name in this._variables) {
+      if (name[0] !== '_') {
+        variables[name] = this._variables[name];
+      }
+    }
+    return variables;
+  }
+
   stackEmpty() {
     return this._stack.length === 0;
   }
@@ -170,6 +198,26 @@ class Frame {
 
 }
 
+/* An AbortHandle allows to stop an asynchronous run of the program
+ * (see VirtualMachine.runAsync). For example, the Stop button of an
+ * editor may call handle.abort(). The run then fails with an
+ * 'execution-aborted' runtime error before executing its next slice. */
+export class AbortHandle {
+
+  constructor() {
+    this._aborted = false;
+  }
+
+  abort() {
+    this._aborted = true;
+  }
+
+  isAborted() {
+    return this._aborted;
+  }
+
+}
+
 /*
  * Receives an instance of Code, representing a program for the virtual
  * machine, and sets it up for running.
@@ -179,10 +227,41 @@ class Frame {
  *   vm.run();    Run the program until termination.
  *                If the program returns a value, this method
  *                returns it. Otherwise it returns null.
+ *
+ *   vm.runAsync(millisecs, options);
+ *                Run the program without blocking the caller,
+ *                returning a promise of its return value.
+ *
+ * Alternatively, the program may be run under the control of a
+ * debugger, using the following methods:
+ *
+ *   vm.stepInstruction();  Execute a single instruction.
+ *   vm.stepInto();         Run until reaching a different source line,
+ *                          entering routine calls.
+ *   vm.stepOver();         Run until reaching a different source line
+ *                          of the current routine (or its caller).
+ *   vm.stepOut();          Run until returning from the current routine.
+ *   vm.continue();         Run until termination (or a breakpoint).
+ *
+ * Each of these methods returns true if the program is paused
+ * and false if it has finished. After each pause, the state of
+ * the program can be inspected with vm.currentPosition(),
+ * vm.callStack() and vm.positionStack().
+ *
+ * Running under the control of the debugger is one more run of the
+ * program: it takes snapshots (see vm.setSnapshotCallback), and it is
+ * subject to the step limit, the profiler and the coverage collector.
+ *
+ * Execution also pauses upon reaching a breakpoint, which may be set
+ * with vm.addBreakpoint(filename, line, conditionLabel).
+ * If evaluating the condition of a breakpoint fails, execution also
+ * pauses, and the error is returned by vm.breakpointError().
  */
 export class VirtualMachine {
 
-  constructor(code, initialState) {
+  /* Primitive operations are looked up in the given RuntimePrimitives,
+   * or in the built-in ones if omitted */
+  constructor(code, initialState, primitives) {
     this._code = code;
 
     /* "this._labelTargets" is a dictionary mapping label names to
@@ -233,7 +312,7 @@ export class VirtualMachine {
      * A primitive always receives 1 + n parameters, the first one being
      * the board.
      */
-    this._primitives = new RuntimePrimitives();
+    this._primitives = primitives || new RuntimePrimitives();
 
     /*
      * A "snapshot callback" is a function that takes snapshots.
@@ -261,6 +340,67 @@ export class VirtualMachine {
      */
     this._snapshotCallback = null;
 
+    /* When running under the control of a debugger, the VM records
+     * whether the program has already finished and, in that case,
+     * the value it returned. */
+    this._finished = false;
+    this._returnValue = null;
+
+    /* Number of instructions executed under the control of the
+     * debugger, or null if the debugger has not started running the
+     * program yet. */
+    this._debuggerSteps = null;
+
+    /* Breakpoints set by the debugger.
+     *
+     * "this._breakpoints" is a dictionary mapping instruction pointers
+     * to the list of breakpoints located at the corresponding instruction.
+     */
+    this._breakpoints = {};
+    this._nextBreakpointId = 0;
+
+    /* Error raised by the condition of the breakpoint at which the
+     * execution is paused, if any */
+    this._breakpointError = null;
+
+    /* Maximum number of instructions that a run of the program may
+     * execute. If it is 0, the number of instructions is not limited. */
+    this._maxSteps = 0;
+
+    /* Profiler notified of the instructions executed, the routines
+     * entered and left, and the primitives called (see src/profiler.js).
+     * If it is null, the execution is not profiled. */
+    this._profiler = null;
+
+    /* Coverage collector notified of the instructions executed and of
+     * the outcome of conditional jumps (see src/coverage.js).
+     * If it is null, coverage is not collected. */
+    this._coverage = null;
+
+  }
+
+  /* Set the maximum number of instructions executed by each run of the
+   * program (0 means no limit). Exceeding it raises a runtime error.
+   *
+   * Unlike the timeout, which depends on the load of the machine,
+   * the step limit makes the outcome of a run deterministic. */
+  setMaxSteps(maxSteps) {
+    this._maxSteps = maxSteps;
+  }
+
+  /* Profile the runs of the program with the given profiler
+   * (or stop profiling, if it is null). */
+  setProfiler(profiler) {
+    this._profiler = profiler;
+  }
+
+  /* Collect the coverage of the runs of the program with the given
+   * collector (or stop collecting it, if it is null). */
+  setCoverage(coverage) {
+    this._coverage = coverage;
+    if (coverage !== null) {
+      coverage.registerCode(this._code);
+    }
   }
 
   run() {
@@ -302,19 +442,388 @@ export class VirtualMachine {
    */
   runWithTimeoutTakingSnapshots(millisecs, snapshotCallback) {
     let startTime = new Date().getTime();
+    let numSteps = 0;
+    this._startRun(snapshotCallback);
+    try {
+      while (true) {
+        this._countedStep(numSteps);
+        numSteps++;
+        this._timeoutIfNeeded(startTime, millisecs);
+      }
+    } catch (condition) {
+      return this._finishRun(condition);
+    }
+  }
+
+  /* Run the program asynchronously, throwing an exception if the given
+   * timeout is met (0 means no timeout). The timeout only takes into
+   * account the time spent running the program, not the time in between
+   * slices.
+   *
+   * The program is run in slices of at most options.sliceSteps
+   * instructions or options.sliceMillisecs millisecs, whatever comes
+   * first, yielding control to the event loop after each slice. This
+   * keeps the page responsive while running long programs in a browser.
+   *
+   * The options may also include:
+   * - snapshotCallback: as in runWithTimeoutTakingSnapshots,
+   * - abortHandle: an AbortHandle to stop the run,
+   * - onProgress: a function called after each slice with an object
+   *   {steps: N, millisecs: T}, where N is the number of instructions
+   *   executed and T the time spent running the program so far,
+   * - runSlice: a function that receives a thunk and runs it; each
+   *   slice is run through it, e.g. to set up the language of the
+   *   error messages.
+   *
+   * Return a promise that is fulfilled with the value returned by the
+   * program (or null), or rejected with the exception it throws.
+   */
+  runAsync(millisecs, options) {
+    options = options || {};
+    let sliceSteps = options.sliceSteps || DEFAULT_SLICE_STEPS;
+    let sliceMillisecs = options.sliceMillisecs || DEFAULT_SLICE_MILLISECS;
+    let abortHandle = options.abortHandle || null;
+    let onProgress = options.onProgress || null;
+    let runSlice = options.runSlice || ((thunk) => thunk());
+    let numSteps = 0;
+    let elapsedTime = 0;
+    let started = false;
+    return new Promise((resolve, reject) => {
+      /* Run a slice, and schedule the next one unless the run is over */
+      const slice = () => {
+        let sliceStartTime = new Date().getTime();
+        let runStartTime = sliceStartTime - elapsedTime;
+        try {
+          try {
+            if (!started) {
+              started = true;
+              this._startRun(options.snapshotCallback || null);
+            }
+            this._abortIfNeeded(abortHandle);
+            let sliceEnd = numSteps + sliceSteps;
+            while (numSteps < sliceEnd
+                   && new Date().getTime() - sliceStartTime < sliceMillisecs) {
+              this._countedStep(numSteps);
+              numSteps++;
+              this._timeoutIfNeeded(runStartTime, millisecs);
+            }
+          } catch (condition) {
+            resolve(this._finishRun(condition));
+            return;
+          }
+          elapsedTime += new Date().getTime() - sliceStartTime;
+          if (onProgress !== null) {
+            onProgress({'steps': numSteps, 'millisecs': elapsedTime});
+          }
+        } catch (exception) {
+          reject(exception);
+          return;
+        }
+        setTimeout(() => runSlice(slice), 0);
+      };
+      setTimeout(() => runSlice(slice), 0);
+    });
+  }
+
+  _startRun(snapshotCallback) {
     this._snapshotCallback = snapshotCallback;
     this._takeSnapshot('program');
+    if (this._profiler !== null) {
+      this._profiler.startRun(
+        this._callStack.map((frame) => frame.routineName)
+      );
+    }
+  }
+
+  /* Execute the next instruction, counting it as the numSteps-th
+   * instruction of the current run */
+  _countedStep(numSteps) {
+    this._stepLimitIfNeeded(numSteps);
+    if (this._profiler !== null) {
+      this._profiler.countInstruction();
+    }
+    if (this._coverage !== null) {
+      this._coverage.countInstruction(
+        this._currentFrame().instructionPointer
+      );
+    }
+    this._step();
+  }
+
+  /* Finish the current run because of the given condition, returning
+   * the value returned by the program or rethrowing the error */
+  _finishRun(condition) {
+    if (this._profiler !== null) {
+      this._profiler.stopRun();
+    }
+    if (condition.tag === RT_ExitProgram) {
+      return condition.returnValue;
+    } else {
+      throw condition;
+    }
+  }
+
+  /* Debugger interface */
+
+  /* Take snapshots with the given callback (see
+   * runWithTimeoutTakingSnapshots) while running under the control
+   * of the debugger. It should be set before the first step. */
+  setSnapshotCallback(snapshotCallback) {
+    this._snapshotCallback = snapshotCallback;
+  }
+
+  /* Execute a single instruction */
+  stepInstruction() {
+    return this._stepUntil(() => true);
+  }
+
+  /* Run until reaching an instruction in a different source line,
+   * or until entering or leaving a routine. */
+  stepInto() {
+    let frame = this._currentFrame();
+    let position = this.currentPosition();
+    return this._stepUntil(() =>
+      this._currentFrame() !== frame
+      || !sameSourceLine(this.currentPosition(), position)
+    );
+  }
+
+  /* Run until reaching an instruction in a different source line
+   * of the current routine, or until leaving the current routine.
+   * Calls to other routines are executed without pausing. */
+  stepOver() {
+    let depth = this._callStack.length;
+    let frame = this._currentFrame();
+    let position = this.currentPosition();
+    return this._stepUntil(() =>
+      this._callStack.length <= depth && (
+        this._currentFrame() !== frame
+        || !sameSourceLine(this.currentPosition(), position)
+      )
+    );
+  }
+
+  /* Run until returning from the current routine.
+   * If the current routine is the main program, run until termination. */
+  stepOut() {
+    let depth = this._callStack.length;
+    return this._stepUntil(() => this._callStack.length < depth);
+  }
+
+  /* Run until termination (or until reaching a breakpoint) */
+  continue() {
+    return this._stepUntil(() => false);
+  }
+
+  /* Return true if the program has finished running under the
+   * control of the debugger */
+  isFinished() {
+    return this._finished;
+  }
+
+  /* Return the value returned by the program if it has finished running
+   * under the control of the debugger. Otherwise return null. */
+  returnValue() {
+    return this._returnValue;
+  }
+
+  /* Return the error raised when evaluating the condition of the
+   * breakpoint at which the program is paused, or null if the program
+   * did not pause because of such an error. */
+  breakpointError() {
+    return this._breakpointError;
+  }
+
+  /* Return the position in the source code of the instruction that is
+   * about to be executed, or null if the program has finished. */
+  currentPosition() {
+    if (this._finished) {
+      return null;
+    }
+    return this._currentInstruction().startPos;
+  }
+
+  /* Return the current call stack (a list of frames).
+   * The last element is the frame of the current routine. */
+  callStack() {
+    return this._callStack.slice();
+  }
+
+  /* Set a breakpoint in the given line of the given file.
+   *
+   * If the line has no code, the breakpoint is moved to the first
+   * following line that has code. If there is no such line,
+   * the breakpoint is not set and this method returns null.
+   *
+   * If conditionLabel is not null, it should be the label of a routine
+   * that evaluates a boolean condition (see Compiler.compileCondition).
+   * The execution only pauses at the breakpoint if the condition holds.
+   *
+   * Return an object describing the breakpoint, which may be used
+   * to remove it later. */
+  addBreakpoint(filename, line, conditionLabel) {
+    let lines = this._code.instructionPointersByLine(filename);
+    let breakpointLine = null;
+    for (let codeLine in lines) {
+      codeLine = parseInt(codeLine, 10);
+      if (codeLine >= line
+          && (breakpointLine === null || codeLine < breakpointLine)) {
+        breakpointLine = codeLine;
+      }
+    }
+    if (breakpointLine === null) {
+      return null;
+    }
+
+    if (conditionLabel !== null) {
+      /* The routine for the condition may have been added to the code
+       * after the creation of the VM */
+      this._labelTargets = this._code.labelTargets();
+    }
+
+    let breakpoint = {
+      'id': this._nextBreakpointId,
+      'filename': filename,
+      'line': breakpointLine,
+      'conditionLabel': conditionLabel,
+      'instructionPointers': lines[breakpointLine],
+    };
+    this._nextBreakpointId++;
+    for (let ip of breakpoint.instructionPointers) {
+      if (!(ip in this._breakpoints)) {
+        this._breakpoints[ip] = [];
+      }
+      this._breakpoints[ip].push(breakpoint);
+    }
+    return breakpoint;
+  }
+
+  removeBreakpoint(breakpoint) {
+    for (let ip of breakpoint.instructionPointers) {
+      if (ip in this._breakpoints) {
+        this._breakpoints[ip] = this._breakpoints[ip].filter(
+          (other) => other.id !== breakpoint.id
+        );
+        if (this._breakpoints[ip].length === 0) {
+          delete this._breakpoints[ip];
+        }
+      }
+    }
+  }
+
+  /* Execute instructions until the shouldPause condition holds,
+   * after having executed at least one instruction, or until
+   * reaching a breakpoint.
+   * The first call starts the run of the program.
+   * Return true if the program is paused and false if it has finished.
+   * If the program fails, the error is thrown, and the program is
+   * considered finished. */
+  _stepUntil(shouldPause) {
+    if (this._finished) {
+      return false;
+    }
+    this._breakpointError = null;
+    try {
+      if (this._debuggerSteps === null) {
+        this._debuggerSteps = 0;
+        this._startRun(this._snapshotCallback);
+      }
+      let frame;
+      let position;
+      do {
+        frame = this._currentFrame();
+        position = this.currentPosition();
+        this._countedStep(this._debuggerSteps);
+        this._debuggerSteps++;
+      } while (!shouldPause() && !this._atBreakpoint(frame, position));
+      return true;
+    } catch (condition) {
+      this._finished = true;
+      this._returnValue = this._finishRun(condition);
+      return false;
+    }
+  }
+
+  /* Return true if the current instruction has an active breakpoint.
+   *
+   * Breakpoints only trigger when entering their line, i.e. when the
+   * previous instruction was located in a different line or belonged
+   * to a different frame. */
+  _atBreakpoint(previousFrame, previousPosition) {
+    let frame = this._currentFrame();
+    if (!(frame.instructionPointer in this._breakpoints)) {
+      return false;
+    }
+    if (frame === previousFrame
+        && sameSourceLine(this.currentPosition(), previousPosition)) {
+      return false;
+    }
+    for (let breakpoint of this._breakpoints[frame.instructionPointer]) {
+      if (breakpoint.conditionLabel === null) {
+        return true;
+      }
+      try {
+        if (this._evaluateCondition(breakpoint.conditionLabel)) {
+          return true;
+        }
+      } catch (exception) {
+        if (exception.isGobstonesException === undefined) {
+          throw exception;
+        }
+        this._breakpointError = exception;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /* Evaluate the condition of a breakpoint, compiled as the routine
+   * with the given label, in the context of the current frame.
+   *
+   * The condition is run on a separate call stack, whose only frame
+   * has access to the local variables of the current frame.
+   * It is not part of the run of the program, so it is neither
+   * profiled nor covered.
+   * Return true if the condition holds. */
+  _evaluateCondition(conditionLabel) {
+    let callStack = this._callStack;
+    let globalStateStack = this._globalStateStack.slice();
+    let snapshotCallback = this._snapshotCallback;
+    let profiler = this._profiler;
+    let coverage = this._coverage;
+
+    let currentFrame = this._currentFrame();
+    let conditionFrame = this._newFrame(
+                           conditionLabel,
+                           this._labelTargets[conditionLabel]
+                         );
+    let variables = currentFrame.localVariables();
+    for (let name in variables) {
+      conditionFrame.setVariable(
+        name, currentFrame.getVariableType(name), variables[name]
+      );
+    }
+
+    this._callStack = [conditionFrame];
+    this._snapshotCallback = null;
+    this._profiler = null;
+    this._coverage = null;
     try {
       while (true) {
         this._step();
-        this._timeoutIfNeeded(startTime, millisecs);
       }
     } catch (condition) {
       if (condition.tag === RT_ExitProgram) {
-        return condition.returnValue;
+        return condition.returnValue.constructorName === 'True';
       } else {
         throw condition;
       }
+    } finally {
+      this._callStack = callStack;
+      this._globalStateStack = globalStateStack;
+      this._snapshotCallback = snapshotCallback;
+      this._profiler = profiler;
+      this._coverage = coverage;
     }
   }
 
@@ -331,6 +840,21 @@ export class VirtualMachine {
     }
   }
 
+  _abortIfNeeded(abortHandle) {
+    if (abortHandle !== null && abortHandle.isAborted()) {
+      let instruction = this._currentInstruction();
+      fail(instruction.startPos, instruction.endPos, 'execution-aborted', []);
+    }
+  }
+
+  _stepLimitIfNeeded(numSteps) {
+    if (this._maxSteps > 0 && numSteps >= this._maxSteps) {
+      let instruction = this._currentInstruction();
+      fail(instruction.startPos, instruction.endPos,
+           'step-limit-exceeded', [this._maxSteps]);
+    }
+  }
+
   _takeSnapshot(routineName) {
     if (this._snapshotCallback !== null) {
       let instruction = this._currentInstruction();
@@ -503,7 +1027,9 @@ export class VirtualMachine {
     let frame = this._currentFrame();
     let instruction = this._currentInstruction();
     let value = frame.popValue(); /* Pop the value */
-    if (value.tag === V_Structure && value.constructorName === 'False') {
+    let jump = value.tag === V_Structure && value.constructorName === 'False';
+    this._countBranch(jump);
+    if (jump) {
       frame.instructionPointer = this._labelTargets[instruction.targetLabel];
     } else {
       frame.instructionPointer++;
@@ -514,8 +1040,10 @@ export class VirtualMachine {
     let frame = this._currentFrame();
     let instruction = this._currentInstruction();
     let value = frame.stackTop(); /* Do not pop the value */
-    if (value.tag === V_Structure
-        && value.constructorName === instruction.constructorName) {
+    let jump = value.tag === V_Structure
+            && value.constructorName === instruction.constructorName;
+    this._countBranch(jump);
+    if (jump) {
       frame.instructionPointer = this._labelTargets[instruction.targetLabel];
     } else {
       frame.instructionPointer++;
@@ -526,13 +1054,22 @@ export class VirtualMachine {
     let frame = this._currentFrame();
     let instruction = this._currentInstruction();
     let value = frame.stackTop(); /* Do not pop the value */
-    if (value.tag === V_Tuple && value.size() === instruction.size) {
+    let jump = value.tag === V_Tuple && value.size() === instruction.size;
+    this._countBranch(jump);
+    if (jump) {
       frame.instructionPointer = this._labelTargets[instruction.targetLabel];
     } else {
       frame.instructionPointer++;
     }
   }
 
+  /* Record whether the current conditional jump is taken */
+  _countBranch(jump) {
+    if (this._coverage !== null) {
+      this._coverage.countBranch(this._currentFrame().instructionPointer, jump);
+    }
+  }
+
   _stepCall() {
     let callerFrame = this._currentFrame();
     let instruction = this._currentInstruction();
@@ -543,6 +1080,9 @@ export class VirtualMachine {
                      this._labelTargets[instruction.targetLabel]
                    );
     this._callStack.push(newFrame);
+    if (this._profiler !== null) {
+      this._profiler.enterRoutine(instruction.targetLabel);
+    }
 
     /* Pop arguments from caller's frame and push them into callee's frame */
     for (let i = 0; i < instruction.nargs; i++) {
@@ -573,6 +1113,9 @@ export class VirtualMachine {
     }
 
     this._callStack.pop();
+    if (this._profiler !== null) {
+      this._profiler.leaveRoutine();
+    }
     if (this._callStack.length === 0) {
       /* There are no more frames in the call stack, which means
        * that we are returning from the main program. */
@@ -846,6 +1389,9 @@ export class VirtualMachine {
     );
 
     /* Proceed to call the primitive operation */
+    if (this._profiler !== null) {
+      this._profiler.countPrimitive(instruction.primitiveName);
+    }
     let result = primitive.call(this.globalState(), args); /* mutates 'args' */
     if (result !== null) {
       frame.pushValue(result);
@@ -899,4 +1445,16 @@ export class VirtualMachine {
     return regionStack;
   }
 
+  /* Return the current dynamic stack of source positions,
+   * i.e. the position at which each routine in the call stack
+   * is paused */
+  positionStack() {
+    let positionStack = [];
+    for (let stackFrame of this._callStack) {
+      let instruction = this._code.at(stackFrame.instructionPointer);
+      positionStack.push(instruction.startPos);
+    }
+    return positionStack;
+  }
+
 }
@@ -0,0 +1,37 @@
+/* Entry point of the interpreter worker.
+ *
+ * In the browser, this module (packaged as lib/gobstones-worker.js)
+ * may be loaded directly as a Web Worker:
+ *
+ *   let worker = new Worker('gobstones-worker.js');
+ *   worker.onmessage = (event) => ...;
+ *   worker.postMessage({id: 1, sourceCode: '...', board: {...}});
+ *
+ * In Node, a worker_threads worker should call startWorker with its
+ * parentPort (see runInWorker in src/worker_host.js).
+ *
+ * The requests and responses are described in src/worker_protocol.js.
+ * To stop a runaway program, the caller may terminate the worker.
+ */
+
+import { handleWorkerRequest } from './worker_protocol.js';
+
+/* Serve the requests received through the given port, which may be the
+ * global scope of a Web Worker or the parentPort of a Node worker */
+export function startWorker(port) {
+  let postMessage = (response) => port.postMessage(response);
+  if (typeof port.on === 'function') {
+    port.on('message', (request) =>
+      handleWorkerRequest(request, postMessage)
+    );
+  } else {
+    port.addEventListener('message', (event) =>
+      handleWorkerRequest(event.data, postMessage)
+    );
+  }
+}
+
+/* Start automatically when loaded as a Web Worker */
+if (typeof importScripts === 'function' && typeof self !== 'undefined') {
+  startWorker(self);
+}
@@ -0,0 +1,76 @@
+/* Run the interpreter in Node worker threads (see src/worker.js).
+ *
+ * Each request runs in a fresh worker, which is terminated if it does
+ * not finish in time. Unlike the timeout of the interpreter, this also
+ * stops programs that are stuck inside a single primitive operation,
+ * and it does not depend on the cooperation of the interpreter.
+ *
+ * This module is packaged as lib/gobstones-worker-host.js, and the
+ * workers load the packaged worker, lib/gobstones-worker.js.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+export const DEFAULT_KILL_TIMEOUT = 10000; /* millisecs */
+
+/* Both from src/ and from lib/, the packaged worker is in lib/.
+ * Its file name is set when packaging, as minified builds are named
+ * differently. */
+const WORKER_MODULE = path.join(
+  __dirname, '..', 'lib',
+  process.env.GOBSTONES_WORKER_FILE || 'gobstones-worker.js'
+);
+
+/* Run the given request (see src/worker_protocol.js) in a new worker.
+ * The options may include:
+ * - killAfter: millisecs after which the worker is terminated,
+ * - workerModule: path of the module that implements the worker
+ *   (by default, the packaged worker),
+ * - execArgv: Node options for the worker (by default, those of the
+ *   current process), e.g. ['-r', 'babel-core/register'] to run the
+ *   worker from src/worker.js.
+ *
+ * Return a promise of the list of responses, without the final 'done'.
+ * If the worker is terminated, the last response is of the form
+ *   {id, type: 'killed', millisecs: T}
+ * The promise is rejected if the worker itself fails. */
+export function runInWorker(request, options) {
+  options = options || {};
+  let killAfter = options.killAfter || DEFAULT_KILL_TIMEOUT;
+  let workerModule = options.workerModule || WORKER_MODULE;
+  let source = 'require(' + JSON.stringify(workerModule) + ')'
+             + '.startWorker(require("worker_threads").parentPort);';
+  return new Promise((resolve, reject) => {
+    let worker = new Worker(source, {
+      'eval': true,
+      'execArgv': options.execArgv,
+    });
+    let responses = [];
+    let timer = null;
+    let finish = () => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(responses);
+    };
+    timer = setTimeout(() => {
+      responses.push({
+        'id': request.id, 'type': 'killed', 'millisecs': killAfter
+      });
+      finish();
+    }, killAfter);
+    worker.on('message', (response) => {
+      if (response.type === 'done') {
+        finish();
+      } else {
+        responses.push(response);
+      }
+    });
+    worker.on('error', (error) => {
+      clearTimeout(timer);
+      worker.terminate();
+      reject(error);
+    });
+    worker.postMessage(request);
+  });
+}
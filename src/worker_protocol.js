@@ -0,0 +1,121 @@
+/* Message protocol of the interpreter worker (see src/worker.js).
+ *
+ * Running the interpreter in a worker (a Web Worker in the browser, or
+ * a worker_threads worker in Node) isolates it from the caller, so a
+ * runaway program can be killed by terminating the worker, regardless
+ * of timeouts.
+ *
+ * The caller posts a request of the form:
+ *
+ *   {
+ *     id: I,           Arbitrary identifier, copied to the responses
+ *     sourceCode: S,   Source code, as for GobstonesInterpreterAPI.parse
+ *     board: B,        Initial board in the API format (optional; if it
+ *                      is omitted, the program is only parsed)
+ *     config: {        Optional, as in GobstonesInterpreterAPI.config
+ *       language: L,
+ *       infiniteLoopTimeout: T,
+ *       maxSteps: N,
+ *       styleChecks: B,
+ *       lintCheckSeverities: {linterCheckId: severity, ...},
+ *       colors: [colorName, ...],
+ *     },
+ *   }
+ *
+ * and the worker posts back the following responses, in order:
+ *
+ * 1. Either {id, type: 'parse-error', error: E}, where E is the
+ *    ParseError returned by the API, or
+ *    {id, type: 'parsed', program: P, declarations: D, warnings: W},
+ *    where P is the alias of the program ('program',
+ *    'interactiveProgram' or null), and D and W are as in the
+ *    ParseResult returned by the API.
+ * 2. If the program was parsed, a board was given and the program is
+ *    not interactive, either
+ *    {id, type: 'result', finalBoard: B, snapshots: S, returnValue: R}
+ *    or {id, type: 'execution-error', error: E}, where E is the
+ *    ExecutionError returned by the API (including its snapshots).
+ * 3. {id, type: 'done'}.
+ *
+ * If the interpreter fails unexpectedly, the worker responds with
+ * {id, type: 'crash', message: M} followed by {id, type: 'done'}.
+ *
+ * All the responses are plain data, so they may be posted between
+ * threads.
+ */
+
+import { GobstonesInterpreterAPI } from './index.js';
+
+/* Drop the prototypes, functions and internal fields of API objects */
+function plainData(object) {
+  return JSON.parse(JSON.stringify(object));
+}
+
+function configure(api, config) {
+  if ('language' in config) {
+    api.config.setLanguage(config.language);
+  }
+  if ('infiniteLoopTimeout' in config) {
+    api.config.setInfiniteLoopTimeout(config.infiniteLoopTimeout);
+  }
+  if ('maxSteps' in config) {
+    api.config.setMaxSteps(config.maxSteps);
+  }
+  if ('colors' in config) {
+    api.config.setColors(config.colors);
+  }
+  if ('styleChecks' in config) {
+    api.config.setStyleChecksEnabled(config.styleChecks);
+  }
+  let severities = config.lintCheckSeverities || {};
+  for (let linterCheckId in severities) {
+    api.config.setLintCheckSeverity(linterCheckId, severities[linterCheckId]);
+  }
+}
+
+function interpretProgram(parseResult, board, respond) {
+  let result = parseResult.program.interpret(board);
+  if (result.finalBoard === undefined) {
+    respond('execution-error', {'error': plainData(result)});
+  } else {
+    respond('result', {
+      'finalBoard': plainData(result.finalBoard),
+      'snapshots': plainData(result.snapshots),
+      'returnValue': plainData(result.returnValue),
+    });
+  }
+}
+
+/* Handle a request, calling postMessage with each response */
+export function handleWorkerRequest(request, postMessage) {
+  function respond(type, fields) {
+    let response = {'id': request.id, 'type': type};
+    for (let key in fields) {
+      response[key] = fields[key];
+    }
+    postMessage(response);
+  }
+
+  try {
+    let api = new GobstonesInterpreterAPI();
+    configure(api, request.config || {});
+    let parseResult = api.parse(request.sourceCode);
+    if (parseResult.errors !== undefined) {
+      respond('parse-error', {'error': plainData(parseResult)});
+    } else {
+      let program = parseResult.program;
+      respond('parsed', {
+        'program': program === null ? null : program.alias,
+        'declarations': plainData(parseResult.declarations),
+        'warnings': plainData(parseResult.warnings),
+      });
+      if (program !== null && program.alias === 'program'
+          && request.board !== undefined) {
+        interpretProgram(parseResult, request.board, respond);
+      }
+    }
+  } catch (exception) {
+    respond('crash', {'message': exception.toString()});
+  }
+  respond('done', {});
+}
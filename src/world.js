@@ -0,0 +1,96 @@
+import { RuntimeState } from './runtime.js';
+import { apiboardFromJboard } from './board_formats.js';
+
+/* A world describes the global state on which programs run.
+ *
+ * The virtual machine treats the global state as opaque, so Gobstones
+ * programs may act on things other than the board of stones, e.g. a
+ * turtle canvas, a maze with walls or a robot grid with obstacles.
+ *
+ * A world is a subclass of World that provides:
+ *
+ * - newState(colorNames): return a fresh state with the default contents.
+ *   The colors configured in the runner are given (see
+ *   Runner.setColorNames), or null for the standard ones; worlds whose
+ *   states have no stones may ignore them.
+ *   States may be of any class that implements:
+ *     state.clone() ~~> a copy of the state
+ *     state.dump()  ~~> the contents of the state as plain data
+ *     state.load(data)  replace the contents of the state
+ *
+ * - hasBoardPrimitives(): whether the primitives that act on the board
+ *   (Poner, Mover, nroBolitas, etc.) are available. Worlds whose states
+ *   are not boards should return false, which is the default.
+ *
+ * - registerPrimitives(runner): register the primitive procedures and
+ *   functions of the world (see Runner.registerPrimitiveProcedure).
+ *   Their implementations receive the state of the world.
+ *
+ * - stateToString(state), stateFromString(string, colorNames): serialize
+ *   states, by default as the JSON representation of their dump.
+ *   The colors are as in newState.
+ *
+ * - snapshotFromState(state): return the data recorded for a state in
+ *   each snapshot of an execution (by default, its dump).
+ *
+ * The world of a runner is given to its constructor (see Runner).
+ */
+export class World {
+
+  newState(colorNames) {
+    throw Error('World.newState: subclass responsibility');
+  }
+
+  hasBoardPrimitives() {
+    return false;
+  }
+
+  registerPrimitives(runner) {
+    /* No primitives of its own */
+  }
+
+  stateToString(state) {
+    return JSON.stringify(state.dump());
+  }
+
+  stateFromString(string, colorNames) {
+    let state = this.newState(colorNames || null);
+    state.load(JSON.parse(string));
+    return state;
+  }
+
+  snapshotFromState(state) {
+    return state.dump();
+  }
+
+}
+
+/* The standard Gobstones world: a board with stones of four colors.
+ * Its states are instances of RuntimeState, serialized as jboards. */
+export class BoardWorld extends World {
+
+  newState(colorNames) {
+    return new RuntimeState(colorNames);
+  }
+
+  hasBoardPrimitives() {
+    return true;
+  }
+
+  /* Jboards that do not declare their colors have the given ones */
+  stateFromString(string, colorNames) {
+    let jboard = JSON.parse(string);
+    if (!('colors' in jboard) && colorNames) {
+      jboard.colors = colorNames;
+    }
+    let state = this.newState(colorNames || null);
+    state.load(jboard);
+    return state;
+  }
+
+  /* Snapshots record boards in the API format */
+  snapshotFromState(state) {
+    return apiboardFromJboard(state.dump());
+  }
+
+}
@@ -63,6 +63,14 @@ describe('Lexer', () => {
     expect(() => lexer.nextToken()).throws(i18n('errmsg:unknown-token')('%'));
   });
 
+  it('Skip unknown token after rejecting it', () => {
+    let lexer = new Lexer('%x');
+    expect(() => lexer.nextToken()).throws(i18n('errmsg:unknown-token')('%'));
+    let tok = lexer.nextToken();
+    expect(tok.tag).equals(T_LOWERID);
+    expect(tok.value).equals('x');
+  });
+
   describe('Identifiers and keywords', () => {
 
     it('Accept typical identifiers', () => {
@@ -642,6 +650,16 @@ describe('Lexer', () => {
       );
     });
 
+    it('Read again a closing delimiter matching an outer one', () => {
+      let lexer = new Lexer('{(}');
+      lexer.nextToken();
+      lexer.nextToken();
+      expect(() => lexer.nextToken()).throws(
+        i18n('errmsg:unmatched-opening-delimiter')('(')
+      );
+      expect(lexer.nextToken().tag).equals(T_RBRACE);
+      expect(lexer.nextToken().tag).equals(T_EOF);
+    });
 
   });
 
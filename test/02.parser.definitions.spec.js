@@ -753,6 +753,123 @@ describe('Parser: definitions', () => {
 
   });
 
+  describe('Error recovery', () => {
+
+    it('Do not collect errors by default', () => {
+      let parser = new Parser('procedure P {}');
+      expect(() => parser.parse()).throws(
+        i18n('errmsg:expected-but-found')(
+          i18n('T_LPAREN'),
+          i18n('T_LBRACE')
+        )
+      );
+      expect(parser.errors()).deep.equals([]);
+    });
+
+    it('Skip definitions with errors', () => {
+      let parser = new Parser([
+        'procedure P {}',
+        'procedure Q() {}',
+      ].join('\n'), true);
+      expectAST(parser.parse(), [
+        new ASTDefProcedure(
+          tok(T_UPPERID, 'Q'),
+          [],
+          new ASTStmtBlock([])
+        )
+      ]);
+      let errors = parser.errors();
+      expect(errors.length).equals(1);
+      expect(errors[0].reason).equals('expected-but-found');
+      expect(errors[0].startPos.line).equals(1);
+      expect(errors[0].startPos.column).equals(13);
+    });
+
+    it('Skip statements with errors', () => {
+      let parser = new Parser([
+        'program {',
+        '  x := ;',
+        '  y := 1 +;',
+        '  P()',
+        '}',
+      ].join('\n'), true);
+      expectAST(parser.parse(), [
+        new ASTDefProgram(
+          new ASTStmtBlock([
+            new ASTStmtProcedureCall(tok(T_UPPERID, 'P'), []),
+          ])
+        )
+      ]);
+      let errors = parser.errors();
+      expect(errors.length).equals(2);
+      expect(errors[0].startPos.line).equals(2);
+      expect(errors[1].startPos.line).equals(3);
+    });
+
+    it('Skip nested blocks of statements with errors', () => {
+      let parser = new Parser([
+        'program {',
+        '  repeat (+) {',
+        '    P()',
+        '  }',
+        '  Q()',
+        '}',
+      ].join('\n'), true);
+      expectAST(parser.parse(), [
+        new ASTDefProgram(
+          new ASTStmtBlock([
+            new ASTStmtProcedureCall(tok(T_UPPERID, 'Q'), []),
+          ])
+        )
+      ]);
+      expect(parser.errors().length).equals(1);
+    });
+
+    it('Resynchronize at the next definition if a block is not closed', () => {
+      let parser = new Parser([
+        'procedure P() {',
+        '  x := ;',
+        'program {}',
+      ].join('\n'), true);
+      expectAST(parser.parse(), [
+        new ASTDefProgram(new ASTStmtBlock([]))
+      ]);
+      let errors = parser.errors();
+      expect(errors.length).equals(3);
+      expect(errors[0].startPos.line).equals(2);
+      expect(errors[1].message).equals(
+        i18n('errmsg:expected-but-found')(
+          i18n('statement'),
+          i18n('T_PROGRAM')
+        )
+      );
+      expect(errors[2].message).equals(
+        i18n('errmsg:unmatched-opening-delimiter')('{')
+      );
+    });
+
+    it('Skip tokens with lexical errors', () => {
+      let parser = new Parser([
+        'program {',
+        '  P() %',
+        '  Q()',
+        '}',
+      ].join('\n'), true);
+      expectAST(parser.parse(), [
+        new ASTDefProgram(
+          new ASTStmtBlock([
+            new ASTStmtProcedureCall(tok(T_UPPERID, 'P'), []),
+            new ASTStmtProcedureCall(tok(T_UPPERID, 'Q'), []),
+          ])
+        )
+      ]);
+      let errors = parser.errors();
+      expect(errors.length).equals(1);
+      expect(errors[0].message).equals(i18n('errmsg:unknown-token')('%'));
+    });
+
+  });
+
   describe('LANGUAGE pragma', () => {
 
     it('Recognize LANGUAGE option DestructuringForeach', () => {
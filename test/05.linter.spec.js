@@ -3,11 +3,13 @@ import chai from 'chai';
 import { Parser } from '../src/parser';
 import { Linter } from '../src/linter';
 import { SymbolTable } from '../src/symtable';
+import { Runner } from '../src/runner';
 import { i18n, i18nPosition } from '../src/i18n';
 
 import { ASTDefType, ASTConstructorDeclaration } from '../src/ast';
 import { Token, T_UPPERID } from '../src/token';
 import { UnknownPosition } from '../src/reader';
+import { TypeInteger, TypeStructure } from '../src/value';
 
 chai.expect();
 const expect = chai.expect;
@@ -40,6 +42,45 @@ function lintEnableRecursion(code) {
   return l.lint(new Parser(code).parse());
 }
 
+function lintWarnings(code, severities) {
+  let runner = new Runner();
+  runner.enableStyleChecks(true);
+  for (let linterCheckId in severities || {}) {
+    runner.setLintCheckSeverity(linterCheckId, severities[linterCheckId]);
+  }
+  runner.parse(code);
+  runner.lint();
+  return runner.warnings.map((warning) => [warning.reason, warning.args]);
+}
+
+function lintErrors(code) {
+  let runner = new Runner();
+  runner.collectAllLintErrors(true);
+  runner.parse(code);
+  try {
+    runner.lint();
+  } catch (exception) {
+    expect(exception).equals(runner.lintErrors[0]);
+  }
+  return runner.lintErrors.map((error) => [error.reason, error.args]);
+}
+
+/* Errors reported by the static type inference stage, with types
+ * converted to strings */
+function staticTypeErrors(code) {
+  let runner = new Runner();
+  runner.collectAllLintErrors(true);
+  runner.enableStaticTypeChecking(true);
+  runner.parse(code);
+  try {
+    runner.lint();
+  } catch (exception) {
+    expect(exception).equals(runner.lintErrors[0]);
+  }
+  return runner.lintErrors.map((error) => [
+    error.reason, error.args.map((arg) => arg.toString())
+  ]);
+}
 
 function tok(tag, value) {
   return new Token(tag, value, UnknownPosition, UnknownPosition);
@@ -1917,4 +1958,534 @@ describe('Linter', () => {
 
   });
 
+  describe('Warnings', () => {
+
+    it('No warnings for a program without issues', () => {
+      let code = [
+        'program {',
+        '  x := 1',
+        '  P(x)',
+        '}',
+        'procedure P(n) {',
+        '  repeat (n) { Poner(Rojo) }',
+        '}',
+      ].join('\n');
+      expect(lintWarnings(code)).deep.equals([]);
+    });
+
+    it('Style checks are disabled by default', () => {
+      let runner = new Runner();
+      runner.parse('program { x := 1; if (True) {} }');
+      runner.lint();
+      expect(runner.warnings).deep.equals([]);
+    });
+
+    it('Statements after a return are rejected as errors', () => {
+      /* There is no statement-after-return warning: a return can only
+       * be the last statement of a function or a program */
+      let code = [
+        'function f() {',
+        '  return (1)',
+        '  Poner(Rojo)',
+        '}',
+        'program {',
+        '  if (True) { return (f()) }',
+        '  Poner(Rojo)',
+        '}',
+      ].join('\n');
+      expect(lintErrors(code)).deep.equals([
+        ['function-should-have-return', ['f']],
+        ['return-statement-not-allowed-here', []],
+        ['return-statement-not-allowed-here', []],
+      ]);
+    });
+
+    it('Warn about unused local variables and parameters', () => {
+      let code = [
+        'program {',
+        '  x := 1',
+        '  let (y, z) := (f(1, 2), 3)',
+        '  x := z',
+        '}',
+        'function f(a, b) {',
+        '  c := a',
+        '  return (a)',
+        '}',
+      ].join('\n');
+      expect(lintWarnings(code)).deep.equals([
+        ['unused-local-variable', ['x']],
+        ['unused-local-variable', ['y']],
+        ['unused-parameter', ['b']],
+        ['unused-local-variable', ['c']],
+      ]);
+    });
+
+    it('Warn about procedures and functions unreachable from program', () => {
+      let code = [
+        'program {',
+        '  P()',
+        '}',
+        'procedure P() {',
+        '  Mover(f())',
+        '}',
+        'function f() {',
+        '  return (Norte)',
+        '}',
+        'procedure Q() {',
+        '  Poner(g())',
+        '}',
+        'function g() {',
+        '  return (Rojo)',
+        '}',
+      ].join('\n');
+      expect(lintWarnings(code)).deep.equals([
+        ['unused-procedure', ['Q']],
+        ['unused-function', ['g']],
+      ]);
+    });
+
+    it('Do not warn about unused routines if there is no program', () => {
+      let code = 'procedure P() {}';
+      expect(lintWarnings(code, {
+        'source-should-have-a-program-definition': 'off',
+      })).deep.equals([]);
+    });
+
+    it('Warn about infinite loops without effects', () => {
+      let code = [
+        'program {',
+        '  while (True) { x := 1; y := x }',
+        '  while (True) { Mover(Norte) }',
+        '}',
+      ].join('\n');
+      expect(lintWarnings(code)).deep.equals([
+        ['infinite-loop-without-effect', []],
+        ['unused-local-variable', ['y']],
+      ]);
+    });
+
+    it('Warn about constant conditions in if statements', () => {
+      let code = [
+        'program {',
+        '  if (True) { Poner(Rojo) }',
+        '  elseif (False) { Poner(Azul) }',
+        '  if (puedeMover(Norte)) { Mover(Norte) }',
+        '}',
+      ].join('\n');
+      expect(lintWarnings(code)).deep.equals([
+        ['constant-if-condition', ['True']],
+        ['constant-if-condition', ['False']],
+      ]);
+    });
+
+    it('Warning checks can be turned off', () => {
+      let code = 'program { x := 1 }';
+      expect(lintWarnings(code, {
+        'unused-local-variable': 'off',
+      })).deep.equals([]);
+    });
+
+    it('Warning checks can be turned into errors', () => {
+      let code = 'program { x := 1 }';
+      expect(() => lintWarnings(code, {
+        'unused-local-variable': 'error',
+      })).throws(i18n('warning:unused-local-variable')('x'));
+    });
+
+    it('Error checks can be turned into warnings', () => {
+      let l = new Linter(new SymbolTable());
+      l.setCheckSeverity('undefined-procedure', 'warning');
+      l.lint(new Parser('program { P() }').parse());
+      expect(l.warnings().length).equals(1);
+      expect(l.warnings()[0].message).equals(
+        i18n('errmsg:undefined-procedure')('P')
+      );
+    });
+
+    it('Re-enabling a check restores its default severity', () => {
+      let l = new Linter(new SymbolTable());
+      l.enableCheck('undefined-procedure', false);
+      expect(l.checkSeverity('undefined-procedure')).equals('off');
+      l.enableCheck('undefined-procedure', true);
+      expect(l.checkSeverity('undefined-procedure')).equals('error');
+    });
+
+    it('Enabling a style check reports it as a warning', () => {
+      let l = new Linter(new SymbolTable());
+      expect(l.checkSeverity('unused-parameter')).equals('off');
+      l.enableCheck('unused-parameter', true);
+      expect(l.checkSeverity('unused-parameter')).equals('warning');
+    });
+
+    it('Reject unknown severities', () => {
+      let l = new Linter(new SymbolTable());
+      expect(() => l.setCheckSeverity('unused-parameter', 'fatal')).throws(
+        'Linter check severity "fatal" does not exist.'
+      );
+    });
+
+  });
+
+  describe('Collect all errors', () => {
+
+    it('No errors for a valid program', () => {
+      expect(lintErrors('program { Poner(Rojo) }')).deep.equals([]);
+    });
+
+    it('Collect errors in several statements', () => {
+      let code = [
+        'program {',
+        '  P()',
+        '  x := f(1)',
+        '  Mover(Norte, 1)',
+        '  if (puedeMover(Norte)) {',
+        '    Q()',
+        '  }',
+        '  return (x)',
+        '}',
+      ].join('\n');
+      expect(lintErrors(code)).deep.equals([
+        ['undefined-procedure', ['P']],
+        ['undefined-function', ['f']],
+        ['procedure-arity-mismatch', ['Mover', 1, 2]],
+        ['undefined-procedure', ['Q']],
+      ]);
+    });
+
+    it('Collect errors in several definitions', () => {
+      let code = [
+        'procedure P() {',
+        '  return (1)',
+        '}',
+        'procedure P() {',
+        '}',
+        'function f() {',
+        '  Poner(Rojo)',
+        '}',
+        'program {',
+        '  P()',
+        '  x := f()',
+        '}',
+      ].join('\n');
+      expect(lintErrors(code).map((error) => error[0])).deep.equals([
+        'procedure-already-defined',
+        'procedure-should-not-have-return',
+        'return-statement-not-allowed-here',
+        'function-should-have-return',
+      ]);
+    });
+
+    it('Lint the body of routines that lack or have a return', () => {
+      let code = [
+        'function f() {',
+        '  P()',
+        '}',
+        'procedure Q() {',
+        '  R()',
+        '  return (1)',
+        '}',
+        'program {',
+        '  Q()',
+        '}',
+      ].join('\n');
+      expect(lintErrors(code)).deep.equals([
+        ['function-should-have-return', ['f']],
+        ['undefined-procedure', ['P']],
+        ['procedure-should-not-have-return', ['Q']],
+        ['undefined-procedure', ['R']],
+        ['return-statement-not-allowed-here', []],
+      ]);
+    });
+
+    it('Local names are removed after an error in a foreach', () => {
+      let code = [
+        'program {',
+        '  foreach i in [1..3] {',
+        '    P(i)',
+        '  }',
+        '  i := 1',
+        '  Poner(i)',
+        '}',
+      ].join('\n');
+      expect(lintErrors(code)).deep.equals([
+        ['undefined-procedure', ['P']],
+      ]);
+    });
+
+  });
+
+  describe('Static type inference', () => {
+
+    it('Static type checks are off by default', () => {
+      let code = [
+        'program {',
+        '  Poner(1)',
+        '}',
+      ].join('\n');
+      expect(lintErrors(code)).deep.equals([]);
+    });
+
+    it('Accept well-typed programs', () => {
+      let code = [
+        'type Punto is record {',
+        '  field x',
+        '  field y',
+        '}',
+        'function sumar(p) {',
+        '  return (x(p) + y(p))',
+        '}',
+        'procedure PonerN(n, c) {',
+        '  repeat (n) { Poner(c) }',
+        '}',
+        'program {',
+        '  p := Punto(x <- 1, y <- 2)',
+        '  PonerN(sumar(p), Rojo)',
+        '  foreach d in [minDir()..maxDir()] {',
+        '    if (puedeMover(d)) { Mover(d) }',
+        '  }',
+        '  p := Punto(p | x <- 3)',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([]);
+    });
+
+    it('Report arguments of primitives of the wrong type', () => {
+      let code = [
+        'program {',
+        '  Poner(Norte)',
+        '  x := 1 + True',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([
+        ['static-argument-type-mismatch', ['Poner', '1', '1', 'Color', 'Dir']],
+        ['static-argument-type-mismatch', ['+', '2', '2', 'Number', 'Bool']],
+      ]);
+    });
+
+    it('Report conditions that are not booleans', () => {
+      let code = [
+        'program {',
+        '  if (1) {}',
+        '  while (nroBolitas(Rojo)) {}',
+        '  repeat (True) {}',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([
+        ['static-type-mismatch', ['Bool', 'Number']],
+        ['static-type-mismatch', ['Bool', 'Number']],
+        ['static-type-mismatch', ['Number', 'Bool']],
+      ]);
+    });
+
+    it('Report incompatible assignments to a variable', () => {
+      let code = [
+        'program {',
+        '  x := Rojo',
+        '  x := Azul',
+        '  x := 1',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([
+        ['static-incompatible-types-on-assignment', ['x', 'Color', 'Number']],
+      ]);
+    });
+
+    it('Infer the types of parameters from their uses', () => {
+      let code = [
+        'procedure PonerDos(c) {',
+        '  Poner(c)',
+        '  Poner(c)',
+        '}',
+        'program {',
+        '  PonerDos(Norte)',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([
+        ['static-argument-type-mismatch',
+         ['PonerDos', '1', '1', 'Color', 'Dir']],
+      ]);
+    });
+
+    it('Infer the result types of functions defined later', () => {
+      let code = [
+        'program {',
+        '  Mover(doble(1))',
+        '}',
+        'function doble(n) {',
+        '  return (2 * n)',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([
+        ['static-argument-type-mismatch', ['Mover', '1', '1', 'Dir', 'Number']],
+      ]);
+    });
+
+    it('Unconstrained parameters may be used polymorphically', () => {
+      let code = [
+        'function primeroDe(xs) {',
+        '  return (primero(xs))',
+        '}',
+        'program {',
+        '  Poner(primeroDe([Rojo]))',
+        '  Mover(primeroDe([Norte]))',
+        '  x := primeroDe([1, 2]) + 1',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([]);
+    });
+
+    it('Report incompatible types of fields on update', () => {
+      let code = [
+        'type Celda is record {',
+        '  field color',
+        '}',
+        'program {',
+        '  c := Celda(color <- Rojo)',
+        '  c := Celda(c | color <- Norte)',
+        '  Mover(color(c))',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([
+        ['static-incompatible-field-types',
+         ['Celda', 'color', 'Color', 'Dir']],
+        ['static-argument-type-mismatch', ['Mover', '1', '1', 'Dir', 'Color']],
+      ]);
+    });
+
+    it('Fields of different structures may be of different types', () => {
+      let code = [
+        'type P is record {',
+        '  field a',
+        '}',
+        'program {',
+        '  p := P(a <- 1)',
+        '  q := P(a <- "s")',
+        '  Mover(a(p))',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([]);
+    });
+
+    it('Report elements of lists of different types', () => {
+      let code = [
+        'program {',
+        '  xs := [1, Rojo]',
+        '  y := choose 1 when (True) "a" otherwise',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([
+        ['static-type-mismatch', ['Number', 'Color']],
+      ]);
+    });
+
+    it('Empty lists may be used as lists of different types', () => {
+      let code = [
+        'program {',
+        '  xs := []',
+        '  ys := xs ++ [1]',
+        '  zs := xs ++ [True]',
+        '  return (ys, zs)',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([]);
+      expect(new Runner().run(code).toString()).equals('([1], [True])');
+      expect(staticTypeErrors([
+        'program {',
+        '  xs := [] ++ [1]',
+        '  zs := xs ++ [True]',
+        '}',
+      ].join('\n'))).deep.equals([
+        ['static-type-mismatch', ['List(Number)', 'List(Bool)']],
+      ]);
+    });
+
+    it('Exclusive branches may assign values of different types', () => {
+      let code = [
+        'program {',
+        '  if (nroBolitas(Rojo) > 0) { x := 1 } else { x := "a" }',
+        '  x := Rojo',
+        '  switch (minDir()) {',
+        '    Norte -> { y := 1 }',
+        '    _ -> { y := "a" }',
+        '  }',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([]);
+    });
+
+    it('Report incompatible assignments in the same branch', () => {
+      let code = [
+        'program {',
+        '  x := 1',
+        '  if (nroBolitas(Rojo) > 0) { x := 2 } else { x := "a" }',
+        '  while (hayBolitas(Rojo)) {',
+        '    y := 1',
+        '    y := True',
+        '  }',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([
+        ['static-incompatible-types-on-assignment', ['x', 'Number', 'String']],
+        ['static-incompatible-types-on-assignment', ['y', 'Number', 'Bool']],
+      ]);
+    });
+
+    it('Only infer the types of parameters used in all flows', () => {
+      let code = [
+        'procedure PonerSiHay(c) {',
+        '  if (hayBolitas(Rojo)) { Poner(c) }',
+        '  repeat (nroBolitas(Rojo)) { Poner(c) }',
+        '}',
+        'procedure PonerYMover(c, d) {',
+        '  if (hayBolitas(Rojo)) { Poner(c) } else { Poner(c) }',
+        '  while (puedeMover(d)) { Mover(d) }',
+        '}',
+        'program {',
+        '  PonerSiHay(Norte)',
+        '  PonerYMover(Norte, Este)',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([
+        ['static-argument-type-mismatch',
+         ['PonerYMover', '1', '2', 'Color', 'Dir']],
+      ]);
+    });
+
+    it('Check patterns against the type of the subject', () => {
+      let code = [
+        'program {',
+        '  switch (Rojo) {',
+        '    Norte -> {}',
+        '    _ -> {}',
+        '  }',
+        '  switch ((1, 2)) {',
+        '    (a, b) -> { Poner(a) }',
+        '  }',
+        '}',
+      ].join('\n');
+      expect(staticTypeErrors(code)).deep.equals([
+        ['static-type-mismatch', ['Dir', 'Color']],
+        ['static-argument-type-mismatch',
+          ['Poner', '1', '1', 'Color', 'Number']],
+      ]);
+    });
+
+    it('Report static type errors as warnings', () => {
+      let code = [
+        'program {',
+        '  Poner(1)',
+        '}',
+      ].join('\n');
+      expect(lintWarnings(code, {
+        'static-argument-type-mismatch': 'warning',
+      })).deep.equals([
+        ['static-argument-type-mismatch', [
+          'Poner', 1, 1,
+          new TypeStructure(i18n('TYPE:Color'), {}), new TypeInteger()
+        ]],
+      ]);
+    });
+
+  });
+
 });
@@ -43,7 +43,10 @@ import {
   TypeList,
   TypeStructure,
 } from '../src/value';
-import { VirtualMachine } from '../src/vm';
+import { VirtualMachine, AbortHandle } from '../src/vm';
+import { Runner } from '../src/runner';
+import { Profiler } from '../src/profiler';
+import { Coverage } from '../src/coverage';
 import { i18n } from '../src/i18n';
 
 chai.expect();
@@ -285,6 +288,140 @@ describe('Virtual Machine', () => {
       expect(() => vm.runWithTimeout(100)).throws(i18n('errmsg:timeout')(100));
     });
 
+    it('Infinite loop should exceed the step limit', () => {
+      let vm = makeVirtualMachine([
+        new ILabel('L'),
+        new IJump('L'),
+      ]);
+      vm.setMaxSteps(1000);
+      expect(() => vm.run()).throws(
+        i18n('errmsg:step-limit-exceeded')(1000)
+      );
+    });
+
+    it('Programs within the step limit should end normally', () => {
+      let vm = makeVirtualMachine([
+        new IPushInteger(1),
+        new IPushInteger(2),
+        new IAdd(),
+        new IReturn(),
+      ]);
+      vm.setMaxSteps(4);
+      expect(vm.run()).deep.equals(new ValueInteger(3));
+      vm = makeVirtualMachine([
+        new IPushInteger(1),
+        new IPushInteger(2),
+        new IAdd(),
+        new IReturn(),
+      ]);
+      vm.setMaxSteps(3);
+      expect(() => vm.run()).throws(i18n('errmsg:step-limit-exceeded')(3));
+    });
+
+  });
+
+  describe('Asynchronous execution', () => {
+
+    function countdownProgram(n) {
+      /* Decrement a counter from n down to 0, and return it */
+      return makeVirtualMachine([
+        new IPushInteger(n),
+        new ISetVariable('n'),
+        new ILabel('loop'),
+        new IPushVariable('n'),
+        new IPushInteger(0),
+        new IPrimitiveCall('>', 2),
+        new IJumpIfFalse('end'),
+        new IPushVariable('n'),
+        new IPushInteger(-1),
+        new IAdd(),
+        new ISetVariable('n'),
+        new IJump('loop'),
+        new ILabel('end'),
+        new IPushVariable('n'),
+        new IReturn(),
+      ]);
+    }
+
+    it('Run a program asynchronously', () => {
+      let vm = countdownProgram(3);
+      return vm.runAsync(0).then((result) => {
+        expect(result).deep.equals(new ValueInteger(0));
+      });
+    });
+
+    it('Run a program in slices, reporting progress', () => {
+      let vm = countdownProgram(100);
+      let progress = [];
+      let options = {
+        'sliceSteps': 100,
+        'onProgress': (info) => progress.push(info.steps),
+      };
+      return vm.runAsync(0, options).then((result) => {
+        expect(result).deep.equals(new ValueInteger(0));
+        expect(progress.length > 5).equals(true);
+        expect(progress[0]).equals(100);
+        expect(progress[1]).equals(200);
+      });
+    });
+
+    it('Does not block the caller', () => {
+      let vm = countdownProgram(3);
+      let finished = false;
+      let promise = vm.runAsync(0).then(() => {
+        finished = true;
+      });
+      expect(finished).equals(false);
+      return promise;
+    });
+
+    it('Stop an asynchronous run with an abort handle', () => {
+      let vm = makeVirtualMachine([
+        new ILabel('L'),
+        new IJump('L'),
+      ]);
+      let abortHandle = new AbortHandle();
+      let options = {
+        'sliceSteps': 100,
+        'abortHandle': abortHandle,
+        'onProgress': (info) => {
+          if (info.steps >= 1000) {
+            abortHandle.abort();
+          }
+        },
+      };
+      return vm.runAsync(0, options).then(
+        () => { throw Error('The program should be aborted'); },
+        (exception) => {
+          expect(exception.reason).equals('execution-aborted');
+          expect(exception.message).equals(
+            i18n('errmsg:execution-aborted')
+          );
+        }
+      );
+    });
+
+    it('Asynchronous runs respect the timeout and the step limit', () => {
+      let vm = makeVirtualMachine([
+        new ILabel('L'),
+        new IJump('L'),
+      ]);
+      let timeout = vm.runAsync(50).then(
+        () => { throw Error('The program should time out'); },
+        (exception) => expect(exception.reason).equals('timeout')
+      );
+      let vm2 = makeVirtualMachine([
+        new ILabel('L'),
+        new IJump('L'),
+      ]);
+      vm2.setMaxSteps(1000);
+      let stepLimit = vm2.runAsync(0, {'sliceSteps': 30}).then(
+        () => { throw Error('The program should exceed the step limit'); },
+        (exception) => expect(exception.reason).equals('step-limit-exceeded')
+      );
+      return Promise.all([timeout, stepLimit]);
+    });
+
   });
 
   describe('Call/return', () => {
@@ -1000,5 +1137,243 @@ describe('Virtual Machine', () => {
 
   });
 
+  describe('Debugger', () => {
+
+    function makeDebuggedRunner(lines) {
+      let runner = new Runner();
+      runner.parse(lines.join('\n'));
+      runner.lint();
+      runner.compile();
+      runner.initializeVirtualMachine(new RuntimeState());
+      return runner;
+    }
+
+    function currentLine(vm) {
+      return vm.currentPosition().line;
+    }
+
+    const program = [
+      'program {',
+      '  x := 1',
+      '  P(x)',
+      '  Poner(Rojo)',
+      '}',
+      'procedure P(n) {',
+      '  Mover(Norte)',
+      '  Mover(Este)',
+      '}',
+    ];
+
+    it('Step single instructions until termination', () => {
+      let vm = makeVirtualMachine([
+        new IPushInteger(1),
+        new IPushInteger(2),
+        new IAdd(),
+        new IReturn(),
+      ]);
+      expect(vm.isFinished()).equals(false);
+      expect(vm.stepInstruction()).equals(true);
+      expect(vm.callStack()[0].instructionPointer).equals(1);
+      expect(vm.stepInstruction()).equals(true);
+      expect(vm.stepInstruction()).equals(true);
+      expect(vm.stepInstruction()).equals(false);
+      expect(vm.isFinished()).equals(true);
+      expect(vm.returnValue()).deep.equals(new ValueInteger(3));
+      expect(vm.currentPosition()).equals(null);
+      expect(vm.stepInstruction()).equals(false);
+    });
+
+    it('Step into enters routine calls', () => {
+      let vm = makeDebuggedRunner(program).virtualMachine;
+      expect(currentLine(vm)).equals(2);
+      expect(vm.stepInto()).equals(true);
+      expect(currentLine(vm)).equals(3);
+      expect(vm.stepInto()).equals(true);
+      expect(vm.callStack().length).equals(2);
+      expect(vm.callStack()[1].routineName).equals('P');
+      expect(vm.stepInto()).equals(true);
+      expect(currentLine(vm)).equals(7);
+      expect(vm.callStack()[1].localVariables()).deep.equals({
+        'n': new ValueInteger(1),
+      });
+      expect(vm.positionStack().map((p) => p.line)).deep.equals([3, 7]);
+    });
+
+    it('Step over does not pause inside routine calls', () => {
+      let vm = makeDebuggedRunner(program).virtualMachine;
+      vm.stepOver();
+      expect(currentLine(vm)).equals(3);
+      vm.stepOver();
+      expect(currentLine(vm)).equals(4);
+      expect(vm.callStack().length).equals(1);
+      expect(vm.globalState().dump().head).deep.equals([1, 1]);
+    });
+
+    it('Step out returns to the caller', () => {
+      let vm = makeDebuggedRunner(program).virtualMachine;
+      vm.stepInto();
+      vm.stepInto();
+      vm.stepInto();
+      expect(currentLine(vm)).equals(7);
+      expect(vm.stepOut()).equals(true);
+      expect(vm.callStack().length).equals(1);
+      expect(currentLine(vm)).equals(4);
+      expect(vm.callStack()[0].localVariables()).deep.equals({
+        'x': new ValueInteger(1),
+      });
+    });
+
+    it('Continue runs until termination', () => {
+      let vm = makeDebuggedRunner(program).virtualMachine;
+      vm.stepInto();
+      expect(vm.continue()).equals(false);
+      expect(vm.isFinished()).equals(true);
+      expect(vm.returnValue()).equals(null);
+      expect(vm.globalState().dump().board[1][1].r).equals(1);
+    });
+
+    it('Debugger runs take snapshots', () => {
+      let vm = makeDebuggedRunner(program).virtualMachine;
+      let snapshots = [];
+      vm.setSnapshotCallback((routineName) => snapshots.push(routineName));
+      vm.stepInto();
+      expect(snapshots).deep.equals(['program']);
+      vm.continue();
+      expect(snapshots).deep.equals(['program', 'Mover', 'Mover', 'Poner']);
+    });
+
+    it('Debugger runs are subject to the step limit', () => {
+      let runner = makeDebuggedRunner(program);
+      runner.setMaxSteps(5);
+      let vm = runner.virtualMachine;
+      expect(vm.stepInto()).equals(true);
+      expect(() => vm.continue()).throws(
+        i18n('errmsg:step-limit-exceeded')(5)
+      );
+      expect(vm.isFinished()).equals(true);
+    });
+
+    it('Debugger runs are profiled and covered', () => {
+      let runner = new Runner();
+      runner.parse({'debug.gbs': program.join('\n')});
+      runner.lint();
+      runner.compile();
+      runner.initializeVirtualMachine(new RuntimeState());
+      let profiler = new Profiler(() => 0);
+      let coverage = new Coverage();
+      runner.setProfiler(profiler);
+      runner.setCoverage(coverage);
+      let vm = runner.virtualMachine;
+      vm.stepOver();
+      vm.stepOver();
+      vm.continue();
+      expect(profiler.routineProfiles().map((p) => [p.name, p.calls]))
+        .deep.equals([['program', 1], ['P', 1]]);
+      expect(coverage.lineHits('debug.gbs')).deep.equals({
+        '1': 1, '2': 1, '3': 1, '4': 1, '6': 1, '7': 1, '8': 1,
+      });
+    });
+
+    const loop = [
+      'program {',
+      '  i := 0',
+      '  repeat(5) {',
+      '    i := i + 1',
+      '    Poner(Rojo)',
+      '  }',
+      '}',
+    ];
+
+    it('Pause at breakpoints', () => {
+      let runner = makeDebuggedRunner(program);
+      let vm = runner.virtualMachine;
+      let breakpoint = runner.addBreakpoint('(?)', 7);
+      expect(breakpoint.line).equals(7);
+      expect(vm.continue()).equals(true);
+      expect(currentLine(vm)).equals(7);
+      expect(vm.callStack().length).equals(2);
+      expect(vm.continue()).equals(false);
+    });
+
+    it('Breakpoints pause each time their line is reached', () => {
+      let runner = makeDebuggedRunner(loop);
+      let vm = runner.virtualMachine;
+      let breakpoint = runner.addBreakpoint('(?)', 5);
+      for (let i = 1; i <= 3; i++) {
+        expect(vm.continue()).equals(true);
+        expect(vm.callStack()[0].localVariables()).deep.equals({
+          'i': new ValueInteger(i),
+        });
+      }
+      runner.removeBreakpoint(breakpoint);
+      expect(vm.continue()).equals(false);
+      expect(vm.globalState().dump().board[0][0].r).equals(5);
+    });
+
+    it('Breakpoints in lines without code are moved to the next line', () => {
+      let runner = makeDebuggedRunner(program);
+      expect(runner.addBreakpoint('(?)', 5).line).equals(6);
+      expect(runner.addBreakpoint('(?)', 10)).equals(null);
+      expect(runner.addBreakpoint('other.gbs', 1)).equals(null);
+    });
+
+    it('Conditional breakpoints', () => {
+      let runner = makeDebuggedRunner(loop);
+      let vm = runner.virtualMachine;
+      runner.addBreakpoint('(?)', 5, 'i == 3 && nroBolitas(Rojo) == 2');
+      expect(vm.continue()).equals(true);
+      expect(currentLine(vm)).equals(5);
+      expect(vm.callStack()[0].localVariables()).deep.equals({
+        'i': new ValueInteger(3),
+      });
+      expect(vm.continue()).equals(false);
+    });
+
+    it('Reject invalid conditions of breakpoints', () => {
+      let runner = makeDebuggedRunner(loop);
+      expect(() => runner.addBreakpoint('(?)', 5, 'i ==')).throws();
+      expect(() => runner.addBreakpoint('(?)', 5, 'f(i)')).throws(
+        i18n('errmsg:undefined-function')('f')
+      );
+    });
+
+    it('Pause when the condition of a breakpoint is not boolean', () => {
+      let runner = makeDebuggedRunner(loop);
+      let vm = runner.virtualMachine;
+      runner.addBreakpoint('(?)', 5, 'i + 1');
+      expect(vm.continue()).equals(true);
+      expect(currentLine(vm)).equals(5);
+      expect(vm.breakpointError().message).equals(
+        i18n('errmsg:expected-value-of-type-but-got')(
+          new TypeStructure(i18n('TYPE:Bool'), {}),
+          new TypeInteger()
+        )
+      );
+      expect(vm.stepInto()).equals(true);
+      expect(vm.breakpointError()).equals(null);
+    });
+
+    it('Pause when the condition of a breakpoint fails', () => {
+      let runner = makeDebuggedRunner(loop);
+      let vm = runner.virtualMachine;
+      runner.addBreakpoint('(?)', 5, 'i div 0 == 1');
+      expect(vm.continue()).equals(true);
+      expect(vm.breakpointError().isGobstonesException).equals(true);
+      expect(vm.isFinished()).equals(false);
+    });
+
+    it('Conditions of breakpoints are not profiled', () => {
+      let runner = makeDebuggedRunner(loop);
+      let profiler = new Profiler(() => 0);
+      runner.setProfiler(profiler);
+      runner.addBreakpoint('(?)', 5, 'i == 10');
+      expect(runner.virtualMachine.continue()).equals(false);
+      expect(profiler.routineProfiles().map((p) => p.name)).deep.equals([
+        'program'
+      ]);
+    });
+
+  });
+
 
 });
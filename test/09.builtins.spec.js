@@ -5,6 +5,7 @@ import {
   typesWithOpposite,
 } from '../src/runtime';
 import { Runner } from '../src/runner';
+import { RuntimeState } from '../src/runtime';
 import { i18n } from '../src/i18n';
 
 import {
@@ -1538,6 +1539,87 @@ describe('Primitive functions, procedures and operators', () => {
 
     });
 
+    describe('Blocked cells', () => {
+
+      /* 3x3 board with the head at (0, 0) and the cell (2, 0) blocked */
+      function blockedState() {
+        let board = [];
+        for (let x = 0; x < 3; x++) {
+          let column = [];
+          for (let y = 0; y < 3; y++) {
+            column.push({'a': 0, 'n': 0, 'r': 0, 'v': 0});
+          }
+          board.push(column);
+        }
+        board[2][0].blocked = true;
+        let state = new RuntimeState();
+        state.load({'width': 3, 'height': 3, 'head': [0, 0], 'board': board});
+        return state;
+      }
+
+      function runBlocked(code) {
+        let runner = new Runner();
+        runner.runState(code, blockedState());
+        return runner;
+      }
+
+      it('Move next to a blocked cell', () => {
+        let runner = runBlocked([
+          'program {',
+          '  ' + i18n('PRIM:Move') + '(' + i18n('CONS:Dir1') + ')',
+          '}',
+        ].join('\n'));
+        expect(runner.globalState.dump().head).deep.equals([1, 0]);
+      });
+
+      it('Fail when moving to a blocked cell', () => {
+        let result = () => runBlocked([
+          'program {',
+          '  ' + i18n('PRIM:Move') + '(' + i18n('CONS:Dir1') + ')',
+          '  ' + i18n('PRIM:Move') + '(' + i18n('CONS:Dir1') + ')',
+          '}',
+        ].join('\n'));
+        expect(result).throws(
+          i18n('errmsg:cannot-move-to')(i18n('CONS:Dir1'), 'blocked')
+        );
+      });
+
+      it('Cannot move towards a blocked cell', () => {
+        let runner = runBlocked([
+          'program {',
+          '  ' + i18n('PRIM:Move') + '(' + i18n('CONS:Dir1') + ')',
+          '  return (' + i18n('PRIM:canMove') + '(' + i18n('CONS:Dir1') + '), '
+               + i18n('PRIM:canMove') + '(' + i18n('CONS:Dir0') + '))',
+          '}',
+        ].join('\n'));
+        expect(runner.result.toString()).equals(
+          '(' + i18n('CONS:False') + ', ' + i18n('CONS:True') + ')'
+        );
+      });
+
+      it('Go to the edge stops before a blocked cell', () => {
+        let runner = runBlocked([
+          'program {',
+          '  ' + i18n('PRIM:GoToEdge') + '(' + i18n('CONS:Dir1') + ')',
+          '}',
+        ].join('\n'));
+        expect(runner.globalState.dump().head).deep.equals([1, 0]);
+      });
+
+      it('Emptying the board keeps the blocked cells', () => {
+        let runner = runBlocked([
+          'program {',
+          '  ' + i18n('PRIM:PutStone') + '(' + i18n('CONS:Color0') + ')',
+          '  ' + i18n('PRIM:EmptyBoardContents') + '()',
+          '}',
+        ].join('\n'));
+        let board = runner.globalState.dump().board;
+        expect(board[0][0].a).equals(0);
+        expect(board[2][0].blocked).equals(true);
+      });
+
+    });
+
     describe('Remove stones', () => {
 
       it('RemoveStone', () => {
@@ -2076,5 +2158,345 @@ describe('Primitive functions, procedures and operators', () => {
 
   });
 
-});
+  describe('Registered primitives', () => {
+
+    let typeColor = new TypeStructure(i18n('TYPE:Color'), {});
+
+    function runnerWithPrimitives() {
+      let runner = new Runner();
+      runner.registerPrimitiveProcedure(
+        'PonerDos', [typeColor], null,
+        function (globalState, color) {
+          globalState.putStone(color.constructorName);
+          globalState.putStone(color.constructorName);
+          return null;
+        }
+      );
+      runner.registerPrimitiveFunction(
+        'doble', [new TypeInteger()],
+        function (startPos, endPos, globalState, args) {
+          if (args[0].asNumber() < 0) {
+            throw Error('negative');
+          }
+        },
+        function (globalState, n) {
+          return n.add(n);
+        }
+      );
+      return runner;
+    }
+
+    it('Call a registered procedure', () => {
+      let runner = runnerWithPrimitives();
+      runner.run([
+        'program {',
+        '  PonerDos(' + i18n('CONS:Color2') + ')',
+        '}',
+      ].join('\n'));
+      let jboard = runner.globalState.dump();
+      /* Color2 is red */
+      expect(jboard.board[jboard.head[0]][jboard.head[1]].r).equals(2);
+    });
+
+    it('Call a registered function', () => {
+      let runner = runnerWithPrimitives();
+      expect(runner.run('program { return (doble(21)) }')).deep.equals(
+        new ValueInteger(42)
+      );
+    });
+
+    it('Validate the arguments of a registered primitive', () => {
+      let runner = runnerWithPrimitives();
+      expect(() => runner.run('program { return (doble(-1)) }')).throws(
+        'negative'
+      );
+    });
+
+    it('Check the types of the arguments of a registered primitive', () => {
+      let runner = runnerWithPrimitives();
+      expect(() => runner.run('program { PonerDos(1) }')).throws(
+        i18n('errmsg:primitive-argument-type-mismatch')(
+          'PonerDos', 1, 1, typeColor, new TypeInteger()
+        )
+      );
+    });
+
+    it('Lint calls to registered primitives', () => {
+      let runner = runnerWithPrimitives();
+      expect(() => runner.run('program { PonerDos() }')).throws(
+        i18n('errmsg:procedure-arity-mismatch')('PonerDos', 1, 0)
+      );
+      expect(() => new Runner().run('program { return (doble(1)) }')).throws(
+        i18n('errmsg:undefined-function')('doble')
+      );
+    });
+
+    it('Do not allow redefining primitives', () => {
+      let runner = runnerWithPrimitives();
+      expect(() =>
+        runner.registerPrimitiveFunction('doble', [], null, () => null)
+      ).throws('doble is already a primitive.');
+      expect(() =>
+        runner.registerPrimitiveProcedure(
+          i18n('PRIM:PutStone'), [], null, () => null
+        )
+      ).throws();
+    });
+
+    it('Reject primitives whose names cannot be called', () => {
+      let runner = new Runner();
+      expect(() =>
+        runner.registerPrimitiveProcedure('poner2', [], null, () => null)
+      ).throws('Invalid procedure name: "poner2".');
+      expect(() =>
+        runner.registerPrimitiveFunction('Doble', [], null, () => null)
+      ).throws('Invalid function name: "Doble".');
+      expect(() =>
+        runner.registerPrimitiveFunction('', [], null, () => null)
+      ).throws('Invalid function name: "".');
+      expect(() =>
+        runner.registerPrimitiveFunction(
+          i18n('PRIM:numStones'), [], null, () => null
+        )
+      ).throws(i18n('PRIM:numStones') + ' is already a primitive.');
+    });
+
+  });
+
+  describe('Custom colors', () => {
 
+    function runnerWithColors() {
+      let runner = new Runner();
+      runner.setColorNames(['Rojo', 'Amarillo', 'Celeste']);
+      return runner;
+    }
+
+    /* 1x1 board with the given colors */
+    function boardState(colors) {
+      let cell = {};
+      for (let color of colors) {
+        cell[color] = 0;
+      }
+      let state = new RuntimeState();
+      state.load({
+        'width': 1, 'height': 1, 'head': [0, 0], 'colors': colors,
+        'board': [[cell]],
+      });
+      return state;
+    }
+
+    it('The colors are the constructors of the Color type', () => {
+      expect(
+        runnerWithColors().run('program { return (Amarillo) }').toString()
+      ).equals('Amarillo');
+      expect(() => runnerWithColors().run(
+        'program { return (' + i18n('CONS:Color1') + ') }'
+      )).throws(i18n('errmsg:undeclared-constructor')(i18n('CONS:Color1')));
+    });
+
+    it('Order of the colors', () => {
+      expect(runnerWithColors().run([
+        'program {',
+        '  return (' + i18n('PRIM:minColor') + '(), '
+                     + i18n('PRIM:maxColor') + '(), '
+                     + i18n('PRIM:next') + '(Celeste), '
+                     + i18n('PRIM:prev') + '(Rojo), '
+                     + 'Amarillo < Celeste)',
+        '}',
+      ].join('\n')).toString()).equals(
+        '(Rojo, Celeste, Rojo, Celeste, ' + i18n('CONS:True') + ')'
+      );
+      expect(runnerWithColors().run(
+        'program { return ([' + i18n('PRIM:minColor') + '() .. '
+                              + i18n('PRIM:maxColor') + '()]) }'
+      ).toString()).equals('[Rojo, Amarillo, Celeste]');
+    });
+
+    it('Put stones of custom colors', () => {
+      let runner = runnerWithColors();
+      let state = boardState(['Rojo', 'Amarillo', 'Celeste']);
+      runner.runState([
+        'program {',
+        '  ' + i18n('PRIM:PutStone') + '(Celeste)',
+        '  ' + i18n('PRIM:PutStone') + '(Celeste)',
+        '}',
+      ].join('\n'), state);
+      expect(runner.globalState.dump()).deep.equals({
+        'width': 1, 'height': 1, 'head': [0, 0],
+        'colors': ['Rojo', 'Amarillo', 'Celeste'],
+        'board': [[{'Rojo': 0, 'Amarillo': 0, 'Celeste': 2}]],
+      });
+    });
+
+    it('Fail when the board lacks a color', () => {
+      let runner = runnerWithColors();
+      let result = () => runner.runState([
+        'program {',
+        '  return (' + i18n('PRIM:numStones') + '(Amarillo))',
+        '}',
+      ].join('\n'), boardState(['Rojo', 'Celeste']));
+      expect(result).throws(
+        i18n('errmsg:board-has-no-color')('Amarillo')
+      );
+    });
+
+    it('The default board has the configured colors', () => {
+      let runner = runnerWithColors();
+      runner.run('program { ' + i18n('PRIM:PutStone') + '(Amarillo) }');
+      let jboard = runner.globalState.dump();
+      expect(jboard.colors).deep.equals(['Rojo', 'Amarillo', 'Celeste']);
+      expect(jboard.board[0][0]).deep.equals(
+        {'Rojo': 0, 'Amarillo': 1, 'Celeste': 0}
+      );
+    });
+
+    it('Go back to the standard colors', () => {
+      let runner = runnerWithColors();
+      runner.setColorNames(null);
+      expect(runner.run(
+        'program { return (' + i18n('PRIM:maxColor') + '()) }'
+      ).toString()).equals(i18n('CONS:Color3'));
+    });
+
+    it('Reject invalid lists of colors', () => {
+      let runner = new Runner();
+      expect(() => runner.setColorNames([])).throws(
+        'There should be at least one color.'
+      );
+      expect(() => runner.setColorNames(['rojo'])).throws(
+        'Invalid color name: "rojo".'
+      );
+      expect(() => runner.setColorNames(['Rojo', 'Rojo'])).throws(
+        'Color "Rojo" is declared twice.'
+      );
+    });
+
+    it('Reject colors that are constructors of other built-in types', () => {
+      let runner = new Runner();
+      let constructors = [
+        i18n('CONS:True'), i18n('CONS:Dir0'), i18n('CONS:INIT'),
+      ];
+      for (let constructor of constructors) {
+        expect(() => runner.setColorNames(['Rojo', constructor])).throws(
+          'Color "' + constructor + '" is a constructor of another type.'
+        );
+      }
+    });
+
+    it('Keep the configuration of the runner when setting colors', () => {
+      function configuredRunner() {
+        let runner = new Runner();
+        runner.registerPrimitiveFunction(
+          'doble', [new TypeInteger()], null, (globalState, n) => n.add(n)
+        );
+        runner.setLintCheckSeverity('unused-local-variable', 'warning');
+        runner.setMaxSteps(1000);
+        runner.setColorNames(['Rojo', 'Amarillo', 'Celeste']);
+        return runner;
+      }
+      let runner = configuredRunner();
+      expect(
+        runner.run('program { x := Rojo\n return (doble(21)) }').toString()
+      ).equals('42');
+      expect(runner.warnings.map((warning) => warning.reason)).deep.equals(
+        ['unused-local-variable']
+      );
+      expect(() => configuredRunner().run(
+        'program { while (' + i18n('CONS:True') + ') {} }'
+      )).throws(i18n('errmsg:step-limit-exceeded')(1000));
+    });
+
+  });
+
+  describe('Multiple heads', () => {
+
+    /* 3x3 board with the heads A at (0, 0), selected, and B at (2, 2) */
+    function twoHeadState() {
+      let state = new RuntimeState();
+      let jboard = state.dump();
+      jboard.width = 3;
+      jboard.height = 3;
+      jboard.board = jboard.board.slice(0, 3).map(
+        (column) => column.slice(0, 3)
+      );
+      jboard.heads = {'A': [0, 0], 'B': [2, 2]};
+      jboard.currentHead = 'A';
+      state.load(jboard);
+      return state;
+    }
+
+    function selectHead(headName) {
+      return '  ' + i18n('PRIM:SelectHead') + '("' + headName + '")';
+    }
+
+    it('Board operations act on the selected head', () => {
+      let runner = new Runner();
+      runner.runState([
+        'program {',
+        '  ' + i18n('PRIM:Move') + '(' + i18n('CONS:Dir1') + ')',
+        selectHead('B'),
+        '  ' + i18n('PRIM:Move') + '(' + i18n('CONS:Dir2') + ')',
+        '  ' + i18n('PRIM:PutStone') + '(' + i18n('CONS:Color2') + ')',
+        '}',
+      ].join('\n'), twoHeadState());
+      let jboard = runner.globalState.dump();
+      expect(jboard.heads).deep.equals({'A': [1, 0], 'B': [2, 1]});
+      expect(jboard.currentHead).equals('B');
+      expect(jboard.head).deep.equals([2, 1]);
+      expect(jboard.board[2][1].r).equals(1);
+    });
+
+    it('Each head stays within the board', () => {
+      let runner = new Runner();
+      let result = () => runner.runState([
+        'program {',
+        selectHead('B'),
+        '  ' + i18n('PRIM:Move') + '(' + i18n('CONS:Dir0') + ')',
+        '}',
+      ].join('\n'), twoHeadState());
+      expect(result).throws(
+        i18n('errmsg:cannot-move-to')(i18n('CONS:Dir0'))
+      );
+    });
+
+    it('Fail when selecting a head that the board lacks', () => {
+      expect(() => new Runner().runState(
+        'program {\n' + selectHead('C') + '\n}', twoHeadState()
+      )).throws(i18n('errmsg:board-has-no-head')('C'));
+      expect(() => new Runner().run(
+        'program {\n' + selectHead('A') + '\n}'
+      )).throws(i18n('errmsg:board-has-no-head')('A'));
+    });
+
+    it('Reject heads outside the board or on blocked cells', () => {
+      let jboard = twoHeadState().dump();
+      jboard.heads.B = [3, 2];
+      expect(() => new RuntimeState().load(jboard)).throws(
+        'Head "B" is outside the board.'
+      );
+      jboard.heads.B = [2, 2];
+      jboard.board[2][2].blocked = true;
+      expect(() => new RuntimeState().load(jboard)).throws(
+        'Head "B" is on a blocked cell.'
+      );
+      delete jboard.heads;
+      delete jboard.currentHead;
+      jboard.head = [2, 2];
+      expect(() => new RuntimeState().load(jboard)).throws(
+        'The head is on a blocked cell.'
+      );
+    });
+
+    it('Cloned states have their own heads', () => {
+      let state = twoHeadState();
+      let copy = state.clone();
+      copy.selectHead('B');
+      copy.move(i18n('CONS:Dir3'));
+      expect(state.dump().heads).deep.equals({'A': [0, 0], 'B': [2, 2]});
+      expect(state.dump().currentHead).equals('A');
+      expect(copy.dump().heads).deep.equals({'A': [0, 0], 'B': [1, 2]});
+    });
+
+  });
+
+});
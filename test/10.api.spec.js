@@ -1,6 +1,6 @@
 import chai from 'chai';
 
-import { i18n } from '../src/i18n';
+import { i18n, i18nWithLanguage } from '../src/i18n';
 import {
   ValueInteger,
   ValueString,
@@ -80,6 +80,73 @@ describe('Gobstones API', () => {
       expect(p.on.region).equals('');
     });
 
+    it('Parse a program with many errors', () => {
+      let p = API().parse('program {\n  P()\n  Q(1)\n}');
+      expect(p.reason.code).equals('undefined-procedure');
+      expect(p.errors.length).equals(2);
+      expect(p.errors[0].reason.detail).deep.equals(['P']);
+      expect(p.errors[0].on.range.start.row).equals(2);
+      expect(p.errors[1].reason.detail).deep.equals(['Q']);
+      expect(p.errors[1].on.range.start.row).equals(3);
+    });
+
+    it('Parse a program with many syntax errors', () => {
+      let p = API().parse('program {\n  x := ;\n  P(\n  y := 1 +\n}');
+      expect(p.reason.code).equals('expected-but-found');
+      expect(p.errors.length).equals(3);
+      expect(p.errors.map((e) => e.on.range.start.row)).deep.equals(
+        [2, 4, 3]
+      );
+      expect(p.errors[2].reason.code).equals('unmatched-opening-delimiter');
+    });
+
+    it('Get the partial AST of a program with syntax errors', () => {
+      let api = API();
+      let ast = api.getAst('program {\n  x := ;\n  Poner(Rojo)\n}');
+      expect(ast).deep.equals(api.getAst('program {\n  Poner(Rojo)\n}'));
+    });
+
+    it('Parse a program without warnings', () => {
+      let p = API().parse('program {}');
+      expect(p.warnings).deep.equals([]);
+    });
+
+    it('Parse a program with a warning', () => {
+      let p = API().parse('/*@LANGAUGE@AllowRecursion@*/\nprogram {}');
+      expect(p.program.alias).equals('program');
+      expect(p.warnings.length).equals(1);
+      let w = p.warnings[0];
+      expect(w.reason.code).equals('unknown-pragma');
+      expect(w.reason.detail).deep.equals(['LANGAUGE']);
+      expect(w.message).equals(i18n('warning:unknown-pragma')('LANGAUGE'));
+      expect(w.on.range.start.row).equals(1);
+      expect(w.on.range.start.column).equals(1);
+    });
+
+    it('Parse a program with linter warnings', () => {
+      let api = API();
+      expect(api.parse('program { x := 1 }').warnings).deep.equals([]);
+      api.config.setStyleChecksEnabled(true);
+      let p = api.parse('program { x := 1 }');
+      expect(p.program.alias).equals('program');
+      expect(p.warnings.map((w) => w.reason.code)).deep.equals([
+        'unused-local-variable',
+      ]);
+    });
+
+    it('Configure the severity of linter checks', () => {
+      let api = API();
+      api.config.setLintCheckSeverity('unused-local-variable', 'off');
+      api.config.setLintCheckSeverity('undefined-procedure', 'warning');
+      let p = api.parse('program { x := 1; P() }');
+      expect(p.warnings.map((w) => w.reason.code)).deep.equals([
+        'undefined-procedure',
+      ]);
+      api.config.setLintCheckSeverity('unused-local-variable', 'error');
+      p = api.parse('program { x := 1 }');
+      expect(p.reason.code).equals('unused-local-variable');
+    });
+
   });
 
   describe('Execution', () => {
@@ -93,6 +160,147 @@ describe('Gobstones API', () => {
       expect(r.reason.detail).deep.equals([100]);
     });
 
+    it('Infinitely looping program should exceed the step limit', () => {
+      let api = API();
+      api.config.setMaxSteps(500);
+      let p = api.parse('program { while (1 == 1) { Poner(Rojo) } }');
+      let r = p.program.interpret(emptyBoard(1, 1));
+      expect(r.reason.code).equals('step-limit-exceeded');
+      expect(r.reason.detail).deep.equals([500]);
+      expect(r.snapshots.length).equals(1);
+    });
+
+    it('The step limit makes the outcome deterministic', () => {
+      let api = API();
+      api.config.setMaxSteps(500);
+      let p = api.parse('program { repeat (10) { Poner(Rojo) } }');
+      let r = p.program.interpret(emptyBoard(1, 1));
+      expect(r.finalBoard.table[0][0]).deep.equals({'red': 10});
+      p = api.parse('program { repeat (1000) { Poner(Rojo) } }');
+      r = p.program.interpret(emptyBoard(1, 1));
+      expect(r.reason.code).equals('step-limit-exceeded');
+    });
+
+    it('Interpret a program asynchronously', () => {
+      let api = API();
+      let p = api.parse('program { repeat (3) { Poner(Rojo) }; return (1) }');
+      return p.program.interpretAsync(emptyBoard(1, 1)).then((r) => {
+        expect(r.finalBoard.table[0][0]).deep.equals({'red': 3});
+        expect(r.returnValue).deep.equals({type: 'Number', value: 1});
+        let r2 = p.program.interpret(emptyBoard(1, 1));
+        expect(r.snapshots.length).equals(r2.snapshots.length);
+      });
+    });
+
+    it('Stop a program interpreted asynchronously', () => {
+      let api = API();
+      api.config.setLanguage('pt');
+      let abortHandle = api.createAbortHandle();
+      let p = api.parse('program { while (1 == 1) { } }');
+      let promise = p.program.interpretAsync(emptyBoard(1, 1), {
+        abortHandle: abortHandle,
+        onProgress: () => abortHandle.abort(),
+      });
+      return promise.then((r) => {
+        expect(r.reason.code).equals('execution-aborted');
+        expect(r.message).equals(
+          i18nWithLanguage('pt', () => i18n('errmsg:execution-aborted'))
+        );
+      });
+    });
+
+    it('Use registered primitive procedures', () => {
+      let api = API();
+      api.config.registerPrimitiveProcedure(
+        'PintarCelda', [], null,
+        function (globalState) {
+          globalState.putStone(i18n('CONS:Color0'));
+          globalState.putStone(i18n('CONS:Color2'));
+          return null;
+        }
+      );
+      for (let i = 0; i < 2; i++) {
+        /* Registered primitives persist across parses */
+        let p = api.parse('program { PintarCelda(); PintarCelda() }');
+        expect(p.declarations).deep.equals([]);
+        let r = p.program.interpret(emptyBoard(1, 1));
+        expect(r.finalBoard.table[0][0]).deep.equals({blue: 2, red: 2});
+        expect(r.snapshots.length).equals(3);
+      }
+    });
+
+    it('Use registered primitive functions', () => {
+      let api = API();
+      api.config.registerPrimitiveFunction(
+        'siete', [], null, () => new ValueInteger(7)
+      );
+      let p = api.parse('program { return (siete()) }');
+      let r = p.program.interpret(emptyBoard(1, 1));
+      expect(r.returnValue).deep.equals({type: 'Number', value: 7});
+    });
+
+    it('Reject registered primitives with invalid names', () => {
+      let api = API();
+      expect(() => api.config.registerPrimitiveProcedure(
+        'pintarCelda', [], null, () => null
+      )).throws('Invalid procedure name: "pintarCelda".');
+      api.config.registerPrimitiveFunction(
+        'siete', [], null, () => new ValueInteger(7)
+      );
+      expect(() => api.config.registerPrimitiveFunction(
+        'siete', [], null, () => new ValueInteger(7)
+      )).throws('siete is already a primitive.');
+      let p = api.parse('program { return (siete()) }');
+      let r = p.program.interpret(emptyBoard(1, 1));
+      expect(r.returnValue).deep.equals({type: 'Number', value: 7});
+    });
+
+    it('Use custom colors', () => {
+      let api = API();
+      api.config.setColors(['Rojo', 'Amarillo']);
+      let board = emptyBoard(1, 1);
+      board.colors = ['Rojo', 'Amarillo'];
+      let p = api.parse(
+        'program { Poner(Amarillo); return (siguiente(Amarillo)) }'
+      );
+      let r = p.program.interpret(board);
+      expect(r.finalBoard.colors).deep.equals(['Rojo', 'Amarillo']);
+      expect(r.finalBoard.table[0][0]).deep.equals({'Amarillo': 1});
+      expect(r.returnValue.value).equals('Rojo');
+
+      /* Boards that do not declare their colors have the configured ones */
+      r = p.program.interpret(emptyBoard(1, 1));
+      expect(r.finalBoard.colors).deep.equals(['Rojo', 'Amarillo']);
+      expect(r.finalBoard.table[0][0]).deep.equals({'Amarillo': 1});
+
+      board = emptyBoard(1, 1);
+      board.colors = ['Rojo'];
+      r = p.program.interpret(board);
+      expect(r.reason.code).equals('board-has-no-color');
+      expect(r.reason.detail).deep.equals(['Amarillo']);
+
+      api.config.setColors(null);
+      p = api.parse('program { Poner(Amarillo) }');
+      expect(p.reason.code).equals('undeclared-constructor');
+    });
+
+    it('Use boards with named heads', () => {
+      let board = emptyBoard(2, 1);
+      board.heads = {'robot1': {x: 0, y: 0}, 'robot2': {x: 1, y: 0}};
+      board.currentHead = 'robot1';
+      let p = API().parse([
+        'program {',
+        '  ElegirCabezal("robot2")',
+        '  Poner(Rojo)',
+        '}',
+      ].join('\n'));
+      let r = p.program.interpret(board);
+      expect(r.finalBoard.head).deep.equals({x: 1, y: 0});
+      expect(r.finalBoard.currentHead).equals('robot2');
+      expect(r.finalBoard.table[0][1]).deep.equals({red: 1});
+      expect(r.snapshots[0].board.currentHead).equals('robot1');
+    });
+
     it('Set the internationalization language', () => {
       let api = API();
       api.config.setLanguage('en');
@@ -669,6 +877,24 @@ describe('Gobstones API', () => {
       });
     });
 
+    it('GBB to apiboard: custom colors', () => {
+      let gbb = [
+        'GBB/1.0',
+        'size 2 1',
+        'colors Rojo Amarillo',
+        'cell 1 0 Amarillo 3',
+        'head 0 0',
+      ].join('\n') + '\n';
+      let board = API().gbb.read(gbb);
+      expect(board).deep.equals({
+        width: 2, height: 1,
+        head: {x: 0, y: 0},
+        colors: ['Rojo', 'Amarillo'],
+        table: [[{}, {'Amarillo': 3}]],
+      });
+      expect(API().gbb.write(board)).equals(gbb);
+    });
+
     it('GBB to apiboard: allow Window newlines', () => {
         let board = API().gbb.read('GBB/1.0\r\nsize 1 1');
        expect(board).deep.equals({
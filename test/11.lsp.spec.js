@@ -0,0 +1,364 @@
+import chai from 'chai';
+import { EventEmitter } from 'events';
+
+import { i18n } from '../src/i18n';
+import {
+  LanguageServer, MessageDecoder, MalformedMessage, encodeMessage,
+  runLanguageServer
+} from '../src/lsp';
+
+chai.expect();
+const expect = chai.expect;
+
+const URI = 'file:///test.gbs';
+
+/* Create a language server, recording the messages that it sends */
+function server() {
+  let s = {'sent': [], 'exitCode': null};
+  s.server = new LanguageServer(
+    (message) => s.sent.push(message),
+    (code) => { s.exitCode = code; }
+  );
+  return s;
+}
+
+function openDocument(s, lines) {
+  s.server.handleMessage({
+    'jsonrpc': '2.0',
+    'method': 'textDocument/didOpen',
+    'params': {
+      'textDocument': {'uri': URI, 'text': lines.join('\n')}
+    },
+  });
+}
+
+/* Send a request and return the result of the response */
+function request(s, method, params) {
+  s.server.handleMessage({
+    'jsonrpc': '2.0', 'id': 1, 'method': method, 'params': params
+  });
+  return s.sent[s.sent.length - 1].result;
+}
+
+function requestAt(s, method, line, character) {
+  return request(s, method, {
+    'textDocument': {'uri': URI},
+    'position': {'line': line, 'character': character},
+  });
+}
+
+function lastDiagnostics(s) {
+  let notification = s.sent[s.sent.length - 1];
+  expect(notification.method).equals('textDocument/publishDiagnostics');
+  expect(notification.params.uri).equals(URI);
+  return notification.params.diagnostics;
+}
+
+function range(line1, character1, line2, character2) {
+  return {
+    'start': {'line': line1, 'character': character1},
+    'end': {'line': line2, 'character': character2},
+  };
+}
+
+describe('Language server', () => {
+
+  describe('Transport', () => {
+
+    it('Encode and decode messages', () => {
+      let message = {'jsonrpc': '2.0', 'id': 1, 'result': 'Ñandú'};
+      let encoded = encodeMessage(message);
+      expect(encoded.indexOf('Content-Length: 43\r\n\r\n')).equals(0);
+      let decoder = new MessageDecoder();
+      expect(decoder.push(encoded + encoded)).deep.equals([message, message]);
+    });
+
+    it('Decode messages split in many chunks', () => {
+      let message = {'jsonrpc': '2.0', 'method': 'exit'};
+      let encoded = encodeMessage(message);
+      let decoder = new MessageDecoder();
+      expect(decoder.push(encoded.substring(0, 10))).deep.equals([]);
+      expect(decoder.push(encoded.substring(10, 30))).deep.equals([]);
+      expect(decoder.push(encoded.substring(30))).deep.equals([message]);
+    });
+
+    it('Skip malformed frames', () => {
+      let message = {'jsonrpc': '2.0', 'method': 'exit'};
+      let decoder = new MessageDecoder();
+      let decoded = decoder.push(
+        'Content-Length: 5\r\n\r\n{bad}'
+        + 'Content-Type: foo\r\n\r\n'
+        + encodeMessage(message)
+      );
+      expect(decoded.length).equals(3);
+      expect(decoded[0] instanceof MalformedMessage).equals(true);
+      expect(decoded[1] instanceof MalformedMessage).equals(true);
+      expect(decoded[2]).deep.equals(message);
+    });
+
+    it('Keep running after receiving a malformed frame', () => {
+      let input = new EventEmitter();
+      let written = [];
+      let output = {'write': (data) => written.push(data)};
+      runLanguageServer(input, output, () => {});
+      input.emit('data', 'Content-Length: 5\r\n\r\n{bad}');
+      input.emit('data', encodeMessage(
+        {'jsonrpc': '2.0', 'id': 1, 'method': 'shutdown'}
+      ));
+      let decoder = new MessageDecoder();
+      let responses = decoder.push(written.join(''));
+      expect(responses.length).equals(2);
+      expect(responses[0].id).equals(null);
+      expect(responses[0].error.code).equals(-32700);
+      expect(responses[1]).deep.equals(
+        {'jsonrpc': '2.0', 'id': 1, 'result': null}
+      );
+    });
+
+  });
+
+  describe('Lifecycle', () => {
+
+    it('Announce capabilities on initialization', () => {
+      let s = server();
+      let result = request(s, 'initialize', {});
+      expect(result.capabilities.textDocumentSync).equals(1);
+      expect(result.capabilities.definitionProvider).equals(true);
+      expect(result.capabilities.hoverProvider).equals(true);
+      expect(result.capabilities.documentSymbolProvider).equals(true);
+    });
+
+    it('Report unknown methods', () => {
+      let s = server();
+      s.server.handleMessage({'jsonrpc': '2.0', 'id': 7, 'method': 'foo'});
+      expect(s.sent[0].id).equals(7);
+      expect(s.sent[0].error.code).equals(-32601);
+    });
+
+    it('Report internal errors without stopping', () => {
+      let s = server();
+      s.server.handleMessage(
+        {'jsonrpc': '2.0', 'id': 8, 'method': 'textDocument/hover'}
+      );
+      expect(s.sent[0].id).equals(8);
+      expect(s.sent[0].error.code).equals(-32603);
+      s.server.handleMessage(
+        {'jsonrpc': '2.0', 'method': 'textDocument/didOpen', 'params': {}}
+      );
+      expect(s.sent.length).equals(1);
+      expect(request(s, 'shutdown', {})).equals(null);
+    });
+
+    it('Exit successfully after shutdown', () => {
+      let s = server();
+      expect(request(s, 'shutdown', null)).equals(null);
+      s.server.handleMessage({'jsonrpc': '2.0', 'method': 'exit'});
+      expect(s.exitCode).equals(0);
+    });
+
+    it('Exit with an error without shutdown', () => {
+      let s = server();
+      s.server.handleMessage({'jsonrpc': '2.0', 'method': 'exit'});
+      expect(s.exitCode).equals(1);
+    });
+
+  });
+
+  describe('Diagnostics', () => {
+
+    it('Publish no diagnostics for a correct program', () => {
+      let s = server();
+      openDocument(s, ['program {', '  Poner(Rojo)', '}']);
+      expect(lastDiagnostics(s)).deep.equals([]);
+    });
+
+    it('Publish all syntax errors', () => {
+      let s = server();
+      openDocument(s, ['program {', '  x := ;', '  y := +;', '}']);
+      let diagnostics = lastDiagnostics(s);
+      expect(diagnostics.length).equals(2);
+      expect(diagnostics[0].severity).equals(1);
+      expect(diagnostics[0].code).equals('expected-but-found');
+      expect(diagnostics[0].range).deep.equals(range(1, 7, 1, 8));
+      expect(diagnostics[1].range).deep.equals(range(2, 7, 2, 8));
+    });
+
+    it('Publish linter errors and warnings', () => {
+      let s = server();
+      openDocument(s, ['program {', '  P()', '  x := 1', '}']);
+      let diagnostics = lastDiagnostics(s);
+      expect(diagnostics.length).equals(2);
+      expect(diagnostics[0].severity).equals(1);
+      expect(diagnostics[0].message).equals(
+        i18n('errmsg:undefined-procedure')('P')
+      );
+      expect(diagnostics[1].severity).equals(2);
+      expect(diagnostics[1].code).equals('unused-local-variable');
+    });
+
+    it('Allow documents without a program', () => {
+      let s = server();
+      openDocument(s, ['function f() { return (1) }']);
+      expect(lastDiagnostics(s)).deep.equals([]);
+    });
+
+    it('Update diagnostics when the document changes', () => {
+      let s = server();
+      openDocument(s, ['program {', '  P()', '}']);
+      expect(lastDiagnostics(s).length).equals(1);
+      s.server.handleMessage({
+        'jsonrpc': '2.0',
+        'method': 'textDocument/didChange',
+        'params': {
+          'textDocument': {'uri': URI, 'version': 2},
+          'contentChanges': [{'text': 'program {}'}],
+        },
+      });
+      expect(lastDiagnostics(s)).deep.equals([]);
+    });
+
+  });
+
+  describe('Navigation', () => {
+
+    let program = [
+      '/*@ATTRIBUTE@descripcion@Pone una bolita@*/',
+      'procedure PonerUna(color) {',
+      '  Poner(color)',
+      '}',
+      'function doble(n) {',
+      '  return (2 * n)',
+      '}',
+      'type Punto is record {',
+      '  field x',
+      '  field y',
+      '}',
+      'program {',
+      '  PonerUna(Rojo)',
+      '  p := Punto(x <- doble(1), y <- 2)',
+      '  return (p.x)',
+      '}',
+    ];
+
+    it('Go to the definition of a procedure', () => {
+      let s = server();
+      openDocument(s, program);
+      expect(requestAt(s, 'textDocument/definition', 12, 4)).deep.equals([
+        {'uri': URI, 'range': range(1, 10, 1, 18)}
+      ]);
+    });
+
+    it('Go to the definition of a function', () => {
+      let s = server();
+      openDocument(s, program);
+      expect(requestAt(s, 'textDocument/definition', 13, 19)).deep.equals([
+        {'uri': URI, 'range': range(4, 9, 4, 14)}
+      ]);
+    });
+
+    it('Go to the definition of a record type and its constructor', () => {
+      let s = server();
+      openDocument(s, program);
+      expect(requestAt(s, 'textDocument/definition', 13, 8)).deep.equals([
+        {'uri': URI, 'range': range(7, 5, 7, 10)},
+      ]);
+    });
+
+    it('Go to the definition of a field', () => {
+      let s = server();
+      openDocument(s, program);
+      expect(requestAt(s, 'textDocument/definition', 14, 12)).deep.equals([
+        {'uri': URI, 'range': range(8, 8, 8, 9)}
+      ]);
+    });
+
+    it('Do not go to the definition of primitives', () => {
+      let s = server();
+      openDocument(s, program);
+      expect(requestAt(s, 'textDocument/definition', 2, 3)).deep.equals([]);
+    });
+
+    it('Show parameters and attributes on hover', () => {
+      let s = server();
+      openDocument(s, program);
+      let hover = requestAt(s, 'textDocument/hover', 12, 2);
+      expect(hover.contents.kind).equals('markdown');
+      expect(hover.contents.value).equals([
+        '```gobstones',
+        'procedure PonerUna(color)',
+        '```',
+        '- `descripcion`: Pone una bolita',
+      ].join('\n'));
+      expect(hover.range).deep.equals(range(12, 2, 12, 10));
+    });
+
+    it('Show nothing on hover over a local variable', () => {
+      let s = server();
+      openDocument(s, program);
+      expect(requestAt(s, 'textDocument/hover', 14, 10)).equals(null);
+    });
+
+    it('Navigate a document with syntax errors', () => {
+      let s = server();
+      openDocument(s, [
+        'procedure P() {}',
+        'program {',
+        '  P()',
+        '  x := ',
+        '}',
+      ]);
+      expect(lastDiagnostics(s).length).equals(1);
+      expect(requestAt(s, 'textDocument/definition', 2, 2)).deep.equals([
+        {'uri': URI, 'range': range(0, 10, 0, 11)}
+      ]);
+    });
+
+    it('List document symbols', () => {
+      let s = server();
+      openDocument(s, program);
+      let symbols = request(s, 'textDocument/documentSymbol', {
+        'textDocument': {'uri': URI}
+      });
+      expect(symbols.map((symbol) => symbol.name)).deep.equals([
+        'PonerUna', 'doble', 'Punto', 'program'
+      ]);
+      expect(symbols[0].selectionRange).deep.equals(range(1, 10, 1, 18));
+      let constructor = symbols[2].children[0];
+      expect(constructor.name).equals('Punto');
+      expect(constructor.children.map((field) => field.name)).deep.equals([
+        'x', 'y'
+      ]);
+    });
+
+  });
+
+  describe('Completion', () => {
+
+    it('Complete primitives', () => {
+      let s = server();
+      openDocument(s, ['program {}']);
+      let labels = request(s, 'textDocument/completion', {
+        'textDocument': {'uri': URI},
+        'position': {'line': 0, 'character': 9},
+      }).map((item) => item.label);
+      expect(labels).to.include(i18n('PRIM:PutStone'));
+      expect(labels).to.include(i18n('PRIM:numStones'));
+      expect(labels).to.include(i18n('CONS:Color0'));
+      expect(labels).not.to.include('+');
+      expect(labels).not.to.include('_makeRange');
+    });
+
+    it('Complete procedures and functions defined in the document', () => {
+      let s = server();
+      openDocument(s, ['procedure P() {}', 'function f() { return (1) }']);
+      let labels = request(s, 'textDocument/completion', {
+        'textDocument': {'uri': URI},
+        'position': {'line': 0, 'character': 0},
+      }).map((item) => item.label);
+      expect(labels).to.include('P');
+      expect(labels).to.include('f');
+    });
+
+  });
+
+});
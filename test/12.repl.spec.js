@@ -0,0 +1,131 @@
+import chai from 'chai';
+
+import { i18n } from '../src/i18n';
+import { Repl } from '../src/repl';
+import { RuntimeState } from '../src/runtime';
+import { textFromJboard } from '../src/board_formats';
+
+chai.expect();
+const expect = chai.expect;
+
+/* Empty 3x3 board with the head at the origin */
+function emptyBoard() {
+  let state = new RuntimeState();
+  let board = [];
+  for (let x = 0; x < 3; x++) {
+    let column = [];
+    for (let y = 0; y < 3; y++) {
+      column.push({'a': 0, 'n': 0, 'r': 0, 'v': 0});
+    }
+    board.push(column);
+  }
+  state.load({'width': 3, 'height': 3, 'head': [0, 0], 'board': board});
+  return state;
+}
+
+/* Feed the given lines to the REPL and return the output of the last */
+function feed(repl, lines) {
+  let output = [];
+  for (let line of lines) {
+    output = repl.feedLine(line);
+  }
+  return output;
+}
+
+describe('REPL', () => {
+
+  it('Run statements on the current board', () => {
+    let repl = new Repl(emptyBoard());
+    feed(repl, ['Poner(Rojo)']);
+    let output = feed(repl, ['Mover(Norte); Poner(Rojo)']);
+    let jboard = repl.state.dump();
+    expect(jboard.head).deep.equals([0, 1]);
+    expect(jboard.board[0][0].r).equals(1);
+    expect(jboard.board[0][1].r).equals(1);
+    expect(output).deep.equals([textFromJboard(jboard)]);
+  });
+
+  it('Evaluate expressions', () => {
+    let repl = new Repl(emptyBoard());
+    feed(repl, ['Poner(Verde)', 'Poner(Verde)']);
+    expect(feed(repl, ['nroBolitas(Verde) * 10'])).deep.equals(['20']);
+    expect(feed(repl, ['[1..3]'])).deep.equals(['[1, 2, 3]']);
+  });
+
+  it('Keep definitions between inputs', () => {
+    let repl = new Repl(emptyBoard());
+    expect(feed(repl, ['procedure PonerN(n, c) {'])).deep.equals([]);
+    expect(repl.prompt).equals('...  ');
+    expect(feed(repl, [
+      '  repeat (n) { Poner(c) }',
+      '}',
+    ])).deep.equals(['Defined procedure PonerN.']);
+    expect(repl.prompt).equals('gbs> ');
+    feed(repl, ['function doble(x) { return (2 * x) }']);
+    feed(repl, ['PonerN(doble(2), Azul)']);
+    expect(repl.state.dump().board[0][0].a).equals(4);
+  });
+
+  it('Replace definitions with the same name', () => {
+    let repl = new Repl(emptyBoard());
+    feed(repl, ['function f() { return (1) }']);
+    feed(repl, ['function f() { return (2) }']);
+    expect(feed(repl, ['f()'])).deep.equals(['2']);
+    expect(feed(repl, [':definitions'])).deep.equals([
+      'function f() { return (2) }'
+    ]);
+  });
+
+  it('Do not change the board if a statement fails', () => {
+    let repl = new Repl(emptyBoard());
+    let output = feed(repl, ['Poner(Rojo); Mover(Sur)']);
+    expect(output.length).equals(1);
+    expect(output[0]).equals(
+      'Error: ' + i18n('errmsg:cannot-move-to')(i18n('CONS:Dir2'))
+    );
+    expect(repl.state.dump().board[0][0].r).equals(0);
+  });
+
+  it('Stop statements that do not end', () => {
+    let repl = new Repl(emptyBoard());
+    let output = feed(repl, ['Poner(Rojo); while (True) {}']);
+    expect(output.length).equals(1);
+    expect(output[0]).equals(
+      'Error: ' + i18n('errmsg:step-limit-exceeded')(1000000)
+    );
+    expect(repl.state.dump().board[0][0].r).equals(0);
+  });
+
+  it('Report syntax errors and reject invalid definitions', () => {
+    let repl = new Repl(emptyBoard());
+    expect(feed(repl, ['procedure P() { Q() }'])).deep.equals([
+      'Error: ' + i18n('errmsg:undefined-procedure')('Q')
+    ]);
+    expect(feed(repl, [':definitions'])).deep.equals([]);
+    expect(feed(repl, ['x := ']).length).equals(1);
+  });
+
+  it('Evaluate an input when an empty line is entered', () => {
+    let repl = new Repl(emptyBoard());
+    expect(feed(repl, ['if (True) {'])).deep.equals([]);
+    expect(feed(repl, [''])[0].indexOf('Error: ')).equals(0);
+    expect(repl.prompt).equals('gbs> ');
+  });
+
+  it('Reset the board and the definitions', () => {
+    let repl = new Repl(emptyBoard());
+    feed(repl, ['procedure P() { Poner(Negro) }', 'P()']);
+    expect(repl.state.dump().board[0][0].n).equals(1);
+    feed(repl, [':reset']);
+    expect(repl.state.dump().board[0][0].n).equals(0);
+    expect(feed(repl, [':definitions'])).deep.equals([]);
+  });
+
+  it('Quit', () => {
+    let repl = new Repl(emptyBoard());
+    expect(repl.finished).equals(false);
+    feed(repl, [':quit']);
+    expect(repl.finished).equals(true);
+  });
+
+});
@@ -0,0 +1,351 @@
+import chai from 'chai';
+
+import {
+  textFromJboard, diffJboards, textFromJboardDiff,
+  gbbFromJboard, gbbToJboard, apiboardFromJboard, apiboardToJboard,
+  BOARD_FORMATS,
+} from '../src/board_formats';
+
+chai.expect();
+const expect = chai.expect;
+
+function emptyCell() {
+  return {'a': 0, 'n': 0, 'r': 0, 'v': 0};
+}
+
+/* 2x2 board with some stones, and the head at (0, 0) */
+function smallBoard() {
+  return {
+    'width': 2,
+    'height': 2,
+    'head': [0, 0],
+    'board': [
+      [{'a': 0, 'n': 0, 'r': 1, 'v': 0}, {'a': 1, 'n': 2, 'r': 0, 'v': 3}],
+      [emptyCell(), emptyCell()],
+    ],
+  };
+}
+
+describe('Board formats', () => {
+
+  describe('Text rendering', () => {
+
+    it('Draw a board with box-drawing characters', () => {
+      expect(textFromJboard(smallBoard())).equals([
+        '  ┌───────┬───────┐',
+        '1 │ A1 N2 │       │',
+        '  │    V3 │       │',
+        '  ├───────┼───────┤',
+        '0 │[     ]│       │',
+        '  │[R1   ]│       │',
+        '  └───────┴───────┘',
+        '      0       1',
+      ].join('\n'));
+    });
+
+    it('Draw a board with ASCII characters', () => {
+      expect(textFromJboard(smallBoard(), {'ascii': true})).equals([
+        '  +-------+-------+',
+        '1 | A1 N2 |       |',
+        '  |    V3 |       |',
+        '  +-------+-------+',
+        '0 |[     ]|       |',
+        '  |[R1   ]|       |',
+        '  +-------+-------+',
+        '      0       1',
+      ].join('\n'));
+    });
+
+    it('Widen the cells to fit large numbers', () => {
+      let jboard = smallBoard();
+      jboard.board[1][1].a = 100;
+      jboard.head = [1, 1];
+      expect(textFromJboard(jboard, {'ascii': true})).equals([
+        '  +-----------+-----------+',
+        '1 | A1   N2   |[A100     ]|',
+        '  |      V3   |[         ]|',
+        '  +-----------+-----------+',
+        '0 |           |           |',
+        '  | R1        |           |',
+        '  +-----------+-----------+',
+        '        0           1',
+      ].join('\n'));
+    });
+
+    it('Align the labels of tall boards', () => {
+      let column = [];
+      for (let y = 0; y < 11; y++) {
+        column.push(emptyCell());
+      }
+      let jboard = {
+        'width': 1, 'height': 11, 'head': [0, 0], 'board': [column]
+      };
+      let lines = textFromJboard(jboard, {'ascii': true}).split('\n');
+      expect(lines[0]).equals('   +-------+');
+      expect(lines[1]).equals('10 |       |');
+      expect(lines[lines.length - 4]).equals(' 0 |[     ]|');
+    });
+
+    it('Color the stones with ANSI escape codes', () => {
+      let lines = textFromJboard(smallBoard(), {'colors': true}).split('\n');
+      expect(lines[1]).equals(
+        '1 │ \x1b[34mA1\x1b[0m \x1b[90mN2\x1b[0m │       │'
+      );
+      expect(lines[5]).equals(
+        '  │\x1b[1m[\x1b[0m\x1b[31mR1\x1b[0m   \x1b[1m]\x1b[0m│       │'
+      );
+    });
+
+    it('Fill the blocked cells', () => {
+      let jboard = smallBoard();
+      jboard.board[1][0].blocked = true;
+      expect(textFromJboard(jboard, {'ascii': true})).equals([
+        '  +-------+-------+',
+        '1 | A1 N2 |       |',
+        '  |    V3 |       |',
+        '  +-------+-------+',
+        '0 |[     ]| ##### |',
+        '  |[R1   ]| ##### |',
+        '  +-------+-------+',
+        '      0       1',
+      ].join('\n'));
+    });
+
+  });
+
+  describe('Board differences', () => {
+
+    it('Equal boards have no differences', () => {
+      expect(diffJboards(smallBoard(), smallBoard())).deep.equals([]);
+    });
+
+    it('Report size mismatches without comparing the cells', () => {
+      let jboard = smallBoard();
+      jboard.width = 1;
+      jboard.board.pop();
+      jboard.board[0][0].r = 5;
+      expect(diffJboards(smallBoard(), jboard)).deep.equals([
+        {'kind': 'size', 'a': [2, 2], 'b': [1, 2]},
+      ]);
+    });
+
+    it('Report head and stone differences', () => {
+      let jboard = smallBoard();
+      jboard.head = [1, 0];
+      jboard.board[0][1].n = 0;
+      jboard.board[1][1].r = 4;
+      expect(diffJboards(smallBoard(), jboard)).deep.equals([
+        {'kind': 'head', 'a': [0, 0], 'b': [1, 0]},
+        {'kind': 'stones', 'x': 0, 'y': 1, 'color': 'n', 'a': 2, 'b': 0},
+        {'kind': 'stones', 'x': 1, 'y': 1, 'color': 'r', 'a': 0, 'b': 4},
+      ]);
+    });
+
+    it('Report blocked cell differences', () => {
+      let jboard = smallBoard();
+      jboard.board[1][0].blocked = true;
+      expect(diffJboards(smallBoard(), jboard)).deep.equals([
+        {'kind': 'blocked', 'x': 1, 'y': 0, 'a': false, 'b': true},
+      ]);
+      let differences = diffJboards(smallBoard(), jboard);
+      expect(textFromJboardDiff(differences)).deep.equals([
+        'Cell (1, 0), blocked: expected no, actual yes',
+      ]);
+    });
+
+    it('Describe the differences', () => {
+      expect(textFromJboardDiff([
+        {'kind': 'size', 'a': [2, 2], 'b': [1, 2]},
+        {'kind': 'head', 'a': [0, 0], 'b': [1, 0]},
+        {'kind': 'stones', 'x': 0, 'y': 1, 'color': 'n', 'a': 2, 'b': 0},
+      ])).deep.equals([
+        'Board size: expected 2x2, actual 1x2',
+        'Head position: expected (0, 0), actual (1, 0)',
+        'Cell (0, 1), Negro stones: expected 2, actual 0',
+      ]);
+      expect(textFromJboardDiff([
+        {'kind': 'stones', 'x': 1, 'y': 0, 'color': 'v', 'a': 1, 'b': 3},
+      ], 'old', 'new')).deep.equals([
+        'Cell (1, 0), Verde stones: old 1, new 3',
+      ]);
+    });
+
+  });
+
+  describe('Blocked cells', () => {
+
+    it('Write and read blocked cells in GBB format', () => {
+      let jboard = smallBoard();
+      jboard.board[1][0].blocked = true;
+      jboard.board[1][1].blocked = true;
+      let gbb = gbbFromJboard(jboard);
+      expect(gbb.split('\n')).to.include('blocked 1 0');
+      expect(gbb.split('\n')).to.include('blocked 1 1');
+      expect(gbbToJboard(gbb)).deep.equals(jboard);
+    });
+
+    it('Reject blocked cells declared twice in GBB format', () => {
+      let gbb = 'GBB/1.0\nsize 2 2\nblocked 1 0\nblocked 1 0\nhead 0 0\n';
+      expect(() => gbbToJboard(gbb)).throws(
+        'GBB/1.0: Blocked cell cannot be declared twice.'
+      );
+    });
+
+    it('Reject blocked cells outside of the board in GBB format', () => {
+      let gbb = 'GBB/1.0\nsize 2 2\nblocked 2 0\nhead 0 0\n';
+      expect(() => gbbToJboard(gbb)).throws('GBB/1.0: Invalid cell position.');
+    });
+
+    it('Convert blocked cells to and from the API format', () => {
+      let jboard = smallBoard();
+      jboard.board[0][1].blocked = true;
+      let apiboard = apiboardFromJboard(jboard);
+      expect(apiboard.table[0][0].blocked).equals(true);
+      expect(apiboard.table[0][1].blocked).equals(undefined);
+      expect(apiboardToJboard(apiboard)).deep.equals(jboard);
+    });
+
+  });
+
+  describe('Custom colors', () => {
+
+    /* 2x1 board with two colors, and the head at (0, 0) */
+    function twoColorBoard() {
+      return {
+        'width': 2,
+        'height': 1,
+        'head': [0, 0],
+        'colors': ['Rojo', 'Rosa'],
+        'board': [[{'Rojo': 2, 'Rosa': 0}], [{'Rojo': 0, 'Rosa': 11}]],
+      };
+    }
+
+    it('Draw one line per cell for two colors', () => {
+      expect(textFromJboard(twoColorBoard(), {'ascii': true})).equals([
+        '  +-------------+-------------+',
+        '0 |[Roj2       ]|       Ros11 |',
+        '  +-------------+-------------+',
+        '         0             1',
+      ].join('\n'));
+    });
+
+    it('Convert custom colors between formats', () => {
+      let jboard = twoColorBoard();
+      let gbb = gbbFromJboard(jboard);
+      expect(gbb.split('\n')[2]).equals('colors Rojo Rosa');
+      expect(gbbToJboard(gbb)).deep.equals(jboard);
+      let apiboard = apiboardFromJboard(jboard);
+      expect(apiboard.colors).deep.equals(['Rojo', 'Rosa']);
+      expect(apiboard.table[0]).deep.equals([{'Rojo': 2}, {'Rosa': 11}]);
+      expect(apiboardToJboard(apiboard)).deep.equals(jboard);
+      let gsboard = BOARD_FORMATS['gs-weblang-cli-json-board'];
+      expect(gsboard.toJboard(gsboard.fromJboard(jboard))).deep.equals(jboard);
+    });
+
+    it('Reject misplaced color declarations in GBB format', () => {
+      expect(() => gbbToJboard(
+        'GBB/1.0\nsize 1 1\ncell 0 0 Azul 1\ncolors Rojo\n'
+      )).throws('GBB/1.0: Colors should be declared right after the size.');
+      expect(() => gbbToJboard(
+        'GBB/1.0\nsize 1 1\ncolors Rojo\ncolors Rojo\n'
+      )).throws('GBB/1.0: Colors cannot be declared twice.');
+      expect(() => gbbToJboard(
+        'GBB/1.0\nsize 1 1\ncolors Rojo\ncell 0 0 Azul 1\n'
+      )).throws();
+    });
+
+    it('Report boards with different colors', () => {
+      let differences = diffJboards(smallBoard(), {
+        'width': 2, 'height': 2, 'head': [0, 0], 'colors': ['Rojo'],
+        'board': [[{'Rojo': 0}, {'Rojo': 0}], [{'Rojo': 0}, {'Rojo': 0}]],
+      });
+      expect(differences).deep.equals([{
+        'kind': 'colors',
+        'a': ['Azul', 'Negro', 'Rojo', 'Verde'],
+        'b': ['Rojo'],
+      }]);
+      expect(textFromJboardDiff(differences)).deep.equals([
+        'Colors: expected Azul, Negro, Rojo, Verde, actual Rojo',
+      ]);
+    });
+
+  });
+
+  describe('Named heads', () => {
+
+    /* The small board with the heads A at (1, 0), selected, and B at
+     * (0, 1) */
+    function twoHeadBoard() {
+      let jboard = smallBoard();
+      jboard.head = [1, 0];
+      jboard.heads = {'A': [1, 0], 'B': [0, 1]};
+      jboard.currentHead = 'A';
+      return jboard;
+    }
+
+    it('Mark the other heads with parentheses', () => {
+      expect(textFromJboard(twoHeadBoard(), {'ascii': true})).equals([
+        '  +-------+-------+',
+        '1 |(A1 N2)|       |',
+        '  |(   V3)|       |',
+        '  +-------+-------+',
+        '0 |       |[     ]|',
+        '  | R1    |[     ]|',
+        '  +-------+-------+',
+        '      0       1',
+      ].join('\n'));
+    });
+
+    it('Write and read named heads in GBB format', () => {
+      let jboard = twoHeadBoard();
+      let gbb = gbbFromJboard(jboard).split('\n');
+      expect(gbb.slice(gbb.length - 3)).deep.equals([
+        'head A 1 0', 'head B 0 1', '',
+      ]);
+      expect(gbbToJboard(gbb.join('\n'))).deep.equals(jboard);
+    });
+
+    it('Reject repeated heads in GBB format', () => {
+      expect(() => gbbToJboard(
+        'GBB/1.0\nsize 2 2\nhead A 0 0\nhead A 1 1\n'
+      )).throws('GBB/1.0: Head "A" cannot be declared twice.');
+      expect(() => gbbToJboard(
+        'GBB/1.0\nsize 2 2\nhead A 0 0\nhead 1 1\n'
+      )).throws('GBB/1.0: Head position cannot be declared twice.');
+    });
+
+    it('Convert named heads to and from the API format', () => {
+      let jboard = twoHeadBoard();
+      let apiboard = apiboardFromJboard(jboard);
+      expect(apiboard.head).deep.equals({x: 1, y: 0});
+      expect(apiboard.heads).deep.equals({
+        'A': {x: 1, y: 0}, 'B': {x: 0, y: 1},
+      });
+      expect(apiboard.currentHead).equals('A');
+      expect(apiboardToJboard(apiboard)).deep.equals(jboard);
+      let gsboard = BOARD_FORMATS['gs-weblang-cli-json-board'];
+      expect(gsboard.toJboard(gsboard.fromJboard(jboard))).deep.equals(jboard);
+    });
+
+    it('Report differences between named heads', () => {
+      let jboard = twoHeadBoard();
+      jboard.heads = {'A': [1, 0], 'C': [0, 1]};
+      let differences = diffJboards(twoHeadBoard(), jboard);
+      expect(differences).deep.equals([
+        {'kind': 'head', 'name': 'B', 'a': [0, 1], 'b': null},
+        {'kind': 'head', 'name': 'C', 'a': null, 'b': [0, 1]},
+      ]);
+      jboard = twoHeadBoard();
+      jboard.head = [0, 1];
+      jboard.currentHead = 'B';
+      differences = differences.concat(diffJboards(twoHeadBoard(), jboard));
+      expect(textFromJboardDiff(differences)).deep.equals([
+        'Head "B" position: expected (0, 1), actual none',
+        'Head "C" position: expected none, actual (0, 1)',
+        'Current head: expected A, actual B',
+      ]);
+    });
+
+  });
+
+});
@@ -0,0 +1,101 @@
+import chai from 'chai';
+
+import { Runner } from '../src/runner';
+import { RuntimeState } from '../src/runtime';
+import { SnapshotTaker } from '../src/snapshot_taker';
+import { frameFromSnapshot, playAnimation } from '../src/animation';
+import { apiboardToJboard, textFromJboard } from '../src/board_formats';
+
+chai.expect();
+const expect = chai.expect;
+
+/* Run the given program on an empty 2x2 board and return its snapshots */
+function snapshotsOf(code) {
+  let runner = new Runner();
+  runner.parse(code);
+  runner.lint();
+  runner.compile();
+  let state = new RuntimeState();
+  let board = [];
+  for (let x = 0; x < 2; x++) {
+    board.push([
+      {'a': 0, 'n': 0, 'r': 0, 'v': 0},
+      {'a': 0, 'n': 0, 'r': 0, 'v': 0},
+    ]);
+  }
+  state.load({'width': 2, 'height': 2, 'head': [0, 0], 'board': board});
+  let snapshotTaker = new SnapshotTaker(runner);
+  runner.executeWithTimeoutTakingSnapshots(
+    state, 0, snapshotTaker.takeSnapshot.bind(snapshotTaker)
+  );
+  return snapshotTaker.snapshots();
+}
+
+/* Output stream that collects everything written to it */
+function fakeOutput(isTTY) {
+  let output = {'isTTY': isTTY, 'text': ''};
+  output.write = (text) => {
+    output.text += text;
+  };
+  return output;
+}
+
+const PROGRAM = [
+  'procedure PonerDos() { Poner(Rojo); Poner(Rojo) }',
+  'program { PonerDos(); Mover(Norte) }',
+].join('\n');
+
+describe('Animation', () => {
+
+  it('Show the step, the context and the board in each frame', () => {
+    let snapshots = snapshotsOf(PROGRAM);
+    expect(snapshots.length).equals(4);
+    let frame = frameFromSnapshot(snapshots[2], 3, 4, {'ascii': true});
+    expect(frame).equals([
+      'Step 3/4',
+      'Context: program > PonerDos-1',
+      textFromJboard(apiboardToJboard(snapshots[2].board), {'ascii': true}),
+    ].join('\n'));
+    expect(frame.indexOf('R2')).not.equals(-1);
+  });
+
+  it('Show the region if there is one', () => {
+    let snapshot = snapshotsOf(PROGRAM)[0];
+    snapshot.region = 'r1';
+    let lines = frameFromSnapshot(snapshot, 1, 1).split('\n');
+    expect(lines.slice(0, 3)).deep.equals([
+      'Step 1/1', 'Context: program', 'Region: r1',
+    ]);
+  });
+
+  it('Separate the frames with blank lines if not on a terminal', (done) => {
+    let snapshots = snapshotsOf(PROGRAM);
+    let output = fakeOutput(false);
+    playAnimation(snapshots, output, 0, {}, () => {
+      let frames = snapshots.map((snapshot, i) =>
+        frameFromSnapshot(snapshot, i + 1, snapshots.length, {}) + '\n'
+      );
+      expect(output.text).equals(frames.join('\n'));
+      done();
+    });
+  });
+
+  it('Redraw the screen for each frame on a terminal', (done) => {
+    let snapshots = snapshotsOf(PROGRAM);
+    let output = fakeOutput(true);
+    playAnimation(snapshots, output, 0, {}, () => {
+      expect(output.text.split('\x1b[H\x1b[2J').length)
+        .equals(snapshots.length + 1);
+      done();
+    });
+  });
+
+  it('End immediately if there are no snapshots', (done) => {
+    let output = fakeOutput(false);
+    playAnimation([], output, 0, {}, () => {
+      expect(output.text).equals('');
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,87 @@
+import chai from 'chai';
+
+import { GobstonesInterpreterAPI } from '../src/index';
+import {
+  svgFromJboard,
+  svgTraceFromSnapshots,
+  htmlTraceFromSnapshots,
+  isTraceFilename,
+} from '../src/trace_export';
+
+chai.expect();
+const expect = chai.expect;
+
+/* Snapshots of a program that puts two stones and moves, on a 2x2 board */
+function snapshots() {
+  let board = {
+    'width': 2, 'height': 2, 'head': {'x': 0, 'y': 0},
+    'table': [[{}, {}], [{}, {}]],
+  };
+  let program = new GobstonesInterpreterAPI().parse([
+    'procedure PonerDos() { Poner(Rojo); Poner(Rojo) }',
+    'program { PonerDos(); Mover(Norte) }',
+  ].join('\n')).program;
+  return program.interpret(board).snapshots;
+}
+
+function count(string, substring) {
+  return string.split(substring).length - 1;
+}
+
+describe('Trace export', () => {
+
+  it('Draw the stones and the head of a board', () => {
+    let svg = svgFromJboard({
+      'width': 2, 'height': 1, 'head': [1, 0],
+      'board': [
+        [{'a': 3, 'n': 0, 'r': 0, 'v': 12}],
+        [{'a': 0, 'n': 0, 'r': 0, 'v': 0}],
+      ],
+    });
+    expect(svg.indexOf('<svg ')).equals(0);
+    expect(count(svg, '<circle ')).equals(2);
+    expect(svg).to.contain('>3</text>');
+    expect(svg).to.contain('>12</text>');
+    expect(svg).to.contain('stroke-width="3"');
+  });
+
+  it('Animate one frame for each snapshot in SVG', () => {
+    let svg = svgTraceFromSnapshots(snapshots(), 100);
+    expect(count(svg, '<g ')).equals(4);
+    expect(count(svg, '<animate ')).equals(4);
+    expect(svg).to.contain('dur="400ms"');
+    expect(svg).to.contain('values="visible;hidden" keyTimes="0;0.25"');
+    expect(svg).to.contain('values="hidden;visible" keyTimes="0;0.75"');
+    expect(svg).to.contain('Context: program &gt; PonerDos-1');
+  });
+
+  it('Build a self-contained HTML player', () => {
+    let html = htmlTraceFromSnapshots(snapshots(), 250, 'A & B');
+    expect(html.indexOf('<!DOCTYPE html>')).equals(0);
+    expect(html).to.contain('<title>A &amp; B</title>');
+    expect(count(html, '<div class="frame">')).equals(4);
+    expect(html).to.contain('var DELAY = 250;');
+    expect(html).to.contain('Step 4/4');
+    expect(html).not.to.contain(' src=');
+  });
+
+  it('Reject traces without snapshots', () => {
+    expect(() => svgTraceFromSnapshots([], 100)).to.throw(Error);
+    expect(() => htmlTraceFromSnapshots([], 100)).to.throw(Error);
+  });
+
+  it('Choose the format from the file extension', () => {
+    expect(isTraceFilename('trace.svg')).equals(true);
+    expect(isTraceFilename('trace.HTML')).equals(true);
+    expect(isTraceFilename('trace.gif')).equals(false);
+    expect(isTraceFilename('trace.constructor')).equals(false);
+  });
+
+  it('Export traces through the API', () => {
+    let api = new GobstonesInterpreterAPI();
+    expect(api.trace.svg(snapshots(), 100))
+      .equals(svgTraceFromSnapshots(snapshots(), 100));
+    expect(api.trace.html(snapshots())).to.contain('var DELAY = 500;');
+  });
+
+});
@@ -0,0 +1,145 @@
+import chai from 'chai';
+
+import {
+  readTestSpecFromFile,
+  runTestCase,
+  runTestSpec,
+  textFromTestResults,
+} from '../src/exercise_tests';
+
+chai.expect();
+const expect = chai.expect;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/* 2x1 board with the head at the given column */
+function board(x, redStones) {
+  return {
+    'width': 2, 'height': 1, 'head': [x, 0],
+    'board': [
+      [{'a': 0, 'n': 0, 'r': redStones || 0, 'v': 0}],
+      [{'a': 0, 'n': 0, 'r': 0, 'v': 0}],
+    ],
+  };
+}
+
+function spec(program) {
+  return {'programFilename': 'solution.gbs', 'program': program, 'cases': []};
+}
+
+describe('Exercise tests', () => {
+
+  it('Pass when the final board is the expected one', () => {
+    let result = runTestCase(spec('program { Poner(Rojo); Mover(Este) }'), {
+      'name': 'A', 'initialBoard': board(0), 'finalBoard': board(1, 1),
+    });
+    expect(result).deep.equals({'name': 'A', 'failures': []});
+  });
+
+  it('Report the differences with the expected board', () => {
+    let result = runTestCase(spec('program { Poner(Rojo) }'), {
+      'name': 'A', 'initialBoard': board(0), 'finalBoard': board(1, 2),
+    });
+    expect(result.failures).deep.equals([
+      'Head position: expected (1, 0), actual (0, 0)',
+      'Cell (0, 0), Rojo stones: expected 2, actual 1',
+    ]);
+  });
+
+  it('Check the return value', () => {
+    let program = spec('program { return (2 + 3) }');
+    expect(runTestCase(program, {'name': 'A', 'result': '5'}).failures)
+      .deep.equals([]);
+    expect(runTestCase(program, {'name': 'A', 'result': '4'}).failures)
+      .deep.equals(['Return value: expected 4, actual 5']);
+    expect(runTestCase(spec('program {}'), {'name': 'A', 'result': '4'})
+      .failures).deep.equals([
+        'Return value: expected 4, but none was returned'
+      ]);
+  });
+
+  it('Check the expected error', () => {
+    let program = spec('program { Mover(Oeste) }');
+    expect(runTestCase(program, {
+      'name': 'A', 'initialBoard': board(0), 'error': 'cannot-move-to',
+    }).failures).deep.equals([]);
+    expect(runTestCase(program, {
+      'name': 'A', 'initialBoard': board(1), 'error': 'cannot-move-to',
+    }).failures).deep.equals([
+      'Error: expected cannot-move-to, but the program ended'
+    ]);
+    expect(runTestCase(program, {
+      'name': 'A', 'initialBoard': board(0),
+    }).failures.length).equals(1);
+  });
+
+  it('Match the message given to BOOM', () => {
+    let program = spec('program { BOOM("Sin bolitas") }');
+    expect(runTestCase(program, {'name': 'A', 'error': 'Sin bolitas'})
+      .failures).deep.equals([]);
+    expect(runTestCase(program, {'name': 'A', 'error': 'boom-called'})
+      .failures).deep.equals([]);
+  });
+
+  it('Fail the cases that exceed the step limit', () => {
+    let program = spec('program { while (True) {} }');
+    let failures = runTestCase(program, {'name': 'A'}).failures;
+    expect(failures.length).equals(1);
+    expect(failures[0]).contains('Unexpected error');
+    expect(runTestCase(program, {'name': 'A', 'error': 'step-limit-exceeded'}))
+      .deep.equals({'name': 'A', 'failures': []});
+    expect(runTestCase(
+      spec('program { repeat (10) { Poner(Rojo) } }'), {'name': 'A'},
+      {'maxSteps': 10}
+    ).failures.length).equals(1);
+  });
+
+  it('Reject ill-typed programs if requested', () => {
+    let program = spec('program { if (False) { Poner(1) } }');
+    expect(runTestCase(program, {'name': 'A'}).failures).deep.equals([]);
+    expect(
+      runTestCase(program, {'name': 'A'}, {'typeCheck': true}).failures.length
+    ).equals(1);
+  });
+
+  it('Print a report', () => {
+    let program = spec('program { return (1) }');
+    program.cases = [
+      {'name': 'Good', 'result': '1'},
+      {'name': 'Bad', 'result': '2'},
+    ];
+    expect(textFromTestResults(runTestSpec(program))).deep.equals([
+      'PASS  Good',
+      'FAIL  Bad',
+      '        Return value: expected 2, actual 1',
+      '',
+      '1 passed, 1 failed',
+    ]);
+  });
+
+  it('Read specs in YAML with paths relative to the spec', () => {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gbs-spec-'));
+    fs.writeFileSync(path.join(directory, 'solution.gbs'), 'program {}');
+    fs.writeFileSync(
+      path.join(directory, 'initial.gbb'), 'GBB/1.0\nsize 2 1\nhead 1 0\n'
+    );
+    fs.writeFileSync(path.join(directory, 'spec.yaml'), [
+      'program: solution.gbs',
+      'cases:',
+      '  - initialBoard: initial.gbb',
+      '    result: 3',
+    ].join('\n'));
+    let loaded = readTestSpecFromFile(path.join(directory, 'spec.yaml'));
+    expect(loaded.program).equals('program {}');
+    expect(loaded.cases).deep.equals([
+      {'name': 'Case 1', 'initialBoard': board(1), 'result': '3'},
+    ]);
+    for (let filename of fs.readdirSync(directory)) {
+      fs.unlinkSync(path.join(directory, filename));
+    }
+    fs.rmdirSync(directory);
+  });
+
+});
@@ -0,0 +1,211 @@
+import chai from 'chai';
+
+import {
+  seededRandom,
+  randomJboard,
+  shrinkJboard,
+  checkAgainstReference,
+  textFromCheckResult,
+} from '../src/property_check';
+import { textFromJboard } from '../src/board_formats';
+
+chai.expect();
+const expect = chai.expect;
+
+function randomBoards(numBoards, options) {
+  let random = seededRandom(42);
+  let jboards = [];
+  for (let i = 0; i < numBoards; i++) {
+    jboards.push(randomJboard(random, options));
+  }
+  return jboards;
+}
+
+function emptyCell() {
+  return {'a': 0, 'n': 0, 'r': 0, 'v': 0};
+}
+
+describe('Property checks', () => {
+
+  describe('Random boards', () => {
+
+    it('Generate the same numbers for the same seed', () => {
+      let random1 = seededRandom(7);
+      let random2 = seededRandom(7);
+      let random3 = seededRandom(8);
+      let numbers1 = [random1(), random1(), random1()];
+      expect([random2(), random2(), random2()]).deep.equals(numbers1);
+      expect([random3(), random3(), random3()]).not.deep.equals(numbers1);
+      for (let n of numbers1) {
+        expect(n >= 0 && n < 1).equals(true);
+      }
+    });
+
+    it('Respect the size ranges and the stone limits', () => {
+      let options = {
+        'minWidth': 2, 'maxWidth': 3, 'minHeight': 4, 'maxHeight': 4,
+        'stoneDensity': 1, 'maxStones': 2,
+      };
+      for (let jboard of randomBoards(20, options)) {
+        expect(jboard.width >= 2 && jboard.width <= 3).equals(true);
+        expect(jboard.height).equals(4);
+        expect(jboard.board.length).equals(jboard.width);
+        for (let column of jboard.board) {
+          expect(column.length).equals(jboard.height);
+          for (let cell of column) {
+            for (let colorId of ['a', 'n', 'r', 'v']) {
+              expect(cell[colorId] >= 1 && cell[colorId] <= 2).equals(true);
+            }
+          }
+        }
+      }
+    });
+
+    it('Generate empty boards when the density is zero', () => {
+      for (let jboard of randomBoards(5, {'stoneDensity': 0})) {
+        for (let column of jboard.board) {
+          for (let cell of column) {
+            expect(cell).deep.equals(emptyCell());
+          }
+        }
+      }
+    });
+
+    it('Place the head as requested', () => {
+      for (let jboard of randomBoards(20, {'headPosition': 'border'})) {
+        let x = jboard.head[0];
+        let y = jboard.head[1];
+        expect(x === 0 || y === 0
+            || x === jboard.width - 1 || y === jboard.height - 1).equals(true);
+      }
+      for (let jboard of randomBoards(20, {'headPosition': 'corner'})) {
+        expect([0, jboard.width - 1]).to.include(jboard.head[0]);
+        expect([0, jboard.height - 1]).to.include(jboard.head[1]);
+      }
+      for (let jboard of randomBoards(5, {'headPosition': 'origin'})) {
+        expect(jboard.head).deep.equals([0, 0]);
+      }
+      expect(() => randomBoards(1, {'headPosition': 'middle'})).to.throw();
+    });
+
+  });
+
+  describe('Shrinking', () => {
+
+    it('Remove rows, columns and stones without moving the head off', () => {
+      let jboard = {
+        'width': 2, 'height': 2, 'head': [1, 1],
+        'board': [
+          [emptyCell(), emptyCell()],
+          [emptyCell(), {'a': 0, 'n': 0, 'r': 3, 'v': 0}],
+        ],
+      };
+      let candidates = shrinkJboard(jboard);
+      expect(candidates.length).equals(4);
+      expect(candidates[0].width).equals(1);
+      expect(candidates[0].head).deep.equals([0, 1]);
+      expect(candidates[0].board[0][1].r).equals(3);
+      expect(candidates[1].height).equals(1);
+      expect(candidates[1].head).deep.equals([1, 0]);
+      expect(candidates[2].board[1][1].r).equals(0);
+      expect(candidates[3].board[1][1].r).equals(1);
+      expect(jboard.board[1][1].r).equals(3);
+    });
+
+  });
+
+  describe('Checking against a reference', () => {
+
+    it('Find no counterexample for equivalent programs', () => {
+      let check = checkAgainstReference(
+        'program { Poner(Rojo); Poner(Rojo) }',
+        'program { repeat (2) { Poner(Rojo) } }',
+        {'numTests': 20}
+      );
+      expect(check).deep.equals({'numTests': 20, 'counterexample': null});
+    });
+
+    it('Shrink the counterexample to the smallest board', () => {
+      let check = checkAgainstReference(
+        'program { Mover(Norte) }',
+        'program { if (puedeMover(Norte)) { Mover(Norte) } }',
+        {'numTests': 100, 'board': {'headPosition': 'anywhere'}}
+      );
+      expect(check.counterexample).not.equals(null);
+      expect(check.counterexample.initialBoard).deep.equals({
+        'width': 1, 'height': 1, 'head': [0, 0], 'board': [[emptyCell()]],
+      });
+      expect(check.counterexample.outcome).deep.equals({
+        'error': 'cannot-move-to'
+      });
+      expect(check.counterexample.expected.result).equals(null);
+    });
+
+    it('Programs that do not end exceed the step limit', () => {
+      let check = checkAgainstReference(
+        'program { while (True) {} }',
+        'program {}',
+        {'numTests': 1, 'maxSteps': 100}
+      );
+      expect(check.counterexample.outcome).deep.equals({
+        'error': 'step-limit-exceeded'
+      });
+    });
+
+    it('Compare the return values', () => {
+      let check = checkAgainstReference(
+        'program { return (nroBolitas(Azul)) }',
+        'program { return (nroBolitas(Azul) + nroBolitas(Negro)) }',
+        {'numTests': 50}
+      );
+      let counterexample = check.counterexample;
+      expect(counterexample.initialBoard.width).equals(1);
+      expect(counterexample.initialBoard.height).equals(1);
+      expect(counterexample.initialBoard.board[0][0]).deep.equals(
+        {'a': 0, 'n': 1, 'r': 0, 'v': 0}
+      );
+      expect(counterexample.outcome.result).equals('0');
+      expect(counterexample.expected.result).equals('1');
+    });
+
+  });
+
+  describe('Reports', () => {
+
+    it('Report that the programs agree', () => {
+      expect(textFromCheckResult({'numTests': 20, 'counterexample': null}))
+        .deep.equals(['The programs agree on 20 random boards.']);
+    });
+
+    it('Show the counterexample and the outcomes', () => {
+      let check = checkAgainstReference(
+        'program { Poner(Rojo) }', 'program { Poner(Azul) }', {'numTests': 5}
+      );
+      let initialBoard = {
+        'width': 1, 'height': 1, 'head': [0, 0], 'board': [[emptyCell()]],
+      };
+      expect(check.counterexample.initialBoard).deep.equals(initialBoard);
+      expect(textFromCheckResult(check, {'ascii': true})).deep.equals([
+        'The programs disagree on random board #1. Smallest board found:',
+        textFromJboard(initialBoard, {'ascii': true}),
+        'Program: ended',
+        'Reference: ended',
+        'Cell (0, 0), Azul stones: reference 1, program 0',
+        'Cell (0, 0), Rojo stones: reference 0, program 1',
+      ]);
+    });
+
+    it('Show the errors of the programs', () => {
+      let check = checkAgainstReference(
+        'program { Mover(Norte) }', 'program { return (1) }',
+        {'numTests': 5}
+      );
+      expect(textFromCheckResult(check).slice(2)).deep.equals([
+        'Program: failed with cannot-move-to',
+        'Reference: ended returning 1',
+      ]);
+    });
+
+  });
+
+});
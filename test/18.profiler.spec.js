@@ -0,0 +1,128 @@
+import chai from 'chai';
+
+import { Runner } from '../src/runner';
+import { RuntimeState } from '../src/runtime';
+import { Profiler, textFromProfile } from '../src/profiler';
+
+chai.expect();
+const expect = chai.expect;
+
+/* Clock that advances one millisecond each time it is read */
+function fakeClock() {
+  let time = 0;
+  return () => time++;
+}
+
+function profile(code) {
+  let profiler = new Profiler(fakeClock());
+  let runner = new Runner();
+  runner.setProfiler(profiler);
+  try {
+    runner.runState(code, new RuntimeState());
+  } catch (exception) {
+    if (exception.isGobstonesException === undefined) {
+      throw exception;
+    }
+  }
+  return profiler;
+}
+
+function routineProfile(profiler, name) {
+  return profiler.routineProfiles().filter((p) => p.name === name)[0];
+}
+
+const PROGRAM = [
+  'procedure PonerN(n, c) { repeat (n) { Poner(c) } }',
+  'procedure PonerDos() { PonerN(1, Rojo); PonerN(1, Verde) }',
+  'program { PonerDos(); PonerN(3, Azul); Mover(Norte) }',
+].join('\n');
+
+describe('Profiler', () => {
+
+  it('Count the calls and instructions of each routine', () => {
+    let profiler = profile(PROGRAM);
+    expect(routineProfile(profiler, 'program').calls).equals(1);
+    expect(routineProfile(profiler, 'PonerDos').calls).equals(1);
+    expect(routineProfile(profiler, 'PonerN').calls).equals(3);
+    let numInstructions = 0;
+    for (let p of profiler.routineProfiles()) {
+      expect(p.instructions > 0).equals(true);
+      numInstructions += p.instructions;
+    }
+    let folded = profiler.foldedStacks();
+    expect(folded.map((line) => line.split(' ')[0])).deep.equals([
+      'program',
+      'program;PonerDos',
+      'program;PonerDos;PonerN',
+      'program;PonerN',
+    ]);
+    let foldedTotal = 0;
+    for (let line of folded) {
+      foldedTotal += parseInt(line.split(' ')[1], 10);
+    }
+    expect(foldedTotal).equals(numInstructions);
+  });
+
+  it('Count the calls to each primitive', () => {
+    let counts = profile(PROGRAM).primitiveCounts();
+    expect(counts.filter((c) => c.name === 'Poner')).deep.equals([
+      {'name': 'Poner', 'calls': 5}
+    ]);
+    expect(counts.filter((c) => c.name === 'Mover')).deep.equals([
+      {'name': 'Mover', 'calls': 1}
+    ]);
+    for (let count of counts) {
+      expect(count.name[0]).not.equals('_');
+    }
+  });
+
+  it('Measure self and total time', () => {
+    let profiler = profile(PROGRAM);
+    let program = routineProfile(profiler, 'program');
+    let ponerDos = routineProfile(profiler, 'PonerDos');
+    let ponerN = routineProfile(profiler, 'PonerN');
+    expect(profiler.routineProfiles()[0]).equals(program);
+    /* The self times add up to the total time of the program */
+    expect(program.selfTime + ponerDos.selfTime + ponerN.selfTime)
+      .equals(program.totalTime);
+    expect(ponerDos.totalTime > ponerDos.selfTime).equals(true);
+    expect(program.totalTime > ponerDos.totalTime).equals(true);
+    expect(ponerN.totalTime).equals(ponerN.selfTime);
+  });
+
+  it('Count the time of recursive calls once', () => {
+    let profiler = profile([
+      '/*@LANGUAGE@AllowRecursion@*/',
+      'function f(n) { return (choose 0 when (n == 0) f(n - 1) otherwise) }',
+      'program { return (f(3)) }',
+    ].join('\n'));
+    let f = routineProfile(profiler, 'f');
+    expect(f.calls).equals(4);
+    expect(f.totalTime < routineProfile(profiler, 'program').totalTime)
+      .equals(true);
+    expect(f.totalTime).equals(f.selfTime);
+  });
+
+  it('Leave the routines when the program fails', () => {
+    let profiler = profile([
+      'procedure P() { Mover(Sur) }',
+      'program { P() }',
+    ].join('\n'));
+    expect(routineProfile(profiler, 'P').calls).equals(1);
+    expect(routineProfile(profiler, 'P').totalTime > 0).equals(true);
+  });
+
+  it('Print a table', () => {
+    let lines = textFromProfile(profile('program { Poner(Rojo) }'));
+    expect(lines[0]).equals(
+      'Routine  Calls  Instructions  Self (ms)  Total (ms)'
+    );
+    expect(lines[1].split(/ +/).slice(0, 2)).deep.equals(['program', '1']);
+    expect(lines.slice(2)).deep.equals([
+      '',
+      'Primitive  Calls',
+      'Poner          1',
+    ]);
+  });
+
+});
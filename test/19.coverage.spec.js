@@ -0,0 +1,181 @@
+import chai from 'chai';
+
+import { Runner } from '../src/runner';
+import { RuntimeState } from '../src/runtime';
+import { Coverage } from '../src/coverage';
+
+chai.expect();
+const expect = chai.expect;
+
+const FILENAME = 'program.gbs';
+
+function runWithCoverage(coverage, code, jboard) {
+  let initialState = new RuntimeState();
+  if (jboard !== undefined) {
+    initialState.load(jboard);
+  }
+  let inputs = {};
+  inputs[FILENAME] = code;
+  let runner = new Runner();
+  runner.setCoverage(coverage);
+  runner.runState(inputs, initialState);
+}
+
+function cover(code, jboard) {
+  let coverage = new Coverage();
+  runWithCoverage(coverage, code, jboard);
+  return coverage;
+}
+
+function boardWithRedStones(n) {
+  return {
+    'width': 1, 'height': 1, 'head': [0, 0],
+    'board': [[{'a': 0, 'n': 0, 'r': n, 'v': 0}]],
+  };
+}
+
+const IF_PROGRAM = [
+  'program {',
+  '  if (nroBolitas(Rojo) > 0) {',
+  '    Poner(Azul)',
+  '  } elseif (nroBolitas(Azul) > 0) {',
+  '    Poner(Verde)',
+  '  } else {',
+  '    Poner(Negro)',
+  '  }',
+  '}',
+].join('\n');
+
+describe('Coverage', () => {
+
+  it('Counts executed and non-executed lines', () => {
+    let lineHits = cover(IF_PROGRAM).lineHits(FILENAME);
+    expect(lineHits[1]).equals(1);
+    expect(lineHits[2]).equals(1);
+    expect(lineHits[3]).equals(0);
+    expect(lineHits[4]).equals(1);
+    expect(lineHits[5]).equals(0);
+    expect(lineHits[7]).equals(1);
+    expect(6 in lineHits).equals(false);
+    expect(8 in lineHits).equals(false);
+  });
+
+  it('Counts loop bodies once per iteration', () => {
+    let lineHits = cover([
+      'program {',
+      '  repeat (3) {',
+      '    Poner(Rojo)',
+      '  }',
+      '}',
+    ].join('\n')).lineHits(FILENAME);
+    expect(lineHits[3]).equals(3);
+  });
+
+  it('Counts the outcomes of if/elseif branches', () => {
+    let coverage = cover(IF_PROGRAM);
+    expect(coverage.branches(FILENAME)).deep.equals([
+      {'line': 2, 'taken': 1, 'notTaken': 0},
+      {'line': 4, 'taken': 1, 'notTaken': 0},
+    ]);
+    expect(coverage.summary(FILENAME)).deep.equals({
+      'linesFound': 6, 'linesHit': 4, 'branchesFound': 4, 'branchesHit': 2,
+    });
+  });
+
+  it('Counts the outcomes of switch and choose branches', () => {
+    let coverage = cover([
+      'function f(x) {',
+      '  return (choose 1 when (x > 2)',
+      '                 2 otherwise)',
+      '}',
+      'program {',
+      '  switch (Norte) {',
+      '    Norte -> { Poner(Rojo) }',
+      '    _ -> { Poner(Azul) }',
+      '  }',
+      '  return (f(3))',
+      '}',
+    ].join('\n'));
+    expect(coverage.branches(FILENAME)).deep.equals([
+      {'line': 2, 'taken': 0, 'notTaken': 1},
+      {'line': 7, 'taken': 1, 'notTaken': 0},
+    ]);
+    let lineHits = coverage.lineHits(FILENAME);
+    expect(lineHits[3]).equals(0);
+    expect(lineHits[8]).equals(0);
+  });
+
+  it('Accumulates the coverage of many runs', () => {
+    let coverage = new Coverage();
+    runWithCoverage(coverage, IF_PROGRAM, boardWithRedStones(0));
+    runWithCoverage(coverage, IF_PROGRAM, boardWithRedStones(2));
+    expect(coverage.branches(FILENAME)).deep.equals([
+      {'line': 2, 'taken': 1, 'notTaken': 1},
+      {'line': 4, 'taken': 1, 'notTaken': 0},
+    ]);
+    let lineHits = coverage.lineHits(FILENAME);
+    expect(lineHits[2]).equals(2);
+    expect(lineHits[3]).equals(1);
+    expect(lineHits[7]).equals(1);
+    expect(coverage.summary(FILENAME).linesHit).equals(5);
+  });
+
+  it('Reports the coverage in LCOV format', () => {
+    let coverage = cover(IF_PROGRAM);
+    expect(coverage.lcov()).equals([
+      'TN:',
+      'SF:' + FILENAME,
+      'BRDA:2,0,0,1',
+      'BRDA:2,0,1,0',
+      'BRDA:4,0,0,1',
+      'BRDA:4,0,1,0',
+      'BRF:4',
+      'BRH:2',
+      'DA:1,1',
+      'DA:2,1',
+      'DA:3,0',
+      'DA:4,1',
+      'DA:5,0',
+      'DA:7,1',
+      'LF:6',
+      'LH:4',
+      'end_of_record',
+      '',
+    ].join('\n'));
+  });
+
+  it('Marks never executed branches in LCOV format', () => {
+    let coverage = new Coverage();
+    let runner = new Runner();
+    runner.setCoverage(coverage);
+    let inputs = {};
+    inputs[FILENAME] = IF_PROGRAM;
+    runner.parse(inputs);
+    runner.lint();
+    runner.compile();
+    runner.initializeVirtualMachine(new RuntimeState());
+    let lcov = coverage.lcov().split('\n');
+    expect(lcov).to.include('BRDA:2,0,0,-');
+    expect(lcov).to.include('BRDA:4,0,1,-');
+    expect(lcov).to.include('BRH:0');
+    expect(lcov).to.include('LH:0');
+  });
+
+  it('Annotates the source code with its coverage', () => {
+    let listing = cover(IF_PROGRAM).annotatedListing(FILENAME, IF_PROGRAM);
+    expect(listing).deep.equals([
+      '        1       1: program {',
+      '        1   1/2 2:   if (nroBolitas(Rojo) > 0) {',
+      '    #####       3:     Poner(Azul)',
+      '        1   1/2 4:   } elseif (nroBolitas(Azul) > 0) {',
+      '    #####       5:     Poner(Verde)',
+      '        -       6:   } else {',
+      '        1       7:     Poner(Negro)',
+      '        -       8:   }',
+      '        -       9: }',
+      '',
+      'Lines: 4/6, branches: 2/4',
+    ]);
+  });
+
+});
@@ -0,0 +1,175 @@
+import chai from 'chai';
+import fs from 'fs';
+import path from 'path';
+
+import { handleWorkerRequest } from '../src/worker_protocol';
+import { runInWorker } from '../src/worker_host';
+
+chai.expect();
+const expect = chai.expect;
+
+function emptyBoard(width, height) {
+  let table = [];
+  for (let y = 0; y < height; y++) {
+    let row = [];
+    for (let x = 0; x < width; x++) {
+      row.push({});
+    }
+    table.push(row);
+  }
+  return {width: width, height: height, head: {x: 0, y: 0}, table: table};
+}
+
+function responsesFor(request) {
+  let responses = [];
+  handleWorkerRequest(request, (response) => responses.push(response));
+  return responses;
+}
+
+describe('Worker', () => {
+
+  describe('Message protocol', () => {
+
+    it('Parse and run a program', () => {
+      let responses = responsesFor({
+        id: 1,
+        sourceCode: 'program { Poner(Rojo); return (2) }',
+        board: emptyBoard(1, 1),
+      });
+      expect(responses.map((r) => r.type)).deep.equals(
+        ['parsed', 'result', 'done']
+      );
+      expect(responses.every((r) => r.id === 1)).equals(true);
+      expect(responses[0].program).equals('program');
+      expect(responses[1].finalBoard.table[0][0]).deep.equals({red: 1});
+      expect(responses[1].snapshots.length > 1).equals(true);
+      expect(responses[1].returnValue).deep.equals(
+        {type: 'Number', value: 2}
+      );
+    });
+
+    it('Only parse if no board is given', () => {
+      let responses = responsesFor({
+        id: 2,
+        sourceCode: 'procedure P() {} program { P() }',
+      });
+      expect(responses.map((r) => r.type)).deep.equals(['parsed', 'done']);
+      expect(responses[0].declarations).deep.equals([
+        {alias: 'procedureDeclaration', name: 'P'}
+      ]);
+    });
+
+    it('Report parse errors', () => {
+      let responses = responsesFor({
+        id: 3,
+        sourceCode: 'program { P() }',
+        board: emptyBoard(1, 1),
+      });
+      expect(responses.map((r) => r.type)).deep.equals(
+        ['parse-error', 'done']
+      );
+      expect(responses[0].error.reason.code).equals('undefined-procedure');
+      expect(responses[0].error.errors.length).equals(1);
+    });
+
+    it('Report execution errors with their snapshots', () => {
+      let responses = responsesFor({
+        id: 4,
+        sourceCode: 'program { Poner(Rojo); Mover(Sur) }',
+        board: emptyBoard(1, 1),
+      });
+      expect(responses.map((r) => r.type)).deep.equals(
+        ['parsed', 'execution-error', 'done']
+      );
+      expect(responses[1].error.reason.code).equals('cannot-move-to');
+      expect(responses[1].error.snapshots.length).equals(2);
+    });
+
+    it('Apply the configuration', () => {
+      let responses = responsesFor({
+        id: 5,
+        sourceCode: 'program { while (1 == 1) {} }',
+        board: emptyBoard(1, 1),
+        config: {language: 'pt', maxSteps: 100},
+      });
+      expect(responses[1].error.reason.code).equals('step-limit-exceeded');
+      expect(responses[1].error.message).contains('100 passos');
+    });
+
+    it('Report unexpected failures', () => {
+      let responses = responsesFor({
+        id: 6,
+        sourceCode: 'program {}',
+        config: {language: 'xx'},
+      });
+      expect(responses.map((r) => r.type)).deep.equals(['crash', 'done']);
+      expect(responses[0].message).contains('xx');
+    });
+
+  });
+
+  describe('Worker threads', function () {
+
+    this.timeout(60000);
+
+    const options = {
+      workerModule: path.join(__dirname, '..', 'src', 'worker.js'),
+      execArgv: ['-r', 'babel-core/register'],
+    };
+
+    it('Run a program in a worker thread', () =>
+      runInWorker({
+        id: 1,
+        sourceCode: 'program { Poner(Azul) }',
+        board: emptyBoard(1, 1),
+      }, options).then((responses) => {
+        expect(responses.map((r) => r.type)).deep.equals(['parsed', 'result']);
+        expect(responses[1].finalBoard.table[0][0]).deep.equals({blue: 1});
+      })
+    );
+
+    it('Kill a worker running for too long', () =>
+      runInWorker({
+        id: 2,
+        sourceCode: 'program { while (1 == 1) {} }',
+        board: emptyBoard(1, 1),
+        config: {infiniteLoopTimeout: 0},
+      }, Object.assign({killAfter: 3000}, options)).then((responses) => {
+        expect(responses.map((r) => r.type)).deep.equals(['parsed', 'killed']);
+        expect(responses[1]).deep.equals(
+          {id: 2, type: 'killed', millisecs: 3000}
+        );
+      })
+    );
+
+  });
+
+  /* The packaged host and worker are built by 'npm test' */
+  describe('Packaged worker host', function () {
+
+    this.timeout(60000);
+
+    const HOST_MODULE = path.join(
+      __dirname, '..', 'lib', 'gobstones-worker-host.js'
+    );
+
+    before(function () {
+      if (!fs.existsSync(HOST_MODULE)) {
+        this.skip();
+      }
+    });
+
+    it('Run a program in the packaged worker', () =>
+      require(HOST_MODULE).runInWorker({
+        id: 1,
+        sourceCode: 'program { Poner(Rojo) }',
+        board: emptyBoard(1, 1),
+      }, {execArgv: []}).then((responses) => {
+        expect(responses.map((r) => r.type)).deep.equals(['parsed', 'result']);
+        expect(responses[1].finalBoard.table[0][0]).deep.equals({red: 1});
+      })
+    );
+
+  });
+
+});
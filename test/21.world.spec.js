@@ -0,0 +1,218 @@
+import chai from 'chai';
+
+import { Runner } from '../src/runner';
+import { RuntimeState } from '../src/runtime';
+import { SnapshotTaker } from '../src/snapshot_taker';
+import { World, BoardWorld } from '../src/world';
+import { i18n } from '../src/i18n';
+import { ValueInteger, TypeInteger } from '../src/value';
+
+chai.expect();
+const expect = chai.expect;
+
+/* Deltas for the headings of the turtle, counterclockwise from east */
+const HEADINGS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+class TurtleState {
+
+  constructor() {
+    this.x = 0;
+    this.y = 0;
+    this.heading = 0;
+    this.trail = [[0, 0]];
+  }
+
+  clone() {
+    let state = new TurtleState();
+    state.load(this.dump());
+    return state;
+  }
+
+  dump() {
+    return {
+      'x': this.x,
+      'y': this.y,
+      'heading': this.heading,
+      'trail': this.trail.map((point) => point.slice()),
+    };
+  }
+
+  load(data) {
+    this.x = data.x;
+    this.y = data.y;
+    this.heading = data.heading;
+    this.trail = data.trail.map((point) => point.slice());
+  }
+
+  forward(distance) {
+    this.x += HEADINGS[this.heading][0] * distance;
+    this.y += HEADINGS[this.heading][1] * distance;
+    this.trail.push([this.x, this.y]);
+  }
+
+  turnLeft() {
+    this.heading = (this.heading + 1) % HEADINGS.length;
+  }
+
+}
+
+class TurtleWorld extends World {
+
+  newState() {
+    return new TurtleState();
+  }
+
+  registerPrimitives(runner) {
+    runner.registerPrimitiveProcedure(
+      'Avanzar', [new TypeInteger()],
+      function (startPos, endPos, state, args) {
+        if (args[0].asNumber() < 0) {
+          throw Error('The distance cannot be negative.');
+        }
+      },
+      function (state, distance) {
+        state.forward(distance.asNumber());
+        return null;
+      }
+    );
+    runner.registerPrimitiveProcedure(
+      'Girar', [], null,
+      function (state) {
+        state.turnLeft();
+        return null;
+      }
+    );
+    runner.registerPrimitiveFunction(
+      'posX', [], null,
+      (state) => new ValueInteger(state.x)
+    );
+  }
+
+  snapshotFromState(state) {
+    return {'x': state.x, 'y': state.y};
+  }
+
+}
+
+const SQUARE = [
+  'program {',
+  '  repeat (4) {',
+  '    Avanzar(2)',
+  '    Girar()',
+  '  }',
+  '}',
+].join('\n');
+
+describe('Worlds', () => {
+
+  it('The board is the default world', () => {
+    let runner = new Runner();
+    expect(runner.world instanceof BoardWorld).equals(true);
+    runner.run('program { ' + i18n('PRIM:PutStone') + '(Rojo) }');
+    expect(runner.globalState instanceof RuntimeState).equals(true);
+  });
+
+  it('Run a program in a custom world', () => {
+    let runner = new Runner(new TurtleWorld());
+    runner.run(SQUARE);
+    expect(runner.globalState.dump()).deep.equals({
+      'x': 0, 'y': 0, 'heading': 0,
+      'trail': [[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]],
+    });
+  });
+
+  it('Run a program in a given state of a custom world', () => {
+    let world = new TurtleWorld();
+    let initialState = world.newState();
+    initialState.load({'x': 5, 'y': 5, 'heading': 1, 'trail': [[5, 5]]});
+    let runner = new Runner(world);
+    let result = runner.runState(
+      'program { Avanzar(1); return (posX()) }', initialState
+    );
+    expect(result.result).deep.equals(new ValueInteger(5));
+    expect(result.state.dump().y).equals(6);
+  });
+
+  it('Functions do not change the state of a custom world', () => {
+    let runner = new Runner(new TurtleWorld());
+    let result = runner.run([
+      'function posXDespuesDeAvanzar(n) {',
+      '  Avanzar(n)',
+      '  return (posX())',
+      '}',
+      'program {',
+      '  return (posXDespuesDeAvanzar(3), posX())',
+      '}',
+    ].join('\n'));
+    expect(result.toString()).equals('(3, 0)');
+  });
+
+  it('Validate the arguments of the primitives of a custom world', () => {
+    let runner = new Runner(new TurtleWorld());
+    expect(() => runner.run('program { Avanzar(-1) }')).throws(
+      'The distance cannot be negative.'
+    );
+  });
+
+  it('Board primitives are not available in other worlds', () => {
+    let runner = new Runner(new TurtleWorld());
+    expect(() =>
+      runner.run('program { ' + i18n('PRIM:PutStone') + '(Rojo) }')
+    ).throws(
+      i18n('errmsg:undefined-procedure')(i18n('PRIM:PutStone'))
+    );
+    runner = new Runner(new TurtleWorld());
+    expect(() =>
+      runner.run('program { return (' + i18n('PRIM:numStones') + '(Rojo)) }')
+    ).throws(
+      i18n('errmsg:undefined-function')(i18n('PRIM:numStones'))
+    );
+  });
+
+  it('The primitives of the world survive reinitializing the runner', () => {
+    let runner = new Runner(new TurtleWorld());
+    runner.initialize();
+    runner.run(SQUARE);
+    expect(runner.globalState.trail.length).equals(5);
+  });
+
+  it('Snapshots record the state as given by the world', () => {
+    let runner = new Runner(new TurtleWorld());
+    let snapshotTaker = new SnapshotTaker(runner);
+    runner.parse('program { Avanzar(1); Girar(); Avanzar(2) }');
+    runner.lint();
+    runner.compile();
+    runner.executeWithTimeoutTakingSnapshots(
+      new TurtleState(), 0, snapshotTaker.takeSnapshot.bind(snapshotTaker)
+    );
+    expect(snapshotTaker.snapshots().map((s) => s.board)).deep.equals([
+      {'x': 0, 'y': 0},
+      {'x': 1, 'y': 0},
+      {'x': 1, 'y': 0},
+      {'x': 1, 'y': 2},
+    ]);
+  });
+
+  it('Serialize the states of a world', () => {
+    let world = new TurtleWorld();
+    let state = world.newState();
+    state.forward(3);
+    let string = world.stateToString(state);
+    expect(world.stateFromString(string).dump()).deep.equals(state.dump());
+  });
+
+  it('Serialized boards without colors use the given ones', () => {
+    let world = new BoardWorld();
+    let colors = ['Rojo', 'Celeste'];
+    let jboard = world.newState(colors).dump();
+    let withoutColors = {};
+    for (let key in jboard) {
+      if (key !== 'colors') {
+        withoutColors[key] = jboard[key];
+      }
+    }
+    let state = world.stateFromString(JSON.stringify(withoutColors), colors);
+    expect(state.dump()).deep.equals(jboard);
+  });
+
+});
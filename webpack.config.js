@@ -8,23 +8,28 @@ const path = require('path');
 const env = require('yargs').argv.env; // use --env with webpack 2
 
 let libraryName = 'gobstones-interpreter';
+let workerName = 'gobstones-worker';
+let workerHostName = 'gobstones-worker-host';
 
 let plugins = [], outputFile;
 
 if (env === 'build') {
   plugins.push(new UglifyJsPlugin({ minimize: true }));
-  outputFile = libraryName + '.min.js';
+  outputFile = '[name].min.js';
 } else {
-  outputFile = libraryName + '.js';
+  outputFile = '[name].js';
 }
 
 const config = {
-  entry: __dirname + '/src/index.js',
+  entry: {
+    [libraryName]: __dirname + '/src/index.js',
+    [workerName]: __dirname + '/src/worker.js'
+  },
   devtool: 'source-map',
   output: {
     path: __dirname + '/lib',
     filename: outputFile,
-    library: libraryName,
+    library: '[name]',
     libraryTarget: 'umd',
     umdNamedDefine: true
   },
@@ -53,4 +58,30 @@ const config = {
   plugins: plugins
 };
 
-module.exports = config;
+/* The worker host runs only in Node, and loads the packaged worker
+ * from the same directory */
+const workerHostConfig = Object.assign({}, config, {
+  entry: {
+    [workerHostName]: __dirname + '/src/worker_host.js'
+  },
+  output: {
+    path: __dirname + '/lib',
+    filename: outputFile,
+    libraryTarget: 'commonjs2'
+  },
+  target: 'node',
+  node: {
+    __dirname: false
+  },
+  externals: {
+    worker_threads: 'commonjs worker_threads'
+  },
+  plugins: plugins.concat([
+    new webpack.DefinePlugin({
+      'process.env.GOBSTONES_WORKER_FILE':
+        JSON.stringify(outputFile.replace('[name]', workerName))
+    })
+  ])
+});
+
+module.exports = [config, workerHostConfig];